@@ -0,0 +1,115 @@
+// ==========================================
+// ACHIEVEMENTS + DAILY QUESTS
+// ==========================================
+//
+// Goals are data: each one counts a game event, optionally only when the
+// event matches some conditions, up to a target, and pays a coin reward when
+// it is reached. Achievements are completed once per user; daily quests
+// start over every UTC day.
+//
+// Events (see trackGoals in server.js), counted for human players only:
+//   game_finished  once per game over, context { won, betAmount, playerCount, placement }
+//   capture        count = opponent tokens sent back to base, context { betAmount, playerCount }
+//
+// Conditions (all optional):
+//   won          the game was won
+//   min_bet      stake of at least this many coins
+//   min_players  at least this many players at the table
+//
+// Progress is kept per user in Redis hashes (see redis-client.js):
+//   achievements:<userId>          <goal id> -> progress, <goal id>:done -> completed at
+//   quests:<userId>:<day>          same, for the quests of one UTC day
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const GOAL_EVENT = {
+    GAME_FINISHED: 'game_finished',
+    CAPTURE: 'capture'
+};
+
+const ACHIEVEMENTS = [
+    { id: 'first_win', name: 'First Win', description: 'Win a game', event: 'game_finished', conditions: { won: true }, target: 1, reward: 100 },
+    { id: 'regular', name: 'Regular', description: 'Play 50 games', event: 'game_finished', conditions: {}, target: 50, reward: 500 },
+    { id: 'veteran', name: 'Veteran', description: 'Play 500 games', event: 'game_finished', conditions: {}, target: 500, reward: 5000 },
+    { id: 'champion', name: 'Champion', description: 'Win 100 games', event: 'game_finished', conditions: { won: true }, target: 100, reward: 3000 },
+    { id: 'high_roller', name: 'High Roller', description: 'Win 5 games at a stake of 500 or more', event: 'game_finished', conditions: { won: true, min_bet: 500 }, target: 5, reward: 1000 },
+    { id: 'whale', name: 'Whale', description: 'Win a game at a stake of 50000 or more', event: 'game_finished', conditions: { won: true, min_bet: 50000 }, target: 1, reward: 10000 },
+    { id: 'full_house', name: 'Full House', description: 'Win 10 games at a full table', event: 'game_finished', conditions: { won: true, min_players: 4 }, target: 10, reward: 1000 },
+    { id: 'hunter', name: 'Hunter', description: 'Capture 20 tokens', event: 'capture', conditions: {}, target: 20, reward: 300 },
+    { id: 'predator', name: 'Predator', description: 'Capture 500 tokens', event: 'capture', conditions: {}, target: 500, reward: 5000 }
+];
+
+const DAILY_QUESTS = [
+    { id: 'daily_play', name: 'Warm Up', description: 'Play 3 games', event: 'game_finished', conditions: {}, target: 3, reward: 100 },
+    { id: 'daily_win', name: 'Winner', description: 'Win a game', event: 'game_finished', conditions: { won: true }, target: 1, reward: 150 },
+    { id: 'daily_capture', name: 'Cut Them Down', description: 'Capture 5 tokens', event: 'capture', conditions: {}, target: 5, reward: 100 },
+    { id: 'daily_stake_win', name: 'Big Table', description: 'Win 2 games at a stake of 500 or more', event: 'game_finished', conditions: { won: true, min_bet: 500 }, target: 2, reward: 300 }
+];
+
+/**
+ * UTC day number that daily quests belong to
+ */
+function getQuestDay(now) {
+    return Math.floor(now / DAY_MS);
+}
+
+/**
+ * When the daily quests running at `now` start over
+ */
+function getQuestResetAt(now) {
+    return (getQuestDay(now) + 1) * DAY_MS;
+}
+
+function matchesConditions(conditions, context) {
+    if (conditions.won && !context.won) return false;
+    if (conditions.min_bet !== undefined && context.betAmount < conditions.min_bet) return false;
+    if (conditions.min_players !== undefined && context.playerCount < conditions.min_players) return false;
+    return true;
+}
+
+/**
+ * Progress updates of an event for a list of goals: [{ id, increment, target }]
+ */
+function getGoalUpdates(goals, event, count, context) {
+    return goals
+        .filter(goal => goal.event === event && matchesConditions(goal.conditions, context))
+        .map(goal => ({ id: goal.id, increment: count, target: goal.target }));
+}
+
+/**
+ * Get a goal by id from achievements and quests, or null if there is no such goal
+ */
+function getGoal(goalId) {
+    return ACHIEVEMENTS.concat(DAILY_QUESTS).find(goal => goal.id === goalId) || null;
+}
+
+/**
+ * A goal with a user's progress as sent to clients. `progress` is the stored
+ * hash (see above), empty if the user has none.
+ */
+function formatGoal(goal, progress) {
+    const completedAt = progress[`${goal.id}:done`];
+
+    return {
+        id: goal.id,
+        name: goal.name,
+        description: goal.description,
+        target: goal.target,
+        progress: Math.min(parseInt(progress[goal.id] || 0, 10), goal.target),
+        reward: goal.reward,
+        completed: !!completedAt,
+        completed_at: completedAt ? parseInt(completedAt, 10) : null
+    };
+}
+
+module.exports = {
+    GOAL_EVENT,
+    ACHIEVEMENTS,
+    DAILY_QUESTS,
+
+    getQuestDay,
+    getQuestResetAt,
+    getGoalUpdates,
+    getGoal,
+    formatGoal
+};
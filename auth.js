@@ -0,0 +1,109 @@
+// ==========================================
+// AUTHENTICATION (signed expiring tokens)
+// ==========================================
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Secret used to sign auth tokens (set AUTH_TOKEN_SECRET in .env)
+let TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET;
+if (!TOKEN_SECRET) {
+    TOKEN_SECRET = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️  [AUTH] AUTH_TOKEN_SECRET not set, using a random secret (tokens die on restart)');
+}
+
+const TOKEN_TTL = process.env.AUTH_TOKEN_TTL || '24h';
+
+/**
+ * Issue a signed auth token for a user
+ */
+function issueToken(userId, userName) {
+    return jwt.sign(
+        { sub: String(userId), name: userName },
+        TOKEN_SECRET,
+        { expiresIn: TOKEN_TTL }
+    );
+}
+
+/**
+ * Verify an auth token, returns { userId, userName } or null if invalid/expired
+ */
+function verifyToken(token) {
+    if (!token || typeof token !== 'string') return null;
+
+    try {
+        const payload = jwt.verify(token, TOKEN_SECRET);
+        return { userId: payload.sub, userName: payload.name };
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * New login secret for a guest account (returned to the client once)
+ */
+function createLoginSecret() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Token a player presents to resume their seat in a running game
+ */
+function createResumeToken() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Hash a login secret for storage
+ */
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+/**
+ * Compare a login secret with its stored hash
+ */
+function checkSecret(secret, secretHash) {
+    if (!secret || !secretHash) return false;
+
+    const a = Buffer.from(hashSecret(secret), 'hex');
+    const b = Buffer.from(secretHash, 'hex');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Compare an API key from a request with a configured one (constant time)
+ */
+function checkApiKey(key, expectedKey) {
+    if (!key || !expectedKey) return false;
+    return checkSecret(key, hashSecret(expectedKey));
+}
+
+/**
+ * Socket.IO handshake middleware: binds the authenticated user to the socket.
+ * Clients pass the token as `auth: { token }` (or `?token=` for old clients).
+ */
+function socketAuthMiddleware(socket, next) {
+    const token = (socket.handshake.auth && socket.handshake.auth.token) ||
+        (socket.handshake.query && socket.handshake.query.token);
+
+    const identity = verifyToken(token);
+    if (!identity) {
+        return next(new Error('unauthorized'));
+    }
+
+    socket.userId = identity.userId;
+    socket.userName = identity.userName;
+    next();
+}
+
+module.exports = {
+    issueToken,
+    verifyToken,
+    createLoginSecret,
+    createResumeToken,
+    hashSecret,
+    checkSecret,
+    checkApiKey,
+    socketAuthMiddleware
+};
@@ -0,0 +1,174 @@
+// ==========================================
+// BOT PLAYERS (server-driven seats)
+// ==========================================
+//
+// Bots fill matchmaking games nobody else joined and take over seats of
+// humans who timed out or disconnected. They act through a BotSocket, so
+// their rolls and moves go through the same socket handlers as a human's.
+
+const { v4: uuidv4 } = require('uuid');
+const {
+    BASE_POSITION,
+    HOME_POSITION,
+    SAFE_SQUARES,
+    getLegalMoves,
+    getTrackSquare
+} = require('./ludo-engine');
+
+const BOT_DIFFICULTY = {
+    EASY: 'easy',
+    MEDIUM: 'medium',
+    HARD: 'hard'
+};
+
+// Rating a bot plays at, so matches against bots still move human ratings
+const BOT_RATINGS = {
+    easy: 850,
+    medium: 1000,
+    hard: 1150
+};
+
+const BOT_NAMES = ['Minh', 'Lan', 'Huy', 'Mai', 'Tuan', 'Linh', 'Nam', 'Ha', 'Khoa', 'Trang'];
+
+const TRACK_LENGTH = 52;
+const LAST_TRACK_POSITION = 50;
+
+/**
+ * Difficulty that suits a human of the given rating
+ */
+function getBotDifficulty(rating) {
+    if (rating < 950) return BOT_DIFFICULTY.EASY;
+    if (rating > 1100) return BOT_DIFFICULTY.HARD;
+    return BOT_DIFFICULTY.MEDIUM;
+}
+
+/**
+ * New bot identity for a matchmaking seat
+ */
+function createBotIdentity(difficulty) {
+    return {
+        userId: `bot_${uuidv4().slice(0, 8)}`,
+        userName: BOT_NAMES[Math.floor(Math.random() * BOT_NAMES.length)],
+        rating: BOT_RATINGS[difficulty],
+        difficulty: difficulty
+    };
+}
+
+/**
+ * Pause before a bot acts, so humans can follow the game
+ */
+function getThinkingTime() {
+    return 800 + Math.floor(Math.random() * 800);
+}
+
+// Opponent tokens (peer, progress) on the main track
+function getOpponentTokens(board, peerId) {
+    const opponents = [];
+    board.tokens.forEach((tokens, otherPeerId) => {
+        if (otherPeerId === peerId) return;
+        tokens.forEach(progress => {
+            if (progress !== BASE_POSITION && progress <= LAST_TRACK_POSITION) {
+                opponents.push({ peerId: otherPeerId, progress: progress });
+            }
+        });
+    });
+    return opponents;
+}
+
+// Can an opponent reach the square with one roll
+function isThreatened(board, peerId, square) {
+    if (square === -1 || SAFE_SQUARES.includes(square)) return false;
+
+    return getOpponentTokens(board, peerId).some(opponent => {
+        const from = getTrackSquare(opponent.peerId, opponent.progress, board.playerCount);
+        const distance = (square - from + TRACK_LENGTH) % TRACK_LENGTH;
+        return distance >= 1 && distance <= 6;
+    });
+}
+
+function scoreMove(board, peerId, move, difficulty) {
+    const playerCount = board.playerCount;
+    const square = getTrackSquare(peerId, move.to, playerCount);
+
+    const captures = square !== -1 && !SAFE_SQUARES.includes(square) &&
+        getOpponentTokens(board, peerId).some(opponent =>
+            getTrackSquare(opponent.peerId, opponent.progress, playerCount) === square);
+
+    let score = move.to / 10;
+    if (captures) score += 100;
+    if (move.to === HOME_POSITION) score += 80;
+    if (move.from === BASE_POSITION) score += 60;
+    if (move.to > LAST_TRACK_POSITION && move.from <= LAST_TRACK_POSITION) score += 40;
+
+    if (difficulty === BOT_DIFFICULTY.HARD) {
+        const fromSquare = getTrackSquare(peerId, move.from, playerCount);
+        if (SAFE_SQUARES.includes(square)) score += 20;
+        if (isThreatened(board, peerId, square)) score -= 50;
+        if (isThreatened(board, peerId, fromSquare)) score += 30;
+    }
+
+    return score;
+}
+
+/**
+ * Token a bot moves with the given dice, or null if it has no legal move
+ */
+function chooseBotMove(board, peerId, dice, difficulty) {
+    const moves = getLegalMoves(board, peerId, dice);
+    if (moves.length === 0) return null;
+
+    if (difficulty === BOT_DIFFICULTY.EASY) {
+        return moves[Math.floor(Math.random() * moves.length)].tokenId;
+    }
+
+    let best = moves[0];
+    let bestScore = -Infinity;
+    for (const move of moves) {
+        // Small random part so equal moves aren't always played the same way
+        const score = scoreMove(board, peerId, move, difficulty) + Math.random();
+        if (score > bestScore) {
+            best = move;
+            bestScore = score;
+        }
+    }
+    return best.tokenId;
+}
+
+/**
+ * Socket stand-in for a bot seat. The server runs room event handlers
+ * against it; whatever the handlers send back to the bot is dropped.
+ */
+class BotSocket {
+    constructor(io, player) {
+        this.io = io;
+        this.id = `bot:${player.userId}`;
+        this.userId = player.userId;
+        this.userName = player.userName;
+        this.bot = player.bot;
+        this.currentRoomId = null;
+        this.isBot = true;
+    }
+
+    emit() {
+        // Nobody listens on a bot's socket
+    }
+
+    to(roomId) {
+        return this.io.to(roomId);
+    }
+
+    join() {}
+
+    leave() {}
+}
+
+module.exports = {
+    BOT_DIFFICULTY,
+    BOT_RATINGS,
+
+    getBotDifficulty,
+    createBotIdentity,
+    getThinkingTime,
+    chooseBotMove,
+    BotSocket
+};
@@ -0,0 +1,120 @@
+// ==========================================
+// MULTI-INSTANCE MODE (CLUSTER_MODE=true)
+// ==========================================
+//
+// Several server processes share one Redis:
+// - Socket.IO broadcasts go through the Redis adapter, so io.to(room) reaches
+//   sockets connected to any instance.
+// - Each room is owned by one instance (lease key in Redis). Only the owner
+//   keeps the room in memory, runs its turn timer and applies its events.
+//   Events that arrive on another instance are forwarded to the owner.
+// - If an owner dies its leases expire and another instance restores the
+//   room from Redis (see restoreRoom in server.js).
+//
+// Local test: start two instances against one Redis, e.g.
+//   CLUSTER_MODE=true PORT=3001 node server.js
+//   CLUSTER_MODE=true PORT=3002 node server.js
+
+const { v4: uuidv4 } = require('uuid');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { redisClient } = require('./redis-client');
+
+const CLUSTER_ENABLED = process.env.CLUSTER_MODE === 'true';
+const INSTANCE_ID = process.env.INSTANCE_ID || uuidv4();
+
+const ROOM_LEASE_TTL = 15000; // Owner must renew within 15s
+const LEASE_RENEW_INTERVAL = 5000;
+const ORPHAN_SCAN_INTERVAL = 10000;
+const FORWARD_TIMEOUT = 5000;
+
+/**
+ * Route Socket.IO broadcasts through Redis pub/sub
+ */
+async function setupAdapter(io) {
+    const pubClient = redisClient.duplicate();
+    const subClient = redisClient.duplicate();
+
+    pubClient.on('error', (err) => console.error('❌ [CLUSTER] Pub client error:', err.message));
+    subClient.on('error', (err) => console.error('❌ [CLUSTER] Sub client error:', err.message));
+
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+
+    io.adapter(createAdapter(pubClient, subClient, { requestsTimeout: FORWARD_TIMEOUT }));
+    console.log(`🔗 [CLUSTER] Redis adapter ready, instance ${INSTANCE_ID}`);
+}
+
+/**
+ * Stand-in for a client socket connected to another instance. Room event
+ * handlers run against it on the owner instance; everything it sends goes
+ * through the adapter to the real socket.
+ */
+class RemoteSocket {
+    constructor(io, info) {
+        this.io = io;
+        this.id = info.id;
+        this.userId = info.userId;
+        this.userName = info.userName;
+        this.currentRoomId = info.currentRoomId || null;
+        this.spectatingRoomId = info.spectatingRoomId || null;
+        this.isRemote = true;
+    }
+
+    emit(event, ...args) {
+        this.io.to(this.id).emit(event, ...args);
+    }
+
+    to(roomId) {
+        return this.io.to(roomId).except(this.id);
+    }
+
+    join(roomId) {
+        this.io.in(this.id).socketsJoin(roomId);
+    }
+
+    leave(roomId) {
+        this.io.in(this.id).socketsLeave(roomId);
+    }
+}
+
+/**
+ * What the owner instance needs to know about a socket
+ */
+function describeSocket(socket) {
+    return {
+        id: socket.id,
+        userId: socket.userId,
+        userName: socket.userName,
+        currentRoomId: socket.currentRoomId || null,
+        spectatingRoomId: socket.spectatingRoomId || null
+    };
+}
+
+/**
+ * Send a room action to the other instances, resolves with the owner's reply
+ * (or null if no instance owns the room)
+ */
+function forwardRoomAction(io, action) {
+    return new Promise((resolve) => {
+        io.serverSideEmit('room_action', action, (err, responses) => {
+            if (err) {
+                console.error(`[CLUSTER] Forwarding ${action.type} for room ${action.roomId} failed:`, err.message);
+            }
+
+            const reply = (responses || []).find(response => response);
+            resolve(reply || null);
+        });
+    });
+}
+
+module.exports = {
+    CLUSTER_ENABLED,
+    INSTANCE_ID,
+    ROOM_LEASE_TTL,
+    LEASE_RENEW_INTERVAL,
+    ORPHAN_SCAN_INTERVAL,
+
+    setupAdapter,
+    RemoteSocket,
+    describeSocket,
+    forwardRoomAction
+};
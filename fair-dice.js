@@ -0,0 +1,86 @@
+// ==========================================
+// PROVABLY FAIR DICE (commit-reveal)
+// ==========================================
+//
+// At game start the server picks a secret seed and publishes only its SHA-256
+// hash. Roll N is derived from HMAC-SHA256(serverSeed, `${clientSeed}:${N}:0`)
+// (the last part only grows when a digest has no usable byte), where
+// clientSeed is the room id. The seed is revealed at game over, so
+// players can recompute the hash and every roll of the match.
+
+const crypto = require('crypto');
+
+/**
+ * Create the dice state for a new game
+ */
+function createDiceSeed(clientSeed) {
+    const serverSeed = crypto.randomBytes(32).toString('hex');
+
+    return {
+        serverSeed: serverSeed,
+        serverSeedHash: hashSeed(serverSeed),
+        clientSeed: String(clientSeed),
+        nonce: 0
+    };
+}
+
+/**
+ * SHA-256 commitment published before the first roll
+ */
+function hashSeed(serverSeed) {
+    return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+/**
+ * Deterministic dice face (1-6) for a given seed pair and nonce
+ */
+function computeRoll(serverSeed, clientSeed, nonce) {
+    // Bytes >= 252 are skipped so every face is equally likely
+    for (let round = 0; ; round++) {
+        const digest = crypto
+            .createHmac('sha256', serverSeed)
+            .update(`${clientSeed}:${nonce}:${round}`)
+            .digest();
+
+        for (const byte of digest) {
+            if (byte < 252) {
+                return (byte % 6) + 1;
+            }
+        }
+    }
+}
+
+/**
+ * Roll the next dice and advance the nonce
+ */
+function rollDice(diceSeed) {
+    const nonce = diceSeed.nonce;
+    const face = computeRoll(diceSeed.serverSeed, diceSeed.clientSeed, nonce);
+    diceSeed.nonce++;
+
+    return { face: face, nonce: nonce };
+}
+
+/**
+ * Recompute all rolls of a finished game from the revealed seed
+ */
+function verifyRolls(serverSeed, serverSeedHash, clientSeed, rollCount) {
+    if (hashSeed(serverSeed) !== serverSeedHash) {
+        return { valid: false, rolls: [] };
+    }
+
+    const rolls = [];
+    for (let nonce = 0; nonce < rollCount; nonce++) {
+        rolls.push(computeRoll(serverSeed, clientSeed, nonce));
+    }
+
+    return { valid: true, rolls: rolls };
+}
+
+module.exports = {
+    createDiceSeed,
+    hashSeed,
+    computeRoll,
+    rollDice,
+    verifyRolls
+};
@@ -0,0 +1,37 @@
+// ==========================================
+// GIFT CATALOG
+// ==========================================
+//
+// Gifts are bought with coins and sent to one player at the table. Most are
+// a pure coin sink; gifts with a recipient_percent also credit that share of
+// the price to the recipient (bots get nothing, see sendGift in server.js).
+
+const GIFT_CATALOG = [
+    { id: 'rose', name: 'Rose', price: 50, recipient_percent: 0 },
+    { id: 'coffee', name: 'Coffee', price: 100, recipient_percent: 0 },
+    { id: 'heart', name: 'Heart', price: 200, recipient_percent: 0 },
+    { id: 'fireworks', name: 'Fireworks', price: 1000, recipient_percent: 0 },
+    { id: 'coin_bag', name: 'Coin Bag', price: 1000, recipient_percent: 80 },
+    { id: 'crown', name: 'Crown', price: 5000, recipient_percent: 0 }
+];
+
+/**
+ * Get a gift of the catalog, or null if there is no such gift
+ */
+function getGift(giftId) {
+    return GIFT_CATALOG.find(gift => gift.id === giftId) || null;
+}
+
+/**
+ * Coins the recipient of a gift gets
+ */
+function getRecipientCredit(gift) {
+    return Math.floor(gift.price * gift.recipient_percent / 100);
+}
+
+module.exports = {
+    GIFT_CATALOG,
+
+    getGift,
+    getRecipientCredit
+};
@@ -0,0 +1,137 @@
+// ==========================================
+// LEADERBOARDS (stats x periods + seasons)
+// ==========================================
+//
+// Every stat has a board per period:
+//   wins       games won
+//   coins_won  winning coins paid out
+//   rating     all-time: current rating; other periods: rating gained in the period
+//
+// Daily boards reset at 00:00 UTC, weekly boards on Monday 00:00 UTC. Seasons
+// last SEASON_LENGTH_DAYS from SEASON_START; when one ends its final
+// standings are archived (see archiveSeason in server.js) and the next season
+// starts from zero. All-time boards never reset.
+//
+// Board keys:
+//   leaderboard:<stat>                   all-time
+//   leaderboard:<stat>:day:<n>           n = UTC day number
+//   leaderboard:<stat>:week:<n>          n = week number (weeks start on Monday)
+//   leaderboard:<stat>:season:<n>
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LEADERBOARD_STAT = {
+    WINS: 'wins',
+    COINS_WON: 'coins_won',
+    RATING: 'rating'
+};
+
+const LEADERBOARD_PERIOD = {
+    DAILY: 'daily',
+    WEEKLY: 'weekly',
+    SEASON: 'season',
+    ALL_TIME: 'all_time'
+};
+
+const SEASON_LENGTH_DAYS = parseInt(process.env.SEASON_LENGTH_DAYS || '28', 10);
+const SEASON_START = Date.parse(process.env.SEASON_START || '2026-01-05'); // A Monday, 00:00 UTC
+
+// Boards of past periods stay readable for a while, then expire (seconds)
+const PERIOD_TTLS = {
+    daily: 8 * 24 * 60 * 60,
+    weekly: 5 * 7 * 24 * 60 * 60,
+    season: (SEASON_LENGTH_DAYS + 30) * 24 * 60 * 60
+};
+
+function isLeaderboardStat(stat) {
+    return Object.values(LEADERBOARD_STAT).includes(stat);
+}
+
+function isLeaderboardPeriod(period) {
+    return Object.values(LEADERBOARD_PERIOD).includes(period);
+}
+
+/**
+ * Season running at `now`: { season, starts_at, ends_at }. Seasons are
+ * numbered from 1, anything before SEASON_START is season 1.
+ */
+function getSeason(now) {
+    const season = Math.max(Math.floor((now - SEASON_START) / (SEASON_LENGTH_DAYS * DAY_MS)), 0) + 1;
+    return getSeasonDates(season);
+}
+
+/**
+ * Start and end of a season: { season, starts_at, ends_at }
+ */
+function getSeasonDates(season) {
+    const length = SEASON_LENGTH_DAYS * DAY_MS;
+    const startsAt = SEASON_START + (season - 1) * length;
+
+    return { season: season, starts_at: startsAt, ends_at: startsAt + length };
+}
+
+// Day 0 (1970-01-01) was a Thursday, shift so weeks start on Monday
+function getWeekNumber(now) {
+    return Math.floor((Math.floor(now / DAY_MS) + 3) / 7);
+}
+
+/**
+ * Board key of a stat for the period running at `now`, or of a given season
+ */
+function getLeaderboardKey(stat, period, now, season = null) {
+    if (period === LEADERBOARD_PERIOD.DAILY) return `leaderboard:${stat}:day:${Math.floor(now / DAY_MS)}`;
+    if (period === LEADERBOARD_PERIOD.WEEKLY) return `leaderboard:${stat}:week:${getWeekNumber(now)}`;
+    if (period === LEADERBOARD_PERIOD.SEASON) return `leaderboard:${stat}:season:${season || getSeason(now).season}`;
+    return `leaderboard:${stat}`;
+}
+
+/**
+ * When the board of a period running at `now` resets, null for all-time
+ */
+function getPeriodEnd(period, now) {
+    if (period === LEADERBOARD_PERIOD.DAILY) return (Math.floor(now / DAY_MS) + 1) * DAY_MS;
+    if (period === LEADERBOARD_PERIOD.WEEKLY) return ((getWeekNumber(now) + 1) * 7 - 3) * DAY_MS;
+    if (period === LEADERBOARD_PERIOD.SEASON) return getSeason(now).ends_at;
+    return null;
+}
+
+/**
+ * Board updates for a player's game result. Each update either adds
+ * `increment` to the player's score or sets it to `score`; `ttl` (seconds)
+ * is null for boards that don't expire.
+ */
+function buildScoreUpdates(stats, now) {
+    const updates = [];
+
+    for (const period of [LEADERBOARD_PERIOD.DAILY, LEADERBOARD_PERIOD.WEEKLY, LEADERBOARD_PERIOD.SEASON]) {
+        const ttl = PERIOD_TTLS[period];
+        updates.push(
+            { key: getLeaderboardKey(LEADERBOARD_STAT.WINS, period, now), increment: stats.won ? 1 : 0, ttl: ttl },
+            { key: getLeaderboardKey(LEADERBOARD_STAT.COINS_WON, period, now), increment: stats.coinsWon, ttl: ttl },
+            { key: getLeaderboardKey(LEADERBOARD_STAT.RATING, period, now), increment: stats.ratingChange, ttl: ttl }
+        );
+    }
+
+    updates.push(
+        // Counted here rather than taken from the profile's winCount, which
+        // includes friend room wins
+        { key: getLeaderboardKey(LEADERBOARD_STAT.WINS, LEADERBOARD_PERIOD.ALL_TIME, now), increment: stats.won ? 1 : 0, ttl: null },
+        { key: getLeaderboardKey(LEADERBOARD_STAT.COINS_WON, LEADERBOARD_PERIOD.ALL_TIME, now), increment: stats.coinsWon, ttl: null },
+        { key: getLeaderboardKey(LEADERBOARD_STAT.RATING, LEADERBOARD_PERIOD.ALL_TIME, now), score: stats.rating, ttl: null }
+    );
+
+    return updates;
+}
+
+module.exports = {
+    LEADERBOARD_STAT,
+    LEADERBOARD_PERIOD,
+
+    isLeaderboardStat,
+    isLeaderboardPeriod,
+    getSeason,
+    getSeasonDates,
+    getLeaderboardKey,
+    getPeriodEnd,
+    buildScoreUpdates
+};
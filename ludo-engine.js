@@ -0,0 +1,212 @@
+// ==========================================
+// LUDO RULES ENGINE (server-authoritative board state)
+// ==========================================
+
+// Token positions are stored per peer as "progress" along that peer's own path:
+//   -1        = in base (yard), needs a 6 to leave
+//   0 .. 50   = main track, 0 is the peer's start square
+//   51 .. 55  = home column (private to the peer, can't be captured)
+//   56        = home (finished)
+const BASE_POSITION = -1;
+const LAST_TRACK_POSITION = 50;
+const HOME_POSITION = 56;
+
+const TRACK_LENGTH = 52;
+const TOKENS_PER_PLAYER = 4;
+const SQUARES_PER_COLOR = 13;
+
+// Absolute track squares where tokens can't be captured (start squares + stars)
+const SAFE_SQUARES = [0, 8, 13, 21, 26, 34, 39, 47];
+
+/**
+ * Color (board quarter) used by a seat. 2-player games sit opposite each other.
+ */
+function getSeatColor(peerId, playerCount) {
+    return playerCount === 2 ? peerId * 2 : peerId;
+}
+
+/**
+ * Absolute track square of the peer's start square
+ */
+function getStartSquare(peerId, playerCount) {
+    return getSeatColor(peerId, playerCount) * SQUARES_PER_COLOR;
+}
+
+/**
+ * Absolute track square for a progress value, or -1 if the token is in base,
+ * in the home column or home (those squares are never shared)
+ */
+function getTrackSquare(peerId, progress, playerCount) {
+    if (progress < 0 || progress > LAST_TRACK_POSITION) return -1;
+    return (getStartSquare(peerId, playerCount) + progress) % TRACK_LENGTH;
+}
+
+function isSafeSquare(square) {
+    return SAFE_SQUARES.includes(square);
+}
+
+/**
+ * Team of a seat in 2v2 games: opposite seats (0 + 2, 1 + 3) are partners
+ */
+function getTeam(peerId) {
+    return peerId % 2;
+}
+
+function getPartner(peerId) {
+    return (peerId + 2) % 4;
+}
+
+/**
+ * Create a fresh board with every token in base. In team mode partners
+ * don't capture each other's tokens.
+ */
+function createBoard(playerCount, teamMode = false) {
+    const tokens = [];
+    for (let peerId = 0; peerId < playerCount; peerId++) {
+        tokens.push(new Array(TOKENS_PER_PLAYER).fill(BASE_POSITION));
+    }
+
+    return {
+        playerCount: playerCount,
+        teamMode: teamMode,
+        tokens: tokens
+    };
+}
+
+/**
+ * Where a token would land with the given dice, or null if it can't move
+ */
+function getMoveTarget(board, peerId, tokenId, dice) {
+    const tokens = board.tokens[peerId];
+    if (!tokens || tokenId < 0 || tokenId >= TOKENS_PER_PLAYER) return null;
+
+    const from = tokens[tokenId];
+
+    if (from === BASE_POSITION) {
+        return dice === 6 ? 0 : null;
+    }
+
+    if (from === HOME_POSITION) return null;
+
+    const to = from + dice;
+    // Exact roll needed to reach home
+    return to <= HOME_POSITION ? to : null;
+}
+
+/**
+ * All legal moves for a peer with the given dice
+ */
+function getLegalMoves(board, peerId, dice) {
+    const moves = [];
+    for (let tokenId = 0; tokenId < TOKENS_PER_PLAYER; tokenId++) {
+        const to = getMoveTarget(board, peerId, tokenId, dice);
+        if (to !== null) {
+            moves.push({ tokenId: tokenId, from: board.tokens[peerId][tokenId], to: to });
+        }
+    }
+    return moves;
+}
+
+/**
+ * Check a move, returns an error message or null if the move is legal
+ */
+function validateMove(board, peerId, tokenId, dice, claimedValue) {
+    if (!Number.isInteger(dice) || dice < 1 || dice > 6) {
+        return 'Dice has not been rolled';
+    }
+
+    if (!Number.isInteger(tokenId) || !board.tokens[peerId] ||
+        tokenId < 0 || tokenId >= TOKENS_PER_PLAYER) {
+        return 'Invalid token';
+    }
+
+    const to = getMoveTarget(board, peerId, tokenId, dice);
+    if (to === null) {
+        return 'Token cannot move with this dice';
+    }
+
+    // Clients still send their computed destination; it must agree with ours
+    if (claimedValue !== undefined && claimedValue !== null && claimedValue !== to) {
+        return `Token must move to ${to}, not ${claimedValue}`;
+    }
+
+    return null;
+}
+
+/**
+ * Apply a validated move. Opponent tokens on the landing square are sent back
+ * to base unless the square is safe.
+ */
+function applyMove(board, peerId, tokenId, dice) {
+    const from = board.tokens[peerId][tokenId];
+    const to = getMoveTarget(board, peerId, tokenId, dice);
+
+    board.tokens[peerId][tokenId] = to;
+
+    const captures = [];
+    const square = getTrackSquare(peerId, to, board.playerCount);
+
+    if (square !== -1 && !isSafeSquare(square)) {
+        board.tokens.forEach((otherTokens, otherPeerId) => {
+            if (otherPeerId === peerId) return;
+            if (board.teamMode && getTeam(otherPeerId) === getTeam(peerId)) return;
+
+            otherTokens.forEach((progress, otherTokenId) => {
+                if (getTrackSquare(otherPeerId, progress, board.playerCount) === square) {
+                    otherTokens[otherTokenId] = BASE_POSITION;
+                    captures.push({ peerId: otherPeerId, tokenId: otherTokenId, from: progress });
+                }
+            });
+        });
+    }
+
+    const reachedHome = to === HOME_POSITION;
+
+    return {
+        tokenId: tokenId,
+        from: from,
+        to: to,
+        captures: captures,
+        reachedHome: reachedHome,
+        playerFinished: hasFinished(board, peerId),
+        // Bonus roll for a six, a capture or bringing a token home
+        extraTurn: dice === 6 || captures.length > 0 || reachedHome
+    };
+}
+
+/**
+ * How far a peer's tokens got in total (0 = all in base), used to rank
+ * players who were still playing when the game ended
+ */
+function getProgress(board, peerId) {
+    const tokens = board.tokens[peerId] || [];
+    return tokens.reduce((total, progress) => total + progress - BASE_POSITION, 0);
+}
+
+/**
+ * True once all of a peer's tokens are home
+ */
+function hasFinished(board, peerId) {
+    const tokens = board.tokens[peerId];
+    return !!tokens && tokens.every(progress => progress === HOME_POSITION);
+}
+
+module.exports = {
+    BASE_POSITION,
+    HOME_POSITION,
+    TOKENS_PER_PLAYER,
+    SAFE_SQUARES,
+
+    createBoard,
+    getSeatColor,
+    getTeam,
+    getPartner,
+    getStartSquare,
+    getTrackSquare,
+    getMoveTarget,
+    getLegalMoves,
+    validateMove,
+    applyMove,
+    getProgress,
+    hasFinished
+};
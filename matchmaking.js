@@ -0,0 +1,259 @@
+// ==========================================
+// MATCHMAKING (skill rating + queue)
+// ==========================================
+//
+// Every user has an Elo-style rating. Queued players are matched with players
+// of the same stake and player count whose rating is within the search window
+// of everyone in the match. The window starts narrow and widens the longer a
+// player waits, so nobody waits forever.
+//
+// Team (2v2) queues match whole teams: a pre-made pair (two players who named
+// each other as partner) sits at opposite seats, solo players are paired so
+// the two teams are as even as possible.
+
+const DEFAULT_RATING = 1000;
+const RATING_K_FACTOR = 32;
+
+const INITIAL_RATING_WINDOW = 100;
+const RATING_WINDOW_STEP = 50; // Added every WINDOW_WIDEN_INTERVAL of waiting
+const WINDOW_WIDEN_INTERVAL = 5000;
+const MAX_RATING_WINDOW = 1000;
+
+/**
+ * Rating difference a player accepts after waiting `waitMs`
+ */
+function getRatingWindow(waitMs) {
+    const steps = Math.floor(Math.max(waitMs, 0) / WINDOW_WIDEN_INTERVAL);
+    return Math.min(INITIAL_RATING_WINDOW + steps * RATING_WINDOW_STEP, MAX_RATING_WINDOW);
+}
+
+/**
+ * Both players must accept the rating difference
+ */
+function canMatch(a, b, now) {
+    const window = Math.min(getRatingWindow(now - a.joinedAt), getRatingWindow(now - b.joinedAt));
+    return Math.abs(a.rating - b.rating) <= window;
+}
+
+/**
+ * Split one queue (entries with the same stake and player count) into matches
+ * of `playerCount`. The longest waiting players are matched first, each with
+ * the closest ratings that everyone in the match accepts.
+ */
+function findMatches(entries, playerCount, now) {
+    const waiting = [...entries].sort((a, b) => a.joinedAt - b.joinedAt);
+    const matches = [];
+
+    let found = true;
+    while (found && waiting.length >= playerCount) {
+        found = false;
+
+        for (const anchor of waiting) {
+            const candidates = waiting
+                .filter(entry => entry !== anchor && canMatch(anchor, entry, now))
+                .sort((a, b) => Math.abs(a.rating - anchor.rating) - Math.abs(b.rating - anchor.rating));
+
+            const match = [anchor];
+            for (const candidate of candidates) {
+                if (match.length === playerCount) break;
+                if (match.every(entry => canMatch(entry, candidate, now))) {
+                    match.push(candidate);
+                }
+            }
+
+            if (match.length === playerCount) {
+                match.forEach(entry => waiting.splice(waiting.indexOf(entry), 1));
+                matches.push(match);
+                found = true;
+                break;
+            }
+        }
+    }
+
+    return matches;
+}
+
+/**
+ * Players to seat with `anchor` from `entries` when bots fill the rest of the
+ * table: the closest ratings that everyone accepts, up to anchor.playerCount.
+ * May come up short.
+ */
+function buildFillGroup(anchor, entries, now) {
+    const candidates = entries
+        .filter(entry => entry !== anchor && canMatch(anchor, entry, now))
+        .sort((a, b) => Math.abs(a.rating - anchor.rating) - Math.abs(b.rating - anchor.rating));
+
+    const group = [anchor];
+    for (const candidate of candidates) {
+        if (group.length === anchor.playerCount) break;
+        if (group.every(entry => canMatch(entry, candidate, now))) {
+            group.push(candidate);
+        }
+    }
+
+    return group;
+}
+
+const TEAM_SIZE = 2;
+const TEAM_PLAYER_COUNT = 4;
+
+/**
+ * Split a team queue into units that are matched as a whole: [entry, partner]
+ * for pre-made pairs, [entry] for solo players. A player whose partner hasn't
+ * queued (or named someone else) waits for them, unless `includeUnpaired`
+ * lets them play solo. Oldest units first.
+ */
+function getTeamUnits(entries, includeUnpaired = false) {
+    const byUserId = new Map(entries.map(entry => [entry.userId, entry]));
+    const units = [];
+    const seen = new Set();
+
+    for (const entry of entries) {
+        if (seen.has(entry)) continue;
+
+        const partner = entry.partnerId ? byUserId.get(entry.partnerId) : null;
+        if (partner && partner.partnerId === entry.userId) {
+            units.push([entry, partner].sort((a, b) => a.joinedAt - b.joinedAt));
+            seen.add(partner);
+        } else if (!entry.partnerId || includeUnpaired) {
+            units.push([entry]);
+        }
+        seen.add(entry);
+    }
+
+    return units.sort((a, b) => a[0].joinedAt - b[0].joinedAt);
+}
+
+function canMatchUnits(a, b, now) {
+    return a.every(x => b.every(y => canMatch(x, y, now)));
+}
+
+function getUnitRating(unit) {
+    return unit.reduce((sum, entry) => sum + entry.rating, 0) / unit.length;
+}
+
+/**
+ * Units to seat with `anchor` from `units`: the closest ratings that everyone
+ * accepts, up to a full 2v2 table. May come up short of 4 players.
+ */
+function buildTeamGroup(anchor, units, now) {
+    const candidates = units
+        .filter(unit => unit !== anchor && canMatchUnits(anchor, unit, now))
+        .sort((a, b) => Math.abs(getUnitRating(a) - getUnitRating(anchor)) - Math.abs(getUnitRating(b) - getUnitRating(anchor)));
+
+    const group = [anchor];
+    let size = anchor.length;
+    for (const candidate of candidates) {
+        if (size === TEAM_PLAYER_COUNT) break;
+        if (size + candidate.length > TEAM_PLAYER_COUNT) continue;
+        if (group.every(unit => canMatchUnits(unit, candidate, now))) {
+            group.push(candidate);
+            size += candidate.length;
+        }
+    }
+
+    return group;
+}
+
+/**
+ * Seat a group of units at a 2v2 table: [team 0, team 1, team 0, team 1] so
+ * partners sit opposite each other, null for seats left to bots. Pairs keep
+ * their partner; solo players, best first, join the team with fewer players
+ * (the weaker one on a tie).
+ */
+function seatTeams(group) {
+    const teams = [[], []];
+    const teamRating = team => team.reduce((sum, entry) => sum + entry.rating, 0);
+
+    group
+        .filter(unit => unit.length === TEAM_SIZE)
+        .forEach(pair => teams.find(team => team.length === 0).push(...pair));
+
+    group
+        .filter(unit => unit.length === 1)
+        .map(unit => unit[0])
+        .sort((a, b) => b.rating - a.rating)
+        .forEach(entry => {
+            const [first, second] = teams;
+            const team = first.length !== second.length ?
+                (first.length < second.length ? first : second) :
+                (teamRating(first) <= teamRating(second) ? first : second);
+            team.push(entry);
+        });
+
+    return [teams[0][0], teams[1][0], teams[0][1], teams[1][1]].map(entry => entry || null);
+}
+
+/**
+ * Split a team queue into full 2v2 tables, oldest units first. Every match
+ * is a list of 4 entries in seat order (see seatTeams).
+ */
+function findTeamMatches(entries, now) {
+    const waiting = getTeamUnits(entries);
+    const matches = [];
+
+    let found = true;
+    while (found) {
+        found = false;
+
+        for (const anchor of waiting) {
+            const group = buildTeamGroup(anchor, waiting, now);
+            if (group.reduce((size, unit) => size + unit.length, 0) === TEAM_PLAYER_COUNT) {
+                group.forEach(unit => waiting.splice(waiting.indexOf(unit), 1));
+                matches.push(seatTeams(group));
+                found = true;
+                break;
+            }
+        }
+    }
+
+    return matches;
+}
+
+/**
+ * Rating change per user for a finished game. `standings` is a list of
+ * { userId, rating, placement, team }; lower placement is better, equal
+ * placements count as a draw. Every pair of players is scored as a 1v1 Elo
+ * game, except partners (same team, team games only).
+ */
+function calculateRatingChanges(standings) {
+    const changes = {};
+    const isPartner = (a, b) => a.team !== undefined && a.team === b.team;
+
+    standings.forEach(player => {
+        const opponents = standings.filter(other => other !== player && !isPartner(player, other)).length;
+        if (opponents === 0) {
+            changes[player.userId] = 0;
+            return;
+        }
+
+        let delta = 0;
+        standings.forEach(other => {
+            if (other === player || isPartner(player, other)) return;
+
+            const expected = 1 / (1 + Math.pow(10, (other.rating - player.rating) / 400));
+            const actual = player.placement < other.placement ? 1 :
+                player.placement === other.placement ? 0.5 : 0;
+            delta += actual - expected;
+        });
+
+        changes[player.userId] = Math.round(RATING_K_FACTOR * delta / opponents);
+    });
+
+    return changes;
+}
+
+module.exports = {
+    DEFAULT_RATING,
+    TEAM_PLAYER_COUNT,
+
+    getRatingWindow,
+    canMatch,
+    findMatches,
+    buildFillGroup,
+    getTeamUnits,
+    buildTeamGroup,
+    seatTeams,
+    findTeamMatches,
+    calculateRatingChanges
+};
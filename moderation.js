@@ -0,0 +1,148 @@
+// ==========================================
+// CHAT MODERATION (word/link filter + rate limit)
+// ==========================================
+//
+// Room chat goes through filterChatMessage before anyone sees it. The config
+// can be changed at runtime (see /config/chat in server.js), e.g.
+//
+//   {
+//     "max_length": 200,
+//     "blocked_words": ["badword", "another phrase"],
+//     "block_links": true,
+//     "rate_limit": { "messages": 5, "window_ms": 10000 }
+//   }
+//
+// Blocked words are masked with '*'. Matching ignores case and Vietnamese
+// diacritics, so "Đồ ngốc" matches "do ngoc" - avoid words that are harmless
+// with other accents (e.g. "lon" also matches "lớn"). Messages with links are
+// refused.
+
+const DEFAULT_CHAT_CONFIG = {
+    max_length: 200,
+    blocked_words: ['fuck', 'shit', 'bitch', 'asshole', 'dit me', 'dcm', 'dmm', 'vcl'],
+    block_links: true,
+    rate_limit: { messages: 5, window_ms: 10000 }
+};
+
+const MAX_BLOCKED_WORDS = 5000;
+
+// Things that look like a link: scheme, www., or a host with a common TLD.
+// Only a spelled-out dot may have spaces around it: "Ok. Mẹ gọi" and
+// "Được. Có chơi không?" are ordinary sentences, "abc (dot) com" is a link.
+// Checked against the original text, diacritics would turn "Mẹ" into "me".
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+(\.|\s*(\(dot\)|\[dot\])\s*)(com|net|org|io|vn|me|ly|gg|co|xyz|info|biz)(?![\p{L}\p{N}])/iu;
+
+/**
+ * Check a chat config, returns an error message or null if it's usable
+ */
+function validateChatConfig(config) {
+    if (!config || typeof config !== 'object') return 'Config must be an object';
+    if (!Number.isInteger(config.max_length) || config.max_length < 1) return 'max_length must be a positive integer';
+    if (!Array.isArray(config.blocked_words) || config.blocked_words.length > MAX_BLOCKED_WORDS ||
+        config.blocked_words.some(word => typeof word !== 'string' || word.trim() === '')) {
+        return `blocked_words must be a list of up to ${MAX_BLOCKED_WORDS} words`;
+    }
+    if (typeof config.block_links !== 'boolean') return 'block_links must be true or false';
+
+    const rateLimit = config.rate_limit;
+    if (!rateLimit || !Number.isInteger(rateLimit.messages) || rateLimit.messages < 1 ||
+        !Number.isInteger(rateLimit.window_ms) || rateLimit.window_ms < 1) {
+        return 'rate_limit needs positive integers messages and window_ms';
+    }
+
+    return null;
+}
+
+function normalizeChar(char) {
+    const plain = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    if (plain === 'đ') return 'd';
+    return Array.from(plain)[0] || char;
+}
+
+// Lower case without diacritics, one character per character of the input so
+// matches can be masked in the original text
+function normalizeText(text) {
+    return Array.from(text, normalizeChar).join('');
+}
+
+// Build the word matcher once per config
+const matcherCache = new WeakMap();
+
+function getWordMatcher(config) {
+    if (!matcherCache.has(config)) {
+        const words = config.blocked_words
+            .map(word => normalizeText(word.trim()))
+            .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+
+        matcherCache.set(config, words.length > 0 ?
+            new RegExp(`(^|[^\\p{L}\\p{N}])(${words.join('|')})(?=$|[^\\p{L}\\p{N}])`, 'gu') :
+            null);
+    }
+    return matcherCache.get(config);
+}
+
+/**
+ * Filter a chat message. Returns { ok, text, masked } with the text to relay,
+ * or { ok: false, reason } if the message is refused.
+ */
+function filterChatMessage(text, config) {
+    if (typeof text !== 'string') return { ok: false, reason: 'invalid_message' };
+
+    const trimmed = text.trim();
+    if (trimmed === '') return { ok: false, reason: 'empty_message' };
+    if (Array.from(trimmed).length > config.max_length) return { ok: false, reason: 'too_long' };
+
+    const chars = Array.from(trimmed);
+    const normalized = normalizeText(trimmed);
+
+    if (config.block_links && LINK_PATTERN.test(trimmed)) {
+        return { ok: false, reason: 'links_not_allowed' };
+    }
+
+    const matcher = getWordMatcher(config);
+    let masked = false;
+
+    if (matcher) {
+        matcher.lastIndex = 0;
+
+        let match;
+        while ((match = matcher.exec(normalized)) !== null) {
+            // Match indexes are UTF-16 units, chars are code points
+            const wordStart = match.index + match[1].length;
+            const start = Array.from(normalized.slice(0, wordStart)).length;
+            const length = Array.from(match[2]).length;
+            for (let i = start; i < start + length; i++) {
+                if (chars[i].trim() !== '') chars[i] = '*';
+            }
+            masked = true;
+            // The separator in front of the next word may be right after this one
+            matcher.lastIndex = wordStart + match[2].length;
+        }
+    }
+
+    return { ok: true, text: chars.join(''), masked: masked };
+}
+
+/**
+ * Sliding window rate limit. `sentAt` is the user's recent message times
+ * (oldest first) and is updated in place; false if the message must be dropped.
+ */
+function allowChatMessage(sentAt, now, config) {
+    const windowStart = now - config.rate_limit.window_ms;
+    while (sentAt.length > 0 && sentAt[0] <= windowStart) {
+        sentAt.shift();
+    }
+
+    if (sentAt.length >= config.rate_limit.messages) return false;
+
+    sentAt.push(now);
+    return true;
+}
+
+module.exports = {
+    DEFAULT_CHAT_CONFIG,
+
+    validateChatConfig,
+    filterChatMessage,
+    allowChatMessage
+};
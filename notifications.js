@@ -0,0 +1,255 @@
+// ==========================================
+// PUSH NOTIFICATIONS (providers + message texts)
+// ==========================================
+//
+// server.js decides who gets a push and when (opt-outs, rate limits, app in
+// background); a provider only delivers a message to one device token.
+// Providers implement:
+//
+//   send(token, message) -> Promise<{ ok, invalidToken }>
+//
+// where message is { title, body, data } and invalidToken tells the caller to
+// forget the token (app uninstalled, token rotated).
+//
+// PUSH_PROVIDER picks the provider: 'fcm' (Firebase Cloud Messaging HTTP v1),
+// 'memory' (logs and keeps sent messages, for local runs and tests) or
+// 'none' (default, pushes disabled).
+
+const jwt = require('jsonwebtoken');
+
+const NOTIFICATION_TYPE = {
+    TURN: 'turn',
+    INVITE: 'invite',
+    REWARD: 'reward'
+};
+
+// Minimum gap between two pushes of a type to the same user
+const PUSH_INTERVALS = {
+    turn: 60 * 1000,
+    invite: 15 * 1000,
+    reward: 6 * 60 * 60 * 1000
+};
+const PUSH_HOURLY_LIMIT = 20; // All types together, per user
+
+const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+
+/**
+ * Title, body and data of a push. Data values must be strings for FCM.
+ */
+function buildMessage(type, data = {}) {
+    let title;
+    let body;
+
+    if (type === NOTIFICATION_TYPE.TURN) {
+        title = 'Your turn!';
+        body = 'Your opponents are waiting for you to roll.';
+    } else if (type === NOTIFICATION_TYPE.INVITE) {
+        title = 'Game invite';
+        body = `${data.from_user_name || 'A friend'} invited you to a ${data.room_coin || 0} coin game.`;
+    } else if (type === NOTIFICATION_TYPE.REWARD) {
+        title = 'Free coins';
+        body = data.reward === 'refill' ?
+            'Your free coin refill is ready.' :
+            'Your daily reward is ready to claim.';
+    } else {
+        throw new Error(`Unknown notification type ${type}`);
+    }
+
+    const payload = { type: type };
+    Object.entries(data).forEach(([key, value]) => {
+        payload[key] = String(value);
+    });
+
+    return { title: title, body: body, data: payload };
+}
+
+/**
+ * Which types a user gets: all of them unless `stored` switches one off
+ * (booleans, or '1' / '0' as kept in Redis)
+ */
+function resolvePushSettings(stored = {}) {
+    const settings = {};
+    Object.values(NOTIFICATION_TYPE).forEach(type => {
+        settings[type] = !(type in stored) || stored[type] === true || stored[type] === '1';
+    });
+    return settings;
+}
+
+/**
+ * Rate limit without Redis (PUSH_SLOT_SCRIPT in redis-client.js does the
+ * same): a gap per type plus an hourly cap. `state` is { slots, counts }:
+ * `${userId}:${type}` -> time the next push of that type is allowed, and
+ * userId -> { count, resetAt }. False if the push must wait.
+ */
+function takeMemoryPushSlot(state, userId, type, now) {
+    const slotKey = `${userId}:${type}`;
+    if ((state.slots.get(slotKey) || 0) > now) return false;
+
+    let counter = state.counts.get(userId);
+    if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + 60 * 60 * 1000 };
+        state.counts.set(userId, counter);
+    }
+    if (counter.count >= PUSH_HOURLY_LIMIT) return false;
+
+    counter.count++;
+    state.slots.set(slotKey, now + PUSH_INTERVALS[type]);
+    return true;
+}
+
+/**
+ * Send a message to each of a user's devices ({ deviceId: { token } }).
+ * Returns { delivered } (one device got it) and the invalidDeviceIds whose
+ * tokens should be forgotten.
+ */
+async function sendToDevices(provider, devices, message) {
+    let delivered = false;
+    const invalidDeviceIds = [];
+
+    for (const [deviceId, device] of Object.entries(devices)) {
+        let result;
+        try {
+            result = await provider.send(device.token, message);
+        } catch (err) {
+            console.error(`[PUSH] Error sending ${message.data.type} to device ${deviceId}:`, err);
+            continue;
+        }
+
+        if (result.invalidToken) {
+            invalidDeviceIds.push(deviceId);
+        }
+        delivered = delivered || result.ok;
+    }
+
+    return { delivered: delivered, invalidDeviceIds: invalidDeviceIds };
+}
+
+/**
+ * Firebase Cloud Messaging (HTTP v1) with a service account
+ */
+class FcmProvider {
+    constructor({ projectId, clientEmail, privateKey }) {
+        this.projectId = projectId;
+        this.clientEmail = clientEmail;
+        this.privateKey = privateKey;
+        this.accessToken = null;
+        this.accessTokenExpiresAt = 0;
+    }
+
+    // OAuth access token from a service account JWT, reused until it expires
+    async getAccessToken() {
+        if (this.accessToken && Date.now() < this.accessTokenExpiresAt) {
+            return this.accessToken;
+        }
+
+        const assertion = jwt.sign({ scope: FCM_SCOPE }, this.privateKey, {
+            algorithm: 'RS256',
+            issuer: this.clientEmail,
+            audience: GOOGLE_TOKEN_URL,
+            expiresIn: '1h'
+        });
+
+        const response = await fetch(GOOGLE_TOKEN_URL, {
+            method: 'POST',
+            headers: { 'content-type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+                assertion: assertion
+            })
+        });
+        if (!response.ok) {
+            throw new Error(`FCM auth failed with status ${response.status}`);
+        }
+
+        const result = await response.json();
+        this.accessToken = result.access_token;
+        // Renew a minute early
+        this.accessTokenExpiresAt = Date.now() + (result.expires_in - 60) * 1000;
+        return this.accessToken;
+    }
+
+    async send(token, message) {
+        const accessToken = await this.getAccessToken();
+
+        const response = await fetch(`https://fcm.googleapis.com/v1/projects/${this.projectId}/messages:send`, {
+            method: 'POST',
+            headers: {
+                'authorization': `Bearer ${accessToken}`,
+                'content-type': 'application/json'
+            },
+            body: JSON.stringify({
+                message: {
+                    token: token,
+                    notification: { title: message.title, body: message.body },
+                    data: message.data,
+                    android: { priority: 'high' }
+                }
+            })
+        });
+
+        // 404 UNREGISTERED: the token is no longer valid
+        return { ok: response.ok, invalidToken: response.status === 404 };
+    }
+}
+
+/**
+ * Local fake: logs pushes and keeps them in `sent` instead of delivering.
+ * Tokens in `invalidTokens` are answered like an uninstalled app's.
+ */
+class MemoryPushProvider {
+    constructor({ invalidTokens = [] } = {}) {
+        this.sent = [];
+        this.invalidTokens = new Set(invalidTokens);
+    }
+
+    async send(token, message) {
+        if (this.invalidTokens.has(token)) {
+            return { ok: false, invalidToken: true };
+        }
+
+        this.sent.push({ token: token, message: message, sentAt: Date.now() });
+        console.log(`[PUSH] -> ${token.slice(0, 12)}...: ${message.title} - ${message.body}`);
+        return { ok: true, invalidToken: false };
+    }
+}
+
+/**
+ * Provider configured in the environment, or null if pushes are disabled
+ */
+function createPushProvider(env) {
+    const name = env.PUSH_PROVIDER || 'none';
+
+    if (name === 'fcm') {
+        if (!env.FCM_PROJECT_ID || !env.FCM_CLIENT_EMAIL || !env.FCM_PRIVATE_KEY) {
+            console.error('❌ [PUSH] PUSH_PROVIDER=fcm needs FCM_PROJECT_ID, FCM_CLIENT_EMAIL and FCM_PRIVATE_KEY, pushes disabled');
+            return null;
+        }
+        return new FcmProvider({
+            projectId: env.FCM_PROJECT_ID,
+            clientEmail: env.FCM_CLIENT_EMAIL,
+            // .env files keep the key on one line with \n escapes
+            privateKey: env.FCM_PRIVATE_KEY.replace(/\\n/g, '\n')
+        });
+    }
+
+    if (name === 'memory') {
+        return new MemoryPushProvider();
+    }
+
+    return null;
+}
+
+module.exports = {
+    NOTIFICATION_TYPE,
+    PUSH_INTERVALS,
+    PUSH_HOURLY_LIMIT,
+
+    buildMessage,
+    resolvePushSettings,
+    takeMemoryPushSlot,
+    sendToDevices,
+    createPushProvider,
+    FcmProvider,
+    MemoryPushProvider
+};
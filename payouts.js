@@ -0,0 +1,128 @@
+// ==========================================
+// PAYOUT TABLES + HOUSE RAKE
+// ==========================================
+//
+// The pot (all stakes in escrow) minus the rake is split between the winners
+// by a payout table: percentages by finishing place, per stake tier and
+// player count. The config can be changed at runtime (see /config/payouts
+// in server.js), e.g.
+//
+//   {
+//     "rake_percent": 5,
+//     "tiers": [
+//       { "min_bet": 0,    "payouts": { "2": [100], "3": [70, 30], "4": [75, 25] } },
+//       { "min_bet": 5000, "payouts": { "2": [100], "3": [100],    "4": [60, 30, 10] } }
+//     ]
+//   }
+//
+// A stake uses the tier with the highest min_bet not above it.
+//
+// Team (2v2) games don't use the table: the winning team splits the prize
+// pool equally (see splitTeamPot).
+
+const MAX_RAKE_PERCENT = 50;
+const SHARE_SUM_TOLERANCE = 0.001; // Payout shares must add up to 100 within this
+
+const DEFAULT_PAYOUT_CONFIG = {
+    rake_percent: 0,
+    tiers: [
+        { min_bet: 0, payouts: { 2: [100], 3: [70, 30], 4: [75, 25] } }
+    ]
+};
+
+/**
+ * Check a payout config, returns an error message or null if it's usable
+ */
+function validatePayoutConfig(config) {
+    if (!config || typeof config !== 'object') return 'Config must be an object';
+
+    const rake = config.rake_percent;
+    if (typeof rake !== 'number' || rake < 0 || rake > MAX_RAKE_PERCENT) {
+        return `rake_percent must be a number from 0 to ${MAX_RAKE_PERCENT}`;
+    }
+
+    if (!Array.isArray(config.tiers) || config.tiers.length === 0) return 'tiers must be a non-empty list';
+    if (!config.tiers.some(tier => tier.min_bet === 0)) return 'One tier must have min_bet 0';
+
+    for (const tier of config.tiers) {
+        if (!Number.isInteger(tier.min_bet) || tier.min_bet < 0) return 'min_bet must be a non-negative integer';
+        if (!tier.payouts || typeof tier.payouts !== 'object') return `Tier ${tier.min_bet} has no payouts`;
+
+        for (let playerCount = 2; playerCount <= 4; playerCount++) {
+            const shares = tier.payouts[playerCount];
+            if (!Array.isArray(shares) || shares.length === 0 || shares.length > playerCount) {
+                return `Tier ${tier.min_bet} needs 1 to ${playerCount} payout places for ${playerCount} players`;
+            }
+            if (shares.some(share => typeof share !== 'number' || share < 0)) {
+                return `Tier ${tier.min_bet}: payout shares must be non-negative numbers`;
+            }
+            // Fractional shares such as 33.3 don't add up to exactly 100 in floats
+            if (Math.abs(shares.reduce((sum, share) => sum + share, 0) - 100) > SHARE_SUM_TOLERANCE) {
+                return `Tier ${tier.min_bet}: ${playerCount}-player shares must add up to 100`;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Percent of the prize pool per finishing place
+ */
+function getPayoutShares(config, betAmount, playerCount) {
+    const tier = config.tiers
+        .filter(t => t.min_bet <= betAmount)
+        .reduce((best, t) => (!best || t.min_bet > best.min_bet ? t : best), null);
+
+    return tier.payouts[playerCount];
+}
+
+/**
+ * House rake taken from a pot
+ */
+function calculateRake(config, pot) {
+    return Math.floor(pot * config.rake_percent / 100);
+}
+
+/**
+ * Coins won per finishing place. Places nobody won (players left or timed
+ * out) are added to the first place; rounding leftovers too.
+ */
+function splitPot(config, pot, betAmount, playerCount, winnerCount) {
+    const prizePool = pot - calculateRake(config, pot);
+    const shares = getPayoutShares(config, betAmount, playerCount);
+
+    const prizes = shares
+        .slice(0, Math.max(winnerCount, 0))
+        .map(share => Math.floor(prizePool * share / 100));
+
+    if (prizes.length > 0) {
+        prizes[0] += prizePool - prizes.reduce((sum, prize) => sum + prize, 0);
+    }
+
+    return prizes;
+}
+
+/**
+ * Coins won per player of the winning team in a 2v2 game: equal shares of
+ * the prize pool, rounding leftovers go to the first.
+ */
+function splitTeamPot(config, pot, winnerCount) {
+    if (winnerCount <= 0) return [];
+
+    const prizePool = pot - calculateRake(config, pot);
+    const prizes = new Array(winnerCount).fill(Math.floor(prizePool / winnerCount));
+    prizes[0] += prizePool - prizes.reduce((sum, prize) => sum + prize, 0);
+
+    return prizes;
+}
+
+module.exports = {
+    DEFAULT_PAYOUT_CONFIG,
+
+    validatePayoutConfig,
+    getPayoutShares,
+    calculateRake,
+    splitPot,
+    splitTeamPot
+};
@@ -0,0 +1,172 @@
+// ==========================================
+// MATCH HISTORY + PROFILE STATS
+// ==========================================
+//
+// When a game is over every human player gets a match record (opponents,
+// stake, placement, coins, duration) in their history, and their profile
+// stats are updated from it. Stats are counters (see buildStatIncrements)
+// plus win streaks, kept per user in Redis hash stats:<userId>:
+//
+//   games, wins, captures, coins_won, coins_staked, duration_ms
+//   tier:<tier>:games, tier:<tier>:wins
+//   team_games, team_wins              2v2 games only
+//   current_streak, longest_streak
+
+// Stake tiers for win rates, a stake counts for the highest tier it reaches
+const STAKE_TIERS = [
+    { id: 'free', min_bet: 0 },
+    { id: 'low', min_bet: 1 },
+    { id: 'medium', min_bet: 500 },
+    { id: 'high', min_bet: 5000 },
+    { id: 'vip', min_bet: 50000 }
+];
+
+/**
+ * Stake tier id of a bet
+ */
+function getStakeTier(betAmount) {
+    return STAKE_TIERS.filter(tier => tier.min_bet <= betAmount).pop().id;
+}
+
+/**
+ * Match record of one player. `results` is the game_over payload, `player`
+ * the player's seat and `won` whether the game counts as a win for them.
+ */
+function buildMatchRecord(room, results, player, won, endedAt) {
+    const result = results.find(r => r.user_id === player.userId);
+    const startedAt = room.startedAt || room.createdAt;
+    const stake = room.betAmount;
+
+    return {
+        matchId: room.matchId,
+        roomId: room.roomId,
+        betAmount: stake,
+        playerCount: room.players.length,
+        isPrivate: room.isPrivate,
+        teamMode: !!room.teamMode,
+        team: result.team,
+        placement: result.player_rank,
+        playerStatus: result.player_status,
+        won: won,
+        coinsWon: result.winning_coin,
+        coinsNet: result.winning_coin - stake,
+        ratingChange: result.rating_change,
+        captures: player.captures || 0,
+        opponents: results
+            .filter(r => r.user_id !== player.userId)
+            .map(r => ({
+                user_id: r.user_id,
+                user_name: r.user_name,
+                placement: r.player_rank,
+                is_bot: r.is_bot,
+                team: r.team
+            })),
+        startedAt: startedAt,
+        endedAt: endedAt,
+        durationMs: endedAt - startedAt
+    };
+}
+
+/**
+ * Counter increments of the profile stats for a match record
+ */
+function buildStatIncrements(record) {
+    const tier = getStakeTier(record.betAmount);
+    const won = record.won ? 1 : 0;
+
+    const increments = {
+        games: 1,
+        wins: won,
+        captures: record.captures,
+        coins_won: record.coinsWon,
+        coins_staked: record.betAmount,
+        duration_ms: record.durationMs,
+        [`tier:${tier}:games`]: 1,
+        [`tier:${tier}:wins`]: won
+    };
+
+    if (record.teamMode) {
+        increments.team_games = 1;
+        increments.team_wins = won;
+    }
+
+    return increments;
+}
+
+function getWinRate(wins, games) {
+    return games > 0 ? Math.round(wins / games * 1000) / 10 : 0;
+}
+
+/**
+ * Profile stats as sent to clients, from the stored counters
+ */
+function formatProfileStats(stats) {
+    const count = field => parseInt(stats[field] || 0, 10);
+    const games = count('games');
+    const wins = count('wins');
+    const teamGames = count('team_games');
+    const teamWins = count('team_wins');
+
+    return {
+        games: games,
+        wins: wins,
+        losses: games - wins,
+        win_rate: getWinRate(wins, games),
+        captures: count('captures'),
+        coins_won: count('coins_won'),
+        coins_staked: count('coins_staked'),
+        average_duration_ms: games > 0 ? Math.round(count('duration_ms') / games) : 0,
+        current_streak: count('current_streak'),
+        longest_streak: count('longest_streak'),
+        team_games: teamGames,
+        team_wins: teamWins,
+        team_win_rate: getWinRate(teamWins, teamGames),
+        stake_tiers: STAKE_TIERS.map(tier => {
+            const tierGames = count(`tier:${tier.id}:games`);
+            const tierWins = count(`tier:${tier.id}:wins`);
+            return {
+                tier: tier.id,
+                min_bet: tier.min_bet,
+                games: tierGames,
+                wins: tierWins,
+                win_rate: getWinRate(tierWins, tierGames)
+            };
+        })
+    };
+}
+
+/**
+ * Match record as sent to clients
+ */
+function formatMatchRecord(record) {
+    return {
+        match_id: record.matchId || null,
+        room_id: record.roomId,
+        room_coin: record.betAmount,
+        player_count: record.playerCount,
+        is_private: record.isPrivate,
+        team_mode: !!record.teamMode,
+        team: record.team !== undefined ? record.team : null,
+        placement: record.placement,
+        player_status: record.playerStatus,
+        won: record.won,
+        coins_won: record.coinsWon,
+        coins_net: record.coinsNet,
+        rating_change: record.ratingChange,
+        captures: record.captures,
+        opponents: record.opponents,
+        started_at: record.startedAt,
+        ended_at: record.endedAt,
+        duration_ms: record.durationMs
+    };
+}
+
+module.exports = {
+    STAKE_TIERS,
+
+    getStakeTier,
+    buildMatchRecord,
+    buildStatIncrements,
+    formatProfileStats,
+    formatMatchRecord
+};
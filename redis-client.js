@@ -3,6 +3,7 @@
 // ==========================================
 
 const redis = require('redis');
+const { v4: uuidv4 } = require('uuid');
 
 // Redis configuration
 const REDIS_CONFIG = {
@@ -50,6 +51,243 @@ redisClient.on('end', () => {
     }
 })();
 
+// ===== LUA SCRIPTS =====
+// User records are JSON strings, so balance changes run as Lua scripts to
+// read, check and write in one atomic step. Keep user records flat: cjson
+// turns empty arrays into objects.
+
+// KEYS: user, transaction list | ARGV: amount, transaction JSON, now, history limit
+// Returns { 1, balance } on success, { 0, balance } if funds are insufficient, { -1 } if no user
+const COIN_TRANSACTION_SCRIPT = `
+local data = redis.call('GET', KEYS[1])
+if not data then return { -1 } end
+
+local user = cjson.decode(data)
+local amount = tonumber(ARGV[1])
+local coins = tonumber(user.coins) or 0
+
+if coins + amount < 0 then return { 0, coins } end
+
+user.coins = coins + amount
+user.lastUpdate = tonumber(ARGV[3])
+redis.call('SET', KEYS[1], cjson.encode(user))
+
+local transaction = cjson.decode(ARGV[2])
+transaction.balance = user.coins
+redis.call('LPUSH', KEYS[2], cjson.encode(transaction))
+redis.call('LTRIM', KEYS[2], 0, tonumber(ARGV[4]) - 1)
+
+return { 1, user.coins }
+`;
+
+// KEYS: user | ARGV: increments JSON, now, defaults JSON (start values of missing fields)
+// Returns the updated user JSON, or nil if no user
+const STATS_INCREMENT_SCRIPT = `
+local data = redis.call('GET', KEYS[1])
+if not data then return nil end
+
+local user = cjson.decode(data)
+local defaults = cjson.decode(ARGV[3])
+for field, delta in pairs(cjson.decode(ARGV[1])) do
+    user[field] = (tonumber(user[field]) or tonumber(defaults[field]) or 0) + delta
+end
+
+-- Level up every 10 wins
+user.level = math.floor(1 + (tonumber(user.winCount) or 0) / 10)
+user.lastUpdate = tonumber(ARGV[2])
+
+local encoded = cjson.encode(user)
+redis.call('SET', KEYS[1], encoded)
+return encoded
+`;
+
+// KEYS: user, transaction list | ARGV: amount, transaction JSON, now, history limit,
+//   guard field, guard value JSON, field updates JSON, max balance (-1 = none)
+// Credits a reward only if the guard field still has the value the claim was
+// checked against, so the same reward can't be claimed twice.
+// Returns { 1, balance } on success, { 0, balance } if already claimed,
+// { 2, balance } if the balance is too high, { -1 } if no user
+const REWARD_CLAIM_SCRIPT = `
+local data = redis.call('GET', KEYS[1])
+if not data then return { -1 } end
+
+local user = cjson.decode(data)
+local coins = tonumber(user.coins) or 0
+
+if tonumber(user[ARGV[5]]) ~= tonumber(cjson.decode(ARGV[6])) then return { 0, coins } end
+
+local maxBalance = tonumber(ARGV[8])
+if maxBalance >= 0 and coins >= maxBalance then return { 2, coins } end
+
+for field, value in pairs(cjson.decode(ARGV[7])) do
+    user[field] = value
+end
+
+user.coins = coins + tonumber(ARGV[1])
+user.lastUpdate = tonumber(ARGV[3])
+redis.call('SET', KEYS[1], cjson.encode(user))
+
+local transaction = cjson.decode(ARGV[2])
+transaction.balance = user.coins
+redis.call('LPUSH', KEYS[2], cjson.encode(transaction))
+redis.call('LTRIM', KEYS[2], 0, tonumber(ARGV[4]) - 1)
+
+return { 1, user.coins }
+`;
+
+// KEYS: sender, sender transactions, sender gifts, recipient, recipient transactions,
+//   recipient gifts | ARGV: price, credit, sender transaction JSON, recipient
+//   transaction JSON, gift record JSON, now, history limit, gift history limit
+// Debits the sender and credits the recipient in one step. A recipient without
+// a user record (bot) gets nothing.
+// Returns { 1, sender balance, recipient balance or -1 } on success,
+// { 0, balance } if funds are insufficient, { -1 } if no sender
+const GIFT_TRANSFER_SCRIPT = `
+local data = redis.call('GET', KEYS[1])
+if not data then return { -1 } end
+
+local sender = cjson.decode(data)
+local price = tonumber(ARGV[1])
+local coins = tonumber(sender.coins) or 0
+
+if coins < price then return { 0, coins } end
+
+local now = tonumber(ARGV[6])
+sender.coins = coins - price
+sender.lastUpdate = now
+redis.call('SET', KEYS[1], cjson.encode(sender))
+
+local sent = cjson.decode(ARGV[3])
+sent.balance = sender.coins
+redis.call('LPUSH', KEYS[2], cjson.encode(sent))
+redis.call('LTRIM', KEYS[2], 0, tonumber(ARGV[7]) - 1)
+redis.call('LPUSH', KEYS[3], ARGV[5])
+redis.call('LTRIM', KEYS[3], 0, tonumber(ARGV[8]) - 1)
+
+local recipientData = redis.call('GET', KEYS[4])
+if not recipientData then return { 1, sender.coins, -1 } end
+
+local recipient = cjson.decode(recipientData)
+local credit = tonumber(ARGV[2])
+recipient.coins = tonumber(recipient.coins) or 0
+
+if credit > 0 then
+    recipient.coins = recipient.coins + credit
+    recipient.lastUpdate = now
+    redis.call('SET', KEYS[4], cjson.encode(recipient))
+
+    local received = cjson.decode(ARGV[4])
+    received.balance = recipient.coins
+    redis.call('LPUSH', KEYS[5], cjson.encode(received))
+    redis.call('LTRIM', KEYS[5], 0, tonumber(ARGV[7]) - 1)
+end
+
+redis.call('LPUSH', KEYS[6], ARGV[5])
+redis.call('LTRIM', KEYS[6], 0, tonumber(ARGV[8]) - 1)
+
+return { 1, sender.coins, recipient.coins }
+`;
+
+// KEYS: stats hash, match history | ARGV: counter increments JSON, won (1/0),
+//   match record JSON, history limit
+// Adds a match to a player's history and updates their stats and win streaks
+const MATCH_RECORD_SCRIPT = `
+for field, delta in pairs(cjson.decode(ARGV[1])) do
+    redis.call('HINCRBY', KEYS[1], field, delta)
+end
+
+if ARGV[2] == '1' then
+    local streak = redis.call('HINCRBY', KEYS[1], 'current_streak', 1)
+    if streak > (tonumber(redis.call('HGET', KEYS[1], 'longest_streak')) or 0) then
+        redis.call('HSET', KEYS[1], 'longest_streak', streak)
+    end
+else
+    redis.call('HSET', KEYS[1], 'current_streak', 0)
+end
+
+redis.call('LPUSH', KEYS[2], ARGV[3])
+redis.call('LTRIM', KEYS[2], 0, tonumber(ARGV[4]) - 1)
+return 1
+`;
+
+// KEYS: goal progress hash | ARGV: updates JSON [{ id, increment, target }],
+//   now, ttl seconds (0 = no expiry)
+// Advances goals that aren't done yet and marks the ones reaching their target
+// as done, so each goal completes (and pays out) only once.
+// Returns JSON [{ id, progress, completed }], completed = 1 if done just now
+const GOAL_PROGRESS_SCRIPT = `
+local results = {}
+for _, update in ipairs(cjson.decode(ARGV[1])) do
+    if redis.call('HEXISTS', KEYS[1], update.id .. ':done') == 0 then
+        local progress = redis.call('HINCRBY', KEYS[1], update.id, update.increment)
+        local completed = 0
+        if progress >= update.target then
+            redis.call('HSET', KEYS[1], update.id .. ':done', ARGV[2])
+            completed = 1
+        end
+        table.insert(results, { id = update.id, progress = progress, completed = completed })
+    end
+end
+
+if tonumber(ARGV[3]) > 0 then
+    redis.call('EXPIRE', KEYS[1], ARGV[3])
+end
+if #results == 0 then return '[]' end
+return cjson.encode(results)
+`;
+
+// KEYS: lease | ARGV: instance id, ttl ms (extends the lease only if we hold it)
+const RENEW_LEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+// KEYS: lease | ARGV: instance id (deletes the lease only if we hold it)
+const RELEASE_LEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// KEYS: per-type gap key, hourly counter | ARGV: gap ms, hourly limit
+// Takes a push slot for a user: 1 if a push may be sent now, 0 if rate limited
+const PUSH_SLOT_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then return 0 end
+if (tonumber(redis.call('GET', KEYS[2])) or 0) >= tonumber(ARGV[2]) then return 0 end
+
+redis.call('SET', KEYS[1], '1', 'PX', ARGV[1])
+if redis.call('INCR', KEYS[2]) == 1 then
+    redis.call('EXPIRE', KEYS[2], 3600)
+end
+return 1
+`;
+
+// KEYS: migration | ARGV: secret hash, now ms
+// Uses up a migration secret: 1 if the hash matches and it hasn't expired,
+// 0 otherwise (a wrong secret leaves it in place)
+const AUTH_MIGRATION_CLAIM_SCRIPT = `
+local data = redis.call('GET', KEYS[1])
+if not data then return 0 end
+
+local migration = cjson.decode(data)
+if migration.secretHash ~= ARGV[1] or tonumber(migration.expiresAt) <= tonumber(ARGV[2]) then return 0 end
+
+redis.call('DEL', KEYS[1])
+return 1
+`;
+
+// Number of ledger entries kept per user
+const TRANSACTION_HISTORY_LIMIT = 500;
+const USER_REPLAY_LIMIT = 50; // Replays listed per user
+const GIFT_HISTORY_LIMIT = 100; // Gifts sent and received kept per user
+const AUDIT_LOG_LIMIT = 10000; // Admin actions kept
+const MATCH_HISTORY_LIMIT = 200; // Matches kept per user
+const QUEST_PROGRESS_TTL = 2 * 24 * 60 * 60; // A day of quests plus slack (seconds)
+const TOURNAMENT_RETENTION = 30 * 24 * 60 * 60; // Finished tournaments are kept 30 days (seconds)
+
 // ===== HELPER FUNCTIONS =====
 
 /**
@@ -80,21 +318,189 @@ async function saveUser(userId, userData) {
 }
 
 /**
- * Update user coins
+ * Update user coins (atomic, recorded in the ledger)
+ */
+async function updateUserCoins(userId, coinsChange, type = 'adjustment', meta = {}) {
+    const result = await applyCoinTransaction(userId, coinsChange, type, meta);
+    return result.ok;
+}
+
+/**
+ * Atomically change a user's balance and append the change to their ledger.
+ * Debits never take the balance below 0.
+ * Returns { ok, balance, transaction, reason } where reason is
+ * 'insufficient_coins', 'user_not_found' or 'error' on failure.
  */
-async function updateUserCoins(userId, coinsChange) {
+async function applyCoinTransaction(userId, amount, type, meta = {}) {
+    const transaction = {
+        id: uuidv4(),
+        userId: userId,
+        type: type,
+        amount: amount,
+        meta: meta,
+        createdAt: Date.now()
+    };
+
     try {
-        const user = await getUser(userId);
-        if (!user) return false;
+        const [status, balance] = await redisClient.eval(COIN_TRANSACTION_SCRIPT, {
+            keys: [`user:${userId}`, `transactions:${userId}`],
+            arguments: [
+                String(amount),
+                JSON.stringify(transaction),
+                String(transaction.createdAt),
+                String(TRANSACTION_HISTORY_LIMIT)
+            ]
+        });
 
-        user.coins += coinsChange;
-        user.lastUpdate = Date.now();
+        if (status === -1) return { ok: false, reason: 'user_not_found' };
+        if (status === 0) return { ok: false, reason: 'insufficient_coins', balance: balance };
 
-        await saveUser(userId, user);
-        return true;
+        transaction.balance = balance;
+        return { ok: true, balance: balance, transaction: transaction };
     } catch (err) {
-        console.error(`[REDIS] Error updating coins for ${userId}:`, err);
-        return false;
+        console.error(`[REDIS] Error applying ${type} of ${amount} for ${userId}:`, err);
+        return { ok: false, reason: 'error' };
+    }
+}
+
+/**
+ * Get a user's most recent coin transactions (newest first)
+ */
+async function getTransactions(userId, limit = 50) {
+    try {
+        const entries = await redisClient.lRange(`transactions:${userId}`, 0, limit - 1);
+        return entries.map(entry => JSON.parse(entry));
+    } catch (err) {
+        console.error(`[REDIS] Error getting transactions for ${userId}:`, err);
+        return [];
+    }
+}
+
+/**
+ * Credit a daily reward or refill atomically. `claim` is
+ * { amount, type, meta, guardField, guardValue, updates, maxBalance }:
+ * the claim fails if user[guardField] is no longer guardValue, or if the
+ * balance is at least maxBalance (null = no limit).
+ */
+async function claimUserReward(userId, claim) {
+    const transaction = {
+        id: uuidv4(),
+        userId: userId,
+        type: claim.type,
+        amount: claim.amount,
+        meta: claim.meta || {},
+        createdAt: Date.now()
+    };
+
+    try {
+        const [status, balance] = await redisClient.eval(REWARD_CLAIM_SCRIPT, {
+            keys: [`user:${userId}`, `transactions:${userId}`],
+            arguments: [
+                String(claim.amount),
+                JSON.stringify(transaction),
+                String(transaction.createdAt),
+                String(TRANSACTION_HISTORY_LIMIT),
+                claim.guardField,
+                JSON.stringify(claim.guardValue === undefined ? null : claim.guardValue),
+                JSON.stringify(claim.updates),
+                String(claim.maxBalance === null || claim.maxBalance === undefined ? -1 : claim.maxBalance)
+            ]
+        });
+
+        if (status === -1) return { ok: false, reason: 'user_not_found' };
+        if (status === 0) return { ok: false, reason: 'already_claimed', balance: balance };
+        if (status === 2) return { ok: false, reason: 'balance_too_high', balance: balance };
+
+        transaction.balance = balance;
+        return { ok: true, balance: balance, transaction: transaction };
+    } catch (err) {
+        console.error(`[REDIS] Error claiming ${claim.type} for ${userId}:`, err);
+        return { ok: false, reason: 'error' };
+    }
+}
+
+/**
+ * Send a gift (see GIFT_TRANSFER_SCRIPT). `gift` is the gift record kept in
+ * both users' gift history: { id, giftId, senderId, recipientId, price, credit, roomId, ... }
+ */
+async function transferGift(gift, sentType, receivedType) {
+    const sent = {
+        id: uuidv4(),
+        userId: gift.senderId,
+        type: sentType,
+        amount: -gift.price,
+        meta: { gift_id: gift.giftId, to_user_id: gift.recipientId, room_id: gift.roomId },
+        createdAt: gift.createdAt
+    };
+    const received = {
+        id: uuidv4(),
+        userId: gift.recipientId,
+        type: receivedType,
+        amount: gift.credit,
+        meta: { gift_id: gift.giftId, from_user_id: gift.senderId, room_id: gift.roomId },
+        createdAt: gift.createdAt
+    };
+
+    try {
+        const [status, balance, recipientBalance] = await redisClient.eval(GIFT_TRANSFER_SCRIPT, {
+            keys: [
+                `user:${gift.senderId}`, `transactions:${gift.senderId}`, `gifts:${gift.senderId}`,
+                `user:${gift.recipientId}`, `transactions:${gift.recipientId}`, `gifts:${gift.recipientId}`
+            ],
+            arguments: [
+                String(gift.price),
+                String(gift.credit),
+                JSON.stringify(sent),
+                JSON.stringify(received),
+                JSON.stringify(gift),
+                String(gift.createdAt),
+                String(TRANSACTION_HISTORY_LIMIT),
+                String(GIFT_HISTORY_LIMIT)
+            ]
+        });
+
+        if (status === -1) return { ok: false, reason: 'user_not_found' };
+        if (status === 0) return { ok: false, reason: 'insufficient_coins', balance: balance };
+
+        return {
+            ok: true,
+            balance: balance,
+            recipientBalance: recipientBalance === -1 ? null : recipientBalance
+        };
+    } catch (err) {
+        console.error(`[REDIS] Error sending gift ${gift.giftId} from ${gift.senderId}:`, err);
+        return { ok: false, reason: 'error' };
+    }
+}
+
+/**
+ * Gifts a user sent or received, newest first
+ */
+async function getGiftHistory(userId, limit = 50) {
+    try {
+        const entries = await redisClient.lRange(`gifts:${userId}`, 0, limit - 1);
+        return entries.map(entry => JSON.parse(entry));
+    } catch (err) {
+        console.error(`[REDIS] Error getting gifts of ${userId}:`, err);
+        return [];
+    }
+}
+
+/**
+ * Atomically add to user stats (e.g. { winCount: 1, totalGamesPlayed: 1 }).
+ * Fields the user doesn't have yet start from `defaults` (or 0).
+ * Level is recomputed from winCount. Returns the updated user or null.
+ */
+async function incrementUserStats(userId, increments, defaults = {}) {
+    try {
+        const data = await redisClient.eval(STATS_INCREMENT_SCRIPT, {
+            keys: [`user:${userId}`],
+            arguments: [JSON.stringify(increments), String(Date.now()), JSON.stringify(defaults)]
+        });
+        return data ? JSON.parse(data) : null;
+    } catch (err) {
+        console.error(`[REDIS] Error incrementing stats for ${userId}:`, err);
+        return null;
     }
 }
 
@@ -155,67 +561,102 @@ async function getAllUsers() {
 }
 
 /**
- * Update leaderboard (sorted set by wins)
+ * Apply score updates to leaderboards (see buildScoreUpdates in leaderboards.js)
+ * and remember the player's name for listings
  */
-async function updateLeaderboard(userId, winCount) {
+async function updateLeaderboards(userId, userName, updates) {
     try {
-        await redisClient.zAdd('leaderboard:wins', {
-            score: winCount,
-            value: userId
-        });
+        const multi = redisClient.multi()
+            .hSet('leaderboard:names', userId, userName);
+
+        for (const update of updates) {
+            if (update.increment !== undefined) {
+                multi.zIncrBy(update.key, update.increment, userId);
+            } else {
+                multi.zAdd(update.key, { score: update.score, value: userId });
+            }
+            if (update.ttl) {
+                multi.expire(update.key, update.ttl);
+            }
+        }
+
+        await multi.exec();
         return true;
     } catch (err) {
-        console.error('[REDIS] Error updating leaderboard:', err);
+        console.error('[REDIS] Error updating leaderboards:', err);
         return false;
     }
 }
 
 /**
- * Get top N players from leaderboard
+ * A page of a leaderboard, highest score first:
+ * { total, entries: [{ rank, userId, userName, score }] }
  */
-async function getTopPlayers(limit = 50) {
+async function getLeaderboardPage(key, offset = 0, limit = 50) {
     try {
-        // Get top players with scores (descending)
-        const results = await redisClient.zRangeWithScores(
-            'leaderboard:wins',
-            0,
-            limit - 1,
-            { REV: true }
-        );
+        const [total, results] = await Promise.all([
+            redisClient.zCard(key),
+            redisClient.zRangeWithScores(key, offset, offset + limit - 1, { REV: true })
+        ]);
+        if (results.length === 0) return { total: total, entries: [] };
 
-        // Get full user data for each
-        const leaderboard = [];
-        for (const item of results) {
-            const user = await getUser(item.value);
-            if (user) {
-                leaderboard.push({
-                    position: leaderboard.length + 1,
-                    user_id: user.userId,
-                    user_name: user.userName,
-                    numof_win: user.winCount,
-                    numof_lose: user.lostCount,
-                    user_coin: user.coins
-                });
-            }
-        }
+        const names = await redisClient.hmGet('leaderboard:names', results.map(item => item.value));
 
-        return leaderboard;
+        return {
+            total: total,
+            entries: results.map((item, index) => ({
+                rank: offset + index + 1,
+                userId: item.value,
+                userName: names[index] || item.value,
+                score: item.score
+            }))
+        };
     } catch (err) {
-        console.error('[REDIS] Error getting top players:', err);
-        return [];
+        console.error(`[REDIS] Error getting leaderboard ${key}:`, err);
+        return { total: 0, entries: [] };
     }
 }
 
 /**
- * Get player rank
+ * A player's rank (1 = first) and score on a leaderboard, or null if not on it
  */
-async function getPlayerRank(userId) {
+async function getLeaderboardRank(key, userId) {
     try {
-        const rank = await redisClient.zRevRank('leaderboard:wins', userId);
-        return rank !== null ? rank + 1 : 0;  // rank is 0-indexed
+        const [rank, score] = await Promise.all([
+            redisClient.zRevRank(key, userId),
+            redisClient.zScore(key, userId)
+        ]);
+        return rank !== null ? { rank: rank + 1, score: score } : null;
     } catch (err) {
-        console.error('[REDIS] Error getting player rank:', err);
-        return 0;
+        console.error(`[REDIS] Error getting rank of ${userId} on ${key}:`, err);
+        return null;
+    }
+}
+
+/**
+ * Store the final standings of a season. Only the first instance to archive
+ * a season writes it; returns false if it was already archived.
+ */
+async function saveSeasonArchive(season, archive) {
+    try {
+        const result = await redisClient.set(`leaderboard:archive:season:${season}`, JSON.stringify(archive), { NX: true });
+        return result === 'OK';
+    } catch (err) {
+        console.error(`[REDIS] Error archiving season ${season}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Final standings of a season, or null if it hasn't been archived
+ */
+async function getSeasonArchive(season) {
+    try {
+        const data = await redisClient.get(`leaderboard:archive:season:${season}`);
+        return data ? JSON.parse(data) : null;
+    } catch (err) {
+        console.error(`[REDIS] Error getting archive of season ${season}:`, err);
+        return null;
     }
 }
 
@@ -263,60 +704,1087 @@ async function deleteSession(sessionId) {
 }
 
 /**
- * Check if Redis is connected
+ * Save live room state (also indexed in the active rooms set)
  */
-function isRedisConnected() {
-    return redisClient.isReady;
+async function saveRoom(roomId, roomData) {
+    try {
+        await redisClient.multi()
+            .set(`room:${roomId}`, JSON.stringify(roomData))
+            .sAdd('rooms:active', roomId)
+            .exec();
+        return true;
+    } catch (err) {
+        console.error(`[REDIS] Error saving room ${roomId}:`, err);
+        return false;
+    }
 }
 
 /**
- * Get Redis info
+ * Get room state
  */
-async function getRedisInfo() {
+async function getRoom(roomId) {
     try {
-        const info = await redisClient.info();
-        return info;
+        const data = await redisClient.get(`room:${roomId}`);
+        return data ? JSON.parse(data) : null;
     } catch (err) {
-        console.error('[REDIS] Error getting info:', err);
+        console.error(`[REDIS] Error getting room ${roomId}:`, err);
         return null;
     }
 }
 
 /**
- * Get database size (number of keys)
+ * Delete room state
  */
-async function getDatabaseSize() {
+async function deleteRoom(roomId) {
     try {
-        const size = await redisClient.dbSize();
-        return size;
+        await redisClient.multi()
+            .del(`room:${roomId}`)
+            .sRem('rooms:active', roomId)
+            .exec();
+        return true;
     } catch (err) {
-        console.error('[REDIS] Error getting database size:', err);
-        return 0;
+        console.error(`[REDIS] Error deleting room ${roomId}:`, err);
+        return false;
     }
 }
 
-// Export client and helper functions
-module.exports = {
-    redisClient,
-    isRedisConnected,
+/**
+ * Get all saved rooms (used to restore games after a restart)
+ */
+async function getAllRooms() {
+    try {
+        const roomIds = await redisClient.sMembers('rooms:active');
+        const rooms = [];
 
-    // User operations
-    getUser,
-    saveUser,
-    deleteUser,
-    getAllUsers,
-    updateUserCoins,
-    updateUserStats,
+        for (const roomId of roomIds) {
+            const room = await getRoom(roomId);
+            if (room) {
+                rooms.push(room);
+            } else {
+                // Index entry without state
+                await redisClient.sRem('rooms:active', roomId);
+            }
+        }
 
-    // Leaderboard operations
-    updateLeaderboard,
-    getTopPlayers,
-    getPlayerRank,
+        return rooms;
+    } catch (err) {
+        console.error('[REDIS] Error getting all rooms:', err);
+        return [];
+    }
+}
 
-    // Session operations
-    saveSession,
-    getSession,
-    deleteSession,
+/**
+ * Get ids of all saved rooms
+ */
+async function getActiveRoomIds() {
+    try {
+        return await redisClient.sMembers('rooms:active');
+    } catch (err) {
+        console.error('[REDIS] Error getting active room ids:', err);
+        return [];
+    }
+}
+
+/**
+ * Store a finished game's replay and add it to each player's replay list.
+ * Everything expires after `ttlSeconds`.
+ */
+async function saveReplay(matchId, replay, userIds, ttlSeconds) {
+    try {
+        const multi = redisClient.multi()
+            .set(`replay:${matchId}`, JSON.stringify(replay), { EX: ttlSeconds });
+
+        for (const userId of userIds) {
+            const key = `replays:user:${userId}`;
+            multi.lPush(key, matchId)
+                .lTrim(key, 0, USER_REPLAY_LIMIT - 1)
+                .expire(key, ttlSeconds);
+        }
+
+        await multi.exec();
+        return true;
+    } catch (err) {
+        console.error(`[REDIS] Error saving replay ${matchId}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Get a replay, or null if it doesn't exist or has expired
+ */
+async function getReplay(matchId) {
+    try {
+        const data = await redisClient.get(`replay:${matchId}`);
+        return data ? JSON.parse(data) : null;
+    } catch (err) {
+        console.error(`[REDIS] Error getting replay ${matchId}:`, err);
+        return null;
+    }
+}
+
+/**
+ * Match ids of a user's most recent replays (newest first, may include expired ones)
+ */
+async function getUserReplayIds(userId, limit = 20) {
+    try {
+        return await redisClient.lRange(`replays:user:${userId}`, 0, limit - 1);
+    } catch (err) {
+        console.error(`[REDIS] Error getting replays of ${userId}:`, err);
+        return [];
+    }
+}
+
+/**
+ * Add a finished game to a player's match history and profile stats
+ * (see MATCH_RECORD_SCRIPT and profiles.js)
+ */
+async function recordMatch(userId, record, increments) {
+    try {
+        await redisClient.eval(MATCH_RECORD_SCRIPT, {
+            keys: [`stats:${userId}`, `matches:${userId}`],
+            arguments: [
+                JSON.stringify(increments),
+                record.won ? '1' : '0',
+                JSON.stringify(record),
+                String(MATCH_HISTORY_LIMIT)
+            ]
+        });
+        return true;
+    } catch (err) {
+        console.error(`[REDIS] Error recording match ${record.roomId} for ${userId}:`, err);
+        return false;
+    }
+}
+
+/**
+ * A page of a player's match history, newest first
+ */
+async function getMatchHistory(userId, offset = 0, limit = 20) {
+    try {
+        const entries = await redisClient.lRange(`matches:${userId}`, offset, offset + limit - 1);
+        return entries.map(entry => JSON.parse(entry));
+    } catch (err) {
+        console.error(`[REDIS] Error getting matches of ${userId}:`, err);
+        return [];
+    }
+}
+
+/**
+ * Profile stat counters of a player (empty if they haven't played)
+ */
+async function getProfileStats(userId) {
+    try {
+        return await redisClient.hGetAll(`stats:${userId}`);
+    } catch (err) {
+        console.error(`[REDIS] Error getting stats of ${userId}:`, err);
+        return {};
+    }
+}
+
+async function advanceGoals(key, updates, now, ttl) {
+    try {
+        const result = await redisClient.eval(GOAL_PROGRESS_SCRIPT, {
+            keys: [key],
+            arguments: [JSON.stringify(updates), String(now), String(ttl)]
+        });
+        return JSON.parse(result).map(entry => ({
+            id: entry.id,
+            progress: entry.progress,
+            completed: entry.completed === 1
+        }));
+    } catch (err) {
+        console.error(`[REDIS] Error advancing goals ${key}:`, err);
+        return [];
+    }
+}
+
+/**
+ * Advance a user's achievements (see GOAL_PROGRESS_SCRIPT and achievements.js)
+ */
+async function advanceAchievements(userId, updates, now) {
+    return advanceGoals(`achievements:${userId}`, updates, now, 0);
+}
+
+/**
+ * Advance a user's quests of a UTC day
+ */
+async function advanceQuests(userId, day, updates, now) {
+    return advanceGoals(`quests:${userId}:${day}`, updates, now, QUEST_PROGRESS_TTL);
+}
+
+/**
+ * Achievement progress of a user (empty if they have none)
+ */
+async function getAchievementProgress(userId) {
+    try {
+        return await redisClient.hGetAll(`achievements:${userId}`);
+    } catch (err) {
+        console.error(`[REDIS] Error getting achievements of ${userId}:`, err);
+        return {};
+    }
+}
+
+/**
+ * Quest progress of a user for a UTC day
+ */
+async function getQuestProgress(userId, day) {
+    try {
+        return await redisClient.hGetAll(`quests:${userId}:${day}`);
+    } catch (err) {
+        console.error(`[REDIS] Error getting quests of ${userId}:`, err);
+        return {};
+    }
+}
+
+/**
+ * Take ownership of a room if no instance holds it
+ */
+async function claimRoomOwnership(roomId, instanceId, ttlMs) {
+    try {
+        const result = await redisClient.set(`room:owner:${roomId}`, instanceId, { NX: true, PX: ttlMs });
+        return result === 'OK';
+    } catch (err) {
+        console.error(`[REDIS] Error claiming room ${roomId}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Extend our ownership lease. Returns false if another instance took the
+ * room, null if Redis couldn't be reached.
+ */
+async function renewRoomOwnership(roomId, instanceId, ttlMs) {
+    try {
+        const result = await redisClient.eval(RENEW_LEASE_SCRIPT, {
+            keys: [`room:owner:${roomId}`],
+            arguments: [instanceId, String(ttlMs)]
+        });
+        return result === 1;
+    } catch (err) {
+        console.error(`[REDIS] Error renewing room ${roomId}:`, err);
+        return null;
+    }
+}
+
+/**
+ * Give up ownership of a room
+ */
+async function releaseRoomOwnership(roomId, instanceId) {
+    try {
+        await redisClient.eval(RELEASE_LEASE_SCRIPT, {
+            keys: [`room:owner:${roomId}`],
+            arguments: [instanceId]
+        });
+        return true;
+    } catch (err) {
+        console.error(`[REDIS] Error releasing room ${roomId}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Instance id owning a room, or null
+ */
+async function getRoomOwner(roomId) {
+    try {
+        return await redisClient.get(`room:owner:${roomId}`);
+    } catch (err) {
+        console.error(`[REDIS] Error getting owner of room ${roomId}:`, err);
+        return null;
+    }
+}
+
+/**
+ * Add a user to the matchmaking queue, false if already queued
+ */
+async function addQueueEntry(entry) {
+    try {
+        return await redisClient.hSetNX('matchmaking:queue', String(entry.userId), JSON.stringify(entry));
+    } catch (err) {
+        console.error(`[REDIS] Error queueing ${entry.userId}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Remove a user from the matchmaking queue, false if they weren't queued
+ */
+async function removeQueueEntry(userId) {
+    try {
+        return await redisClient.hDel('matchmaking:queue', String(userId)) === 1;
+    } catch (err) {
+        console.error(`[REDIS] Error dequeueing ${userId}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Get a user's matchmaking queue entry, or null
+ */
+async function getQueueEntry(userId) {
+    try {
+        const data = await redisClient.hGet('matchmaking:queue', String(userId));
+        return data ? JSON.parse(data) : null;
+    } catch (err) {
+        console.error(`[REDIS] Error getting queue entry of ${userId}:`, err);
+        return null;
+    }
+}
+
+/**
+ * Everyone in the matchmaking queue (all stakes, all instances)
+ */
+async function getQueueEntries() {
+    try {
+        const entries = await redisClient.hVals('matchmaking:queue');
+        return entries.map(entry => JSON.parse(entry));
+    } catch (err) {
+        console.error('[REDIS] Error getting matchmaking queue:', err);
+        return [];
+    }
+}
+
+/**
+ * Lock so only one instance forms matches at a time
+ */
+async function acquireMatchmakingLock(instanceId, ttlMs) {
+    try {
+        const result = await redisClient.set('matchmaking:lock', instanceId, { NX: true, PX: ttlMs });
+        return result === 'OK';
+    } catch (err) {
+        console.error('[REDIS] Error acquiring matchmaking lock:', err);
+        return false;
+    }
+}
+
+async function releaseMatchmakingLock(instanceId) {
+    try {
+        await redisClient.eval(RELEASE_LEASE_SCRIPT, {
+            keys: ['matchmaking:lock'],
+            arguments: [instanceId]
+        });
+        return true;
+    } catch (err) {
+        console.error('[REDIS] Error releasing matchmaking lock:', err);
+        return false;
+    }
+}
+
+/**
+ * Friend ids of a user
+ */
+async function getFriendIds(userId) {
+    try {
+        return await redisClient.sMembers(`friends:${userId}`);
+    } catch (err) {
+        console.error(`[REDIS] Error getting friends of ${userId}:`, err);
+        return [];
+    }
+}
+
+/**
+ * Make two users friends and drop any requests between them
+ */
+async function addFriendship(userId, friendId) {
+    try {
+        await redisClient.multi()
+            .sAdd(`friends:${userId}`, String(friendId))
+            .sAdd(`friends:${friendId}`, String(userId))
+            .sRem(`friend_requests:${userId}`, String(friendId))
+            .sRem(`friend_requests:${friendId}`, String(userId))
+            .exec();
+        return true;
+    } catch (err) {
+        console.error(`[REDIS] Error adding friendship ${userId} <-> ${friendId}:`, err);
+        return false;
+    }
+}
+
+async function removeFriendship(userId, friendId) {
+    try {
+        await redisClient.multi()
+            .sRem(`friends:${userId}`, String(friendId))
+            .sRem(`friends:${friendId}`, String(userId))
+            .exec();
+        return true;
+    } catch (err) {
+        console.error(`[REDIS] Error removing friendship ${userId} <-> ${friendId}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Store a friend request, false if it was already pending
+ */
+async function addFriendRequest(fromUserId, toUserId) {
+    try {
+        return await redisClient.sAdd(`friend_requests:${toUserId}`, String(fromUserId)) === 1;
+    } catch (err) {
+        console.error(`[REDIS] Error adding friend request ${fromUserId} -> ${toUserId}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Drop a friend request, false if there was none
+ */
+async function removeFriendRequest(fromUserId, toUserId) {
+    try {
+        return await redisClient.sRem(`friend_requests:${toUserId}`, String(fromUserId)) === 1;
+    } catch (err) {
+        console.error(`[REDIS] Error removing friend request ${fromUserId} -> ${toUserId}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Ids of users who sent this user a friend request
+ */
+async function getFriendRequestIds(userId) {
+    try {
+        return await redisClient.sMembers(`friend_requests:${userId}`);
+    } catch (err) {
+        console.error(`[REDIS] Error getting friend requests of ${userId}:`, err);
+        return [];
+    }
+}
+
+/**
+ * Save a user's presence; it expires in case their instance dies
+ */
+async function savePresence(userId, presence, ttlSeconds) {
+    try {
+        await redisClient.set(`presence:${userId}`, JSON.stringify(presence), { EX: ttlSeconds });
+        return true;
+    } catch (err) {
+        console.error(`[REDIS] Error saving presence of ${userId}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Keep the presence of users from expiring, returns the ids of those whose
+ * presence was already gone
+ */
+async function touchPresences(userIds, ttlSeconds) {
+    if (userIds.length === 0) return [];
+
+    try {
+        const multi = redisClient.multi();
+        userIds.forEach(userId => multi.expire(`presence:${userId}`, ttlSeconds));
+        const replies = await multi.exec();
+        return userIds.filter((userId, index) => !replies[index]);
+    } catch (err) {
+        console.error('[REDIS] Error touching presences:', err);
+        return [];
+    }
+}
+
+/**
+ * Presence of several users, null for users without one (offline)
+ */
+async function getPresences(userIds) {
+    if (userIds.length === 0) return [];
+
+    try {
+        const data = await redisClient.mGet(userIds.map(userId => `presence:${userId}`));
+        return data.map(presence => presence ? JSON.parse(presence) : null);
+    } catch (err) {
+        console.error('[REDIS] Error getting presences:', err);
+        return userIds.map(() => null);
+    }
+}
+
+/**
+ * Save a device's push token (one entry per device)
+ */
+async function savePushToken(userId, deviceId, entry) {
+    try {
+        await redisClient.hSet(`push_tokens:${userId}`, String(deviceId), JSON.stringify(entry));
+        return true;
+    } catch (err) {
+        console.error(`[REDIS] Error saving push token of ${userId}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Push tokens of a user: { deviceId: { token, platform, updatedAt } }
+ */
+async function getPushTokens(userId) {
+    try {
+        const data = await redisClient.hGetAll(`push_tokens:${userId}`);
+        const tokens = {};
+        Object.entries(data).forEach(([deviceId, entry]) => {
+            tokens[deviceId] = JSON.parse(entry);
+        });
+        return tokens;
+    } catch (err) {
+        console.error(`[REDIS] Error getting push tokens of ${userId}:`, err);
+        return {};
+    }
+}
+
+async function removePushToken(userId, deviceId) {
+    try {
+        await redisClient.hDel(`push_tokens:${userId}`, String(deviceId));
+        return true;
+    } catch (err) {
+        console.error(`[REDIS] Error removing push token of ${userId}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Notification opt-outs of a user: { type: '0' | '1' }
+ */
+async function getPushSettings(userId) {
+    try {
+        return await redisClient.hGetAll(`push_settings:${userId}`);
+    } catch (err) {
+        console.error(`[REDIS] Error getting push settings of ${userId}:`, err);
+        return {};
+    }
+}
+
+async function savePushSettings(userId, settings) {
+    try {
+        await redisClient.hSet(`push_settings:${userId}`, settings);
+        return true;
+    } catch (err) {
+        console.error(`[REDIS] Error saving push settings of ${userId}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Rate limit for pushes, true if this push may be sent
+ */
+async function acquirePushSlot(userId, type, gapMs, hourlyLimit) {
+    try {
+        const result = await redisClient.eval(PUSH_SLOT_SCRIPT, {
+            keys: [`push_gap:${userId}:${type}`, `push_count:${userId}`],
+            arguments: [String(gapMs), String(hourlyLimit)]
+        });
+        return result === 1;
+    } catch (err) {
+        console.error(`[REDIS] Error taking push slot of ${userId}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Schedule a reminder push; the same reminder scheduled again just moves
+ */
+async function schedulePush(reminder, at) {
+    try {
+        await redisClient.zAdd('push:schedule', { score: at, value: JSON.stringify(reminder) });
+        return true;
+    } catch (err) {
+        console.error('[REDIS] Error scheduling push:', err);
+        return false;
+    }
+}
+
+/**
+ * Take reminders that are due. Each one is handed to one instance only.
+ */
+async function takeDuePushes(now, limit = 100) {
+    try {
+        const due = await redisClient.zRangeByScore('push:schedule', 0, now, { LIMIT: { offset: 0, count: limit } });
+        const taken = [];
+        for (const reminder of due) {
+            if (await redisClient.zRem('push:schedule', reminder) === 1) {
+                taken.push(JSON.parse(reminder));
+            }
+        }
+        return taken;
+    } catch (err) {
+        console.error('[REDIS] Error taking due pushes:', err);
+        return [];
+    }
+}
+
+/**
+ * Get a runtime config document (e.g. payout tables), or null if not set
+ */
+async function getConfig(name) {
+    try {
+        const data = await redisClient.get(`config:${name}`);
+        return data ? JSON.parse(data) : null;
+    } catch (err) {
+        console.error(`[REDIS] Error getting config ${name}:`, err);
+        return null;
+    }
+}
+
+async function saveConfig(name, config) {
+    try {
+        await redisClient.set(`config:${name}`, JSON.stringify(config));
+        return true;
+    } catch (err) {
+        console.error(`[REDIS] Error saving config ${name}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Add rake from one settled game to the house ledger (total and per day)
+ */
+async function addHouseRake(amount, day) {
+    try {
+        await redisClient.multi()
+            .hIncrBy('house:rake', 'total', amount)
+            .hIncrBy('house:rake', 'games', 1)
+            .hIncrBy('house:rake', `day:${day}`, amount)
+            .exec();
+        return true;
+    } catch (err) {
+        console.error('[REDIS] Error adding house rake:', err);
+        return false;
+    }
+}
+
+/**
+ * Add what bots staked and won in one settled game to the house ledger
+ */
+async function addHouseBotFunds(staked, won) {
+    try {
+        await redisClient.multi()
+            .hIncrBy('house:rake', 'bot_stakes', staked)
+            .hIncrBy('house:rake', 'bot_winnings', won)
+            .exec();
+        return true;
+    } catch (err) {
+        console.error('[REDIS] Error adding house bot funds:', err);
+        return false;
+    }
+}
+
+/**
+ * House ledger fields: total, games, day:YYYY-MM-DD, bot_stakes, bot_winnings
+ */
+async function getHouseRake() {
+    try {
+        return await redisClient.hGetAll('house:rake');
+    } catch (err) {
+        console.error('[REDIS] Error getting house rake:', err);
+        return {};
+    }
+}
+
+/**
+ * Store a player report for review. Reports expire after `ttlSeconds`.
+ */
+async function saveReport(report, ttlSeconds) {
+    try {
+        await redisClient.multi()
+            .set(`report:${report.id}`, JSON.stringify(report), { EX: ttlSeconds })
+            .zAdd('reports', { score: report.createdAt, value: report.id })
+            .zRemRangeByScore('reports', 0, Date.now() - ttlSeconds * 1000)
+            .exec();
+        return true;
+    } catch (err) {
+        console.error(`[REDIS] Error saving report ${report.id}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Most recent player reports, newest first
+ */
+async function getReports(limit = 50) {
+    try {
+        const ids = await redisClient.zRange('reports', 0, limit - 1, { REV: true });
+        if (ids.length === 0) return [];
+
+        const data = await redisClient.mGet(ids.map(id => `report:${id}`));
+        return data.filter(Boolean).map(item => JSON.parse(item));
+    } catch (err) {
+        console.error('[REDIS] Error getting reports:', err);
+        return [];
+    }
+}
+
+/**
+ * Ban a user, for `ttlSeconds` or until unbanned if null
+ */
+async function saveBan(userId, ban, ttlSeconds) {
+    try {
+        const options = ttlSeconds ? { EX: ttlSeconds } : {};
+        await redisClient.set(`ban:${userId}`, JSON.stringify(ban), options);
+        return true;
+    } catch (err) {
+        console.error(`[REDIS] Error saving ban of ${userId}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Get a user's ban, or null if they aren't banned
+ */
+async function getBan(userId) {
+    try {
+        const data = await redisClient.get(`ban:${userId}`);
+        return data ? JSON.parse(data) : null;
+    } catch (err) {
+        console.error(`[REDIS] Error getting ban of ${userId}:`, err);
+        return null;
+    }
+}
+
+/**
+ * Lift a ban, returns false if the user wasn't banned
+ */
+async function deleteBan(userId) {
+    try {
+        return await redisClient.del(`ban:${userId}`) > 0;
+    } catch (err) {
+        console.error(`[REDIS] Error deleting ban of ${userId}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Append an admin action to the audit log
+ */
+async function addAuditEntry(entry) {
+    try {
+        await redisClient.multi()
+            .lPush('admin:audit', JSON.stringify(entry))
+            .lTrim('admin:audit', 0, AUDIT_LOG_LIMIT - 1)
+            .exec();
+        return true;
+    } catch (err) {
+        console.error(`[REDIS] Error saving audit entry ${entry.action}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Most recent admin actions, newest first
+ */
+async function getAuditLog(limit = 100) {
+    try {
+        const entries = await redisClient.lRange('admin:audit', 0, limit - 1);
+        return entries.map(entry => JSON.parse(entry));
+    } catch (err) {
+        console.error('[REDIS] Error getting audit log:', err);
+        return [];
+    }
+}
+
+/**
+ * Save a tournament. Finished and cancelled ones expire after
+ * TOURNAMENT_RETENTION.
+ */
+async function saveTournament(tournament) {
+    try {
+        const key = `tournament:${tournament.tournamentId}`;
+        const over = tournament.status === 'finished' || tournament.status === 'cancelled';
+
+        await redisClient.multi()
+            .set(key, JSON.stringify(tournament), over ? { EX: TOURNAMENT_RETENTION } : {})
+            .zAdd('tournaments', { score: tournament.createdAt, value: tournament.tournamentId })
+            .exec();
+        return true;
+    } catch (err) {
+        console.error(`[REDIS] Error saving tournament ${tournament.tournamentId}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Get a tournament, or null if there is no such tournament
+ */
+async function getTournament(tournamentId) {
+    try {
+        const data = await redisClient.get(`tournament:${tournamentId}`);
+        return data ? JSON.parse(data) : null;
+    } catch (err) {
+        console.error(`[REDIS] Error getting tournament ${tournamentId}:`, err);
+        return null;
+    }
+}
+
+/**
+ * Most recent tournaments, newest first. Expired ones are dropped from the index.
+ */
+async function getTournaments(limit = 50) {
+    try {
+        const ids = await redisClient.zRange('tournaments', 0, limit - 1, { REV: true });
+        if (ids.length === 0) return [];
+
+        const entries = await redisClient.mGet(ids.map(id => `tournament:${id}`));
+        const expired = ids.filter((id, index) => !entries[index]);
+        if (expired.length > 0) {
+            await redisClient.zRem('tournaments', expired);
+        }
+
+        return entries.filter(Boolean).map(entry => JSON.parse(entry));
+    } catch (err) {
+        console.error('[REDIS] Error getting tournaments:', err);
+        return [];
+    }
+}
+
+// Locks are held by one update at a time, `owner` is unique per update
+async function acquireTournamentLock(tournamentId, owner, ttlMs) {
+    try {
+        const result = await redisClient.set(`tournament:lock:${tournamentId}`, owner, { NX: true, PX: ttlMs });
+        return result === 'OK';
+    } catch (err) {
+        console.error(`[REDIS] Error acquiring tournament lock ${tournamentId}:`, err);
+        return false;
+    }
+}
+
+async function releaseTournamentLock(tournamentId, owner) {
+    try {
+        await redisClient.eval(RELEASE_LEASE_SCRIPT, {
+            keys: [`tournament:lock:${tournamentId}`],
+            arguments: [owner]
+        });
+        return true;
+    } catch (err) {
+        console.error(`[REDIS] Error releasing tournament lock ${tournamentId}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Get login credential (hashed secret) for a user
+ */
+async function getAuthCredential(userId) {
+    try {
+        const data = await redisClient.get(`auth:${userId}`);
+        return data ? JSON.parse(data) : null;
+    } catch (err) {
+        console.error(`[REDIS] Error getting auth credential ${userId}:`, err);
+        return null;
+    }
+}
+
+/**
+ * Save login credential for a user (only if none exists yet)
+ */
+async function saveAuthCredential(userId, credential) {
+    try {
+        const result = await redisClient.set(`auth:${userId}`, JSON.stringify(credential), { NX: true });
+        return result === 'OK';
+    } catch (err) {
+        console.error(`[REDIS] Error saving auth credential ${userId}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Save a one-time migration secret (hashed) for an account created before
+ * logins needed a secret, replacing any earlier one
+ */
+async function saveAuthMigration(userId, migration, ttlSeconds) {
+    try {
+        await redisClient.set(`auth:migration:${userId}`, JSON.stringify(migration), { EX: ttlSeconds });
+        return true;
+    } catch (err) {
+        console.error(`[REDIS] Error saving auth migration ${userId}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Use up a user's migration secret if `secretHash` matches it (see
+ * AUTH_MIGRATION_CLAIM_SCRIPT), so it works only once
+ */
+async function claimAuthMigration(userId, secretHash, now) {
+    try {
+        const claimed = await redisClient.eval(AUTH_MIGRATION_CLAIM_SCRIPT, {
+            keys: [`auth:migration:${userId}`],
+            arguments: [secretHash, String(now)]
+        });
+        return claimed === 1;
+    } catch (err) {
+        console.error(`[REDIS] Error claiming auth migration ${userId}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Check if Redis is connected
+ */
+function isRedisConnected() {
+    return redisClient.isReady;
+}
+
+/**
+ * Resolve true once Redis is ready, or false after timeoutMs
+ */
+function waitForRedis(timeoutMs = 5000) {
+    if (redisClient.isReady) return Promise.resolve(true);
+
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+            redisClient.off('ready', onReady);
+            resolve(false);
+        }, timeoutMs);
+
+        function onReady() {
+            clearTimeout(timer);
+            resolve(true);
+        }
+
+        redisClient.once('ready', onReady);
+    });
+}
+
+/**
+ * Get Redis info
+ */
+async function getRedisInfo() {
+    try {
+        const info = await redisClient.info();
+        return info;
+    } catch (err) {
+        console.error('[REDIS] Error getting info:', err);
+        return null;
+    }
+}
+
+/**
+ * Get database size (number of keys)
+ */
+async function getDatabaseSize() {
+    try {
+        const size = await redisClient.dbSize();
+        return size;
+    } catch (err) {
+        console.error('[REDIS] Error getting database size:', err);
+        return 0;
+    }
+}
+
+// Export client and helper functions
+module.exports = {
+    redisClient,
+    isRedisConnected,
+    waitForRedis,
+
+    // User operations
+    getUser,
+    saveUser,
+    deleteUser,
+    getAllUsers,
+    updateUserCoins,
+    updateUserStats,
+    incrementUserStats,
+
+    // Coin ledger
+    applyCoinTransaction,
+    claimUserReward,
+    getTransactions,
+    transferGift,
+    getGiftHistory,
+
+    // Leaderboard operations
+    updateLeaderboards,
+    getLeaderboardPage,
+    getLeaderboardRank,
+    saveSeasonArchive,
+    getSeasonArchive,
+
+    // Session operations
+    saveSession,
+    getSession,
+    deleteSession,
+
+    // Room operations
+    saveRoom,
+    getRoom,
+    deleteRoom,
+    getAllRooms,
+    getActiveRoomIds,
+
+    // Replays
+    saveReplay,
+    getReplay,
+    getUserReplayIds,
+
+    // Match history + profile stats
+    recordMatch,
+    getMatchHistory,
+    getProfileStats,
+
+    // Achievements + quests
+    advanceAchievements,
+    advanceQuests,
+    getAchievementProgress,
+    getQuestProgress,
+
+    // Multi-instance operations
+    claimRoomOwnership,
+    renewRoomOwnership,
+    releaseRoomOwnership,
+    getRoomOwner,
+
+    // Matchmaking queue
+    addQueueEntry,
+    removeQueueEntry,
+    getQueueEntry,
+    getQueueEntries,
+    acquireMatchmakingLock,
+    releaseMatchmakingLock,
+
+    // Friends + presence
+    getFriendIds,
+    addFriendship,
+    removeFriendship,
+    addFriendRequest,
+    removeFriendRequest,
+    getFriendRequestIds,
+    savePresence,
+    touchPresences,
+    getPresences,
+
+    // Push notifications
+    savePushToken,
+    getPushTokens,
+    removePushToken,
+    getPushSettings,
+    savePushSettings,
+    acquirePushSlot,
+    schedulePush,
+    takeDuePushes,
+
+    // Runtime config + house ledger
+    getConfig,
+    saveConfig,
+    addHouseRake,
+    addHouseBotFunds,
+    getHouseRake,
+
+    // Moderation
+    saveReport,
+    getReports,
+
+    // Admin
+    saveBan,
+    getBan,
+    deleteBan,
+    addAuditEntry,
+    getAuditLog,
+
+    // Tournaments
+    saveTournament,
+    getTournament,
+    getTournaments,
+    acquireTournamentLock,
+    releaseTournamentLock,
+
+    // Auth operations
+    getAuthCredential,
+    saveAuthCredential,
+    saveAuthMigration,
+    claimAuthMigration,
 
     // Info operations
     getRedisInfo,
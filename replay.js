@@ -0,0 +1,124 @@
+// ==========================================
+// MATCH REPLAYS (event log + playback timing)
+// ==========================================
+//
+// While a game runs every state change is appended to room.gameData.events.
+// At game over the log is wrapped in a replay document and stored with a
+// retention period. Bump REPLAY_VERSION whenever the event format changes, so
+// clients and dispute tools know how to read older replays.
+//
+// Event types (all fields snake_case, `at` is a ms timestamp):
+//   game_start     { players }
+//   dice           { peer_id, dice_face, roll_nonce }
+//   move           { peer_id, token_id, from, to, dice_face, captures, extra_turn, moved_by }
+//                  (moved_by: seat that made the move, a partner's in 2v2 games)
+//   turn           { peer_id }
+//   turn_timeout   { peer_id, numoftimeout }
+//   player_timeout { peer_id, reason }
+//   bot_takeover   { peer_id }
+//   disconnect     { peer_id }
+//   reconnect      { peer_id }
+//   leave          { peer_id }
+//   win            { peer_id }
+//   game_over      { results }
+
+const REPLAY_VERSION = 4;
+
+const MIN_REPLAY_SPEED = 0.25;
+const MAX_REPLAY_SPEED = 16;
+const MAX_REPLAY_GAP = 3000; // Long pauses (e.g. timeouts) are shortened when played back
+
+/**
+ * Append an event to a room's log
+ */
+function recordEvent(room, type, data = {}) {
+    const gameData = room.gameData;
+    if (!gameData.events) gameData.events = [];
+
+    gameData.events.push({
+        seq: gameData.events.length,
+        at: Date.now(),
+        type: type,
+        ...data
+    });
+}
+
+/**
+ * Replay document for a finished game. The dice seed is included so every
+ * roll can be checked with fair-dice.js verifyRolls.
+ */
+function buildReplay(room, results) {
+    const events = room.gameData.events || [];
+
+    return {
+        version: REPLAY_VERSION,
+        match_id: room.matchId || room.roomId,
+        room_id: room.roomId,
+        room_coin: room.betAmount,
+        room_players_size: room.maxPlayers,
+        is_private: room.isPrivate,
+        started_at: events.length > 0 ? events[0].at : room.createdAt,
+        ended_at: Date.now(),
+        players: room.players.map(p => ({
+            peer_id: p.peerId,
+            user_id: p.userId,
+            user_name: p.userName,
+            is_bot: !!p.bot,
+            rating: Number.isFinite(p.rating) ? p.rating : null
+        })),
+        dice: room.fairDice ? {
+            server_seed: room.fairDice.serverSeed,
+            server_seed_hash: room.fairDice.serverSeedHash,
+            client_seed: room.fairDice.clientSeed,
+            roll_count: room.fairDice.nonce
+        } : null,
+        results: results,
+        events: events
+    };
+}
+
+/**
+ * Short description of a replay for a player's replay list
+ */
+function summarizeReplay(replay, userId) {
+    const result = (replay.results || []).find(r => r.user_id === userId);
+
+    return {
+        match_id: replay.match_id || replay.room_id,
+        room_id: replay.room_id,
+        room_coin: replay.room_coin,
+        room_players_size: replay.room_players_size,
+        started_at: replay.started_at,
+        ended_at: replay.ended_at,
+        players: replay.players.map(p => p.user_name),
+        player_rank: result ? result.player_rank : null,
+        winning_coin: result ? result.winning_coin : 0
+    };
+}
+
+/**
+ * Playback speed clamped to the supported range (1 = real time)
+ */
+function normalizeSpeed(speed) {
+    const value = Number(speed);
+    if (!Number.isFinite(value) || value <= 0) return 1;
+    return Math.min(Math.max(value, MIN_REPLAY_SPEED), MAX_REPLAY_SPEED);
+}
+
+/**
+ * Delay before playing `next` after `previous` at the given speed
+ */
+function getReplayDelay(previous, next, speed) {
+    const gap = Math.min(Math.max(next.at - previous.at, 0), MAX_REPLAY_GAP);
+    return Math.round(gap / speed);
+}
+
+module.exports = {
+    REPLAY_VERSION,
+
+    recordEvent,
+    buildReplay,
+    summarizeReplay,
+    normalizeSpeed,
+    getReplayDelay
+};
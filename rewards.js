@@ -0,0 +1,75 @@
+// ==========================================
+// DAILY REWARDS + FREE-COIN REFILLS
+// ==========================================
+//
+// Daily reward: claimable once per UTC day. Claiming on consecutive days
+// builds a streak that multiplies the reward; missing a day starts over.
+// Refill: a fixed amount for players who can't afford the smallest stake,
+// at most once per REFILL_COOLDOWN.
+//
+// Claim state lives on the user record (flat fields, see redis-client.js):
+//   lastDailyClaimDay  UTC day number of the last daily claim
+//   dailyStreak        streak of that claim
+//   lastRefillAt       ms timestamp of the last refill
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DAILY_REWARD_BASE = 100;
+const STREAK_MULTIPLIERS = [1, 1.5, 2, 2.5, 3, 4, 5]; // Day 7 and later get the last one
+
+const REFILL_AMOUNT = 500;
+const REFILL_COOLDOWN = 4 * 60 * 60 * 1000; // 4 hours
+
+/**
+ * UTC day number of a timestamp
+ */
+function getRewardDay(now) {
+    return Math.floor(now / DAY_MS);
+}
+
+function getStreakReward(streak) {
+    const multiplier = STREAK_MULTIPLIERS[Math.min(streak, STREAK_MULTIPLIERS.length) - 1];
+    return Math.round(DAILY_REWARD_BASE * multiplier);
+}
+
+/**
+ * Daily reward state of a user: whether it can be claimed now, the streak
+ * and amount of the next claim, and when it can be claimed
+ */
+function getDailyReward(user, now) {
+    const today = getRewardDay(now);
+    const lastDay = Number.isInteger(user.lastDailyClaimDay) ? user.lastDailyClaimDay : null;
+    const claimedToday = lastDay === today;
+
+    // The streak goes on tomorrow if the user claimed today
+    const continues = claimedToday || lastDay === today - 1;
+    const streak = continues ? (user.dailyStreak || 0) + 1 : 1;
+
+    return {
+        available: !claimedToday,
+        streak: streak,
+        amount: getStreakReward(streak),
+        next_claim_at: claimedToday ? (today + 1) * DAY_MS : now
+    };
+}
+
+/**
+ * Refill state of a user, `minStake` is the smallest stake in the app
+ */
+function getRefill(user, now, minStake) {
+    const nextAt = (user.lastRefillAt || 0) + REFILL_COOLDOWN;
+    const broke = (user.coins || 0) < minStake;
+
+    return {
+        available: broke && now >= nextAt,
+        amount: REFILL_AMOUNT,
+        next_refill_at: Math.max(nextAt, now),
+        below_minimum: broke
+    };
+}
+
+module.exports = {
+    getRewardDay,
+    getDailyReward,
+    getRefill
+};
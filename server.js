@@ -14,6 +14,8 @@ const io = new Server(server, {
     transports: ['websocket', 'polling']
 });
 
+app.use(express.json());
+
 // ===== REDIS CLIENT =====
 const {
     isRedisConnected,
@@ -23,15 +25,276 @@ const {
     getAllUsers,
     updateUserCoins,
     updateUserStats,
-    updateLeaderboard,
-    getTopPlayers,
-    getDatabaseSize
+    incrementUserStats,
+    applyCoinTransaction,
+    claimUserReward,
+    getTransactions,
+    transferGift,
+    getGiftHistory,
+    updateLeaderboards,
+    getLeaderboardPage,
+    getLeaderboardRank,
+    saveSeasonArchive,
+    getSeasonArchive,
+    saveSession,
+    getSession,
+    deleteSession,
+    getDatabaseSize,
+    getAuthCredential,
+    saveAuthCredential,
+    saveAuthMigration,
+    claimAuthMigration,
+    getFriendIds,
+    addFriendship,
+    removeFriendship,
+    addFriendRequest,
+    removeFriendRequest,
+    getFriendRequestIds,
+    savePresence,
+    touchPresences,
+    getPresences,
+    savePushToken,
+    getPushTokens,
+    removePushToken,
+    getPushSettings,
+    savePushSettings,
+    acquirePushSlot,
+    schedulePush,
+    takeDuePushes,
+    saveRoom,
+    deleteRoom,
+    getAllRooms,
+    getRoom,
+    getActiveRoomIds,
+    saveReplay,
+    getReplay,
+    getUserReplayIds,
+    recordMatch,
+    getMatchHistory,
+    getProfileStats,
+    advanceAchievements,
+    advanceQuests,
+    getAchievementProgress,
+    getQuestProgress,
+    claimRoomOwnership,
+    renewRoomOwnership,
+    releaseRoomOwnership,
+    getRoomOwner,
+    addQueueEntry,
+    removeQueueEntry,
+    getQueueEntry,
+    getQueueEntries,
+    acquireMatchmakingLock,
+    releaseMatchmakingLock,
+    getConfig,
+    saveConfig,
+    addHouseRake,
+    addHouseBotFunds,
+    getHouseRake,
+    saveReport,
+    getReports,
+    saveBan,
+    getBan,
+    deleteBan,
+    addAuditEntry,
+    getAuditLog,
+    saveTournament,
+    getTournament,
+    getTournaments,
+    acquireTournamentLock,
+    releaseTournamentLock,
+    waitForRedis
 } = require('./redis-client');
 
+// ===== MULTI-INSTANCE =====
+const {
+    CLUSTER_ENABLED,
+    INSTANCE_ID,
+    ROOM_LEASE_TTL,
+    LEASE_RENEW_INTERVAL,
+    ORPHAN_SCAN_INTERVAL,
+    setupAdapter,
+    RemoteSocket,
+    describeSocket,
+    forwardRoomAction
+} = require('./cluster');
+
+// ===== AUTH =====
+const {
+    issueToken,
+    verifyToken,
+    createLoginSecret,
+    createResumeToken,
+    hashSecret,
+    checkSecret,
+    checkApiKey,
+    socketAuthMiddleware
+} = require('./auth');
+
+// ===== GAME RULES =====
+const {
+    createBoard,
+    getTeam,
+    getPartner,
+    getLegalMoves,
+    validateMove,
+    applyMove,
+    getProgress,
+    hasFinished
+} = require('./ludo-engine');
+const { createDiceSeed, rollDice } = require('./fair-dice');
+
+// ===== MATCHMAKING =====
+const {
+    DEFAULT_RATING,
+    TEAM_PLAYER_COUNT,
+    getRatingWindow,
+    findMatches,
+    buildFillGroup,
+    getTeamUnits,
+    buildTeamGroup,
+    seatTeams,
+    findTeamMatches,
+    calculateRatingChanges
+} = require('./matchmaking');
+
+// ===== REPLAYS =====
+const {
+    recordEvent,
+    buildReplay,
+    summarizeReplay,
+    normalizeSpeed,
+    getReplayDelay
+} = require('./replay');
+
+// ===== PAYOUTS =====
+const {
+    DEFAULT_PAYOUT_CONFIG,
+    validatePayoutConfig,
+    calculateRake,
+    splitPot,
+    splitTeamPot
+} = require('./payouts');
+
+// ===== LEADERBOARDS =====
+const {
+    LEADERBOARD_STAT,
+    LEADERBOARD_PERIOD,
+    isLeaderboardStat,
+    isLeaderboardPeriod,
+    getSeason,
+    getSeasonDates,
+    getLeaderboardKey,
+    getPeriodEnd,
+    buildScoreUpdates
+} = require('./leaderboards');
+
+// ===== MATCH HISTORY + PROFILES =====
+const {
+    buildMatchRecord,
+    buildStatIncrements,
+    formatProfileStats,
+    formatMatchRecord
+} = require('./profiles');
+
+// ===== ACHIEVEMENTS + QUESTS =====
+const {
+    GOAL_EVENT,
+    ACHIEVEMENTS,
+    DAILY_QUESTS,
+    getQuestDay,
+    getQuestResetAt,
+    getGoalUpdates,
+    getGoal,
+    formatGoal
+} = require('./achievements');
+
+// ===== TOURNAMENTS =====
+const {
+    TOURNAMENT_STATUS,
+    TABLE_STATUS,
+    validateTournamentSettings,
+    createTournament,
+    getTournamentSettings,
+    getPrizePool,
+    addNextRound,
+    getTableWinner,
+    isRoundComplete,
+    getRoundWinners,
+    completeTournament,
+    formatTournament
+} = require('./tournaments');
+
+// ===== REWARDS =====
+const { getRewardDay, getDailyReward, getRefill } = require('./rewards');
+
+// ===== PUSH NOTIFICATIONS =====
+const {
+    NOTIFICATION_TYPE,
+    PUSH_INTERVALS,
+    PUSH_HOURLY_LIMIT,
+    buildMessage,
+    resolvePushSettings,
+    takeMemoryPushSlot,
+    sendToDevices,
+    createPushProvider
+} = require('./notifications');
+
+// ===== GIFTS =====
+const { GIFT_CATALOG, getGift, getRecipientCredit } = require('./gifts');
+
+// ===== CHAT MODERATION =====
+const {
+    DEFAULT_CHAT_CONFIG,
+    validateChatConfig,
+    filterChatMessage,
+    allowChatMessage
+} = require('./moderation');
+
+// ===== BOTS =====
+const {
+    BOT_DIFFICULTY,
+    getBotDifficulty,
+    createBotIdentity,
+    getThinkingTime,
+    chooseBotMove,
+    BotSocket
+} = require('./bots');
+
 // ===== IN-MEMORY STORAGE (Fallback nếu Redis không available) =====
 const users = new Map(); // userId -> userData (fallback)
-const rooms = new Map(); // roomId -> roomData
+const rooms = new Map(); // roomId -> roomData (in cluster mode: rooms this instance owns)
 const userSockets = new Map(); // userId -> socketId
+const localPresences = new Map(); // userId -> last presence worked out for users connected here
+const authCredentials = new Map(); // userId -> login credential (fallback)
+const authMigrations = new Map(); // userId -> pending migration secret of an existing account (fallback)
+const transactions = new Map(); // userId -> coin ledger, newest first (fallback)
+const giftHistory = new Map(); // userId -> gifts sent and received, newest first (fallback)
+const matchQueue = new Map(); // userId -> matchmaking queue entry (fallback)
+const queueWaitTimes = new Map(); // queue key -> average wait until matched (ms)
+const replays = new Map(); // matchId -> replay of a finished game (fallback)
+const userReplays = new Map(); // userId -> matchIds of their replays, newest first (fallback)
+const matchHistory = new Map(); // userId -> match records, newest first (fallback)
+const profileStats = new Map(); // userId -> profile stat counters (fallback)
+const achievementProgress = new Map(); // userId -> achievement progress hash (fallback)
+const questProgress = new Map(); // userId -> { day, progress } of today's quests (fallback)
+const tournaments = new Map(); // tournamentId -> tournament (fallback)
+const gameSessions = new Map(); // userId -> { roomId, resumeToken } of their running game (fallback)
+const houseRake = { total: 0, games: 0, bot_stakes: 0, bot_winnings: 0 }; // House ledger: total, games, day:YYYY-MM-DD, bot_stakes, bot_winnings (fallback)
+let payoutConfig = DEFAULT_PAYOUT_CONFIG; // Payout tables + rake, tunable at runtime
+let chatConfig = DEFAULT_CHAT_CONFIG; // Chat filter + rate limit, tunable at runtime
+const reports = []; // Player reports, newest first (fallback)
+const bans = new Map(); // userId -> { reason, bannedBy, createdAt, expiresAt } (fallback)
+const auditLog = []; // Admin actions, newest first (fallback)
+const leaderboards = new Map(); // board key -> { scores: Map userId -> score, expiresAt } (fallback)
+const seasonArchives = new Map(); // season -> final standings (fallback)
+const friends = new Map(); // userId -> Set of friend userIds (fallback)
+const friendRequests = new Map(); // userId -> Set of userIds who sent them a request (fallback)
+const presences = new Map(); // userId -> { state, room_code } of users who aren't offline (fallback)
+const pushTokens = new Map(); // userId -> { deviceId: { token, platform, updatedAt } } (fallback)
+const pushSettings = new Map(); // userId -> { type: enabled } (fallback)
+const pushLimits = { slots: new Map(), counts: new Map() }; // Push rate limits, see takeMemoryPushSlot (fallback)
+const pushSchedule = new Map(); // `${userId}:${reward}` -> { reminder, at } (fallback)
 
 // ===== CONSTANTS =====
 const GAME_STATUS = {
@@ -47,8 +310,86 @@ const PLAYER_STATUS = {
     TIMEOUT: 3
 };
 
+// Where a user is, as their friends see it
+const PRESENCE = {
+    OFFLINE: 'offline',
+    ONLINE: 'online',
+    IN_LOBBY: 'in_lobby', // Matchmaking queue or a friend room that hasn't started
+    IN_GAME: 'in_game'
+};
+
+// Phase of the current player's turn
+const TURN_PHASE = {
+    ROLL: 'roll',   // Waiting for the dice roll
+    MOVE: 'move'    // Dice rolled, waiting for a token move
+};
+
+// Coin ledger entry types
+const TRANSACTION_TYPE = {
+    BET_DEBIT: 'bet_debit',
+    PAYOUT: 'payout',
+    REFUND: 'refund',
+    GIFT: 'gift',
+    GIFT_RECEIVED: 'gift_received',
+    BONUS: 'bonus',
+    DAILY_REWARD: 'daily_reward',
+    REFILL: 'refill',
+    ACHIEVEMENT: 'achievement',
+    QUEST: 'quest',
+    TOURNAMENT_ENTRY: 'tournament_entry',
+    TOURNAMENT_PRIZE: 'tournament_prize',
+    ADMIN_ADJUSTMENT: 'admin_adjustment'
+};
+
 const MAX_PLAYERS = 4;
 const TURN_TIMEOUT = 30000; // 30 seconds
+const MEMORY_TRANSACTION_LIMIT = 500; // Ledger entries kept per user in memory
+const MEMORY_GIFT_LIMIT = 100; // Gifts kept per user in memory
+const DISCONNECT_GRACE_PERIOD = 30000; // 30 seconds to reconnect
+const GAME_SESSION_TTL = 2 * 60 * 60; // Resume sessions outlive any game (seconds)
+const ROOM_CLEANUP_DELAY = 10000; // Finished rooms are kept 10s for late events
+const RESTORED_TURN_MIN_TIME = 10000; // Minimum turn time after a restart, so players can reconnect
+const MATCHMAKING_INTERVAL = 2000; // How often queued players are matched
+const MATCHMAKING_LOCK_TTL = 10000; // Cluster mode: one instance matches at a time
+const DEFAULT_QUEUE_WAIT = 30000; // Wait estimate before a queue has any matches
+const BOT_FILL_WAIT = parseInt(process.env.BOT_FILL_WAIT || '30000', 10); // Queue wait before bots fill the match, 0 = never
+const MAX_SPECTATORS = 50; // Per room
+const REPLAY_RETENTION = parseInt(process.env.REPLAY_RETENTION_DAYS || '30', 10) * 24 * 60 * 60; // seconds
+const MEMORY_REPLAY_LIMIT = 200; // Replays kept in memory without Redis
+const USER_REPLAY_LIST_SIZE = 20; // Replays sent in replay_list
+const BOT_TAKEOVER_ENABLED = process.env.BOT_TAKEOVER !== 'false'; // Bots take over seats of timed out/disconnected humans
+const TEAM_PARTNER_MOVES = process.env.TEAM_PARTNER_MOVES !== 'false'; // 2v2 matchmaking: players who got home move their partner's tokens
+const CONFIG_REFRESH_INTERVAL = 30000; // How often runtime config is reloaded from Redis
+const MIN_STAKE = parseInt(process.env.MIN_STAKE || '100', 10); // Smallest stake in the app, players below it can claim a refill
+const AUTH_MIGRATION_TTL = 7 * 24 * 60 * 60; // Migration secrets of existing accounts can be used for 7 days (seconds)
+const MAX_FRIENDS = 200;
+const INVITE_TTL = 60000; // Game invites can be accepted for 1 minute
+const PRESENCE_TTL = 10 * 60; // Presence of users whose instance died expires (seconds)
+const PRESENCE_REFRESH_INTERVAL = 5 * 60 * 1000;
+const MAX_PUSH_DEVICES = 5; // Per user, the oldest token is dropped
+const PUSH_SCHEDULE_INTERVAL = 60000; // How often due reward reminders are sent
+const CHAT_LOG_SIZE = 50; // Messages kept per room as context for reports
+const REPORT_RETENTION = 90 * 24 * 60 * 60; // seconds
+const MEMORY_REPORT_LIMIT = 500; // Reports kept in memory without Redis
+const REPORT_DETAILS_MAX_LENGTH = 500;
+
+const REPORT_REASONS = ['abusive_chat', 'spam', 'cheating', 'inappropriate_name', 'other'];
+const MEMORY_AUDIT_LIMIT = 1000; // Admin actions kept in memory without Redis
+const LEADERBOARD_PAGE_LIMIT = 100; // Entries per leaderboard page at most
+const AROUND_ME_RANGE = 5; // Players shown above and below in "around me" by default
+const MAX_AROUND_ME_RANGE = 25;
+const SEASON_ARCHIVE_SIZE = 100; // Final standings kept per board of a season
+const SEASON_CHECK_INTERVAL = 10 * 60 * 1000; // How often ended seasons are archived
+const MEMORY_MATCH_LIMIT = 200; // Matches kept per user in memory
+const MATCH_HISTORY_PAGE_LIMIT = 50;
+const PROFILE_RECENT_MATCHES = 10; // Matches sent with a profile
+const TOURNAMENT_CHECK_INTERVAL = 5000; // How often tournaments due to start or seed a round are checked
+const TOURNAMENT_ROUND_BREAK = 15000; // Between the end of a round and the start of the next
+const TOURNAMENT_LOCK_TTL = 5000;
+const TOURNAMENT_LOCK_WAIT = 100; // Retry delay while another update holds the lock
+const TOURNAMENT_LOCK_RETRIES = 50;
+const TOURNAMENT_LIST_LIMIT = 50;
+const TOURNAMENT_CHECK_LIMIT = 200; // Newest tournaments looked at by the check
 
 // ===== HELPER FUNCTIONS =====
 function createRoom(roomId, hostUserId, betAmount, playerCount) {
@@ -61,9 +402,30 @@ function createRoom(roomId, hostUserId, betAmount, playerCount) {
         players: [],
         currentTurn: 0,
         turnTimer: null, // Timer for auto turn change
+        botTimer: null, // Next action of a bot seat
+        graceTimers: {}, // userId -> timer ending a disconnected player's grace period
+        turnDeadline: null, // When the current turn times out (ms timestamp)
+        escrow: {}, // userId -> stake held until the game is settled or abandoned
+        spectators: {}, // userId -> { userName, socketId }, watching read-only
+        invites: {}, // Friend rooms: invited userId -> { fromUserId, fromUserName, expiresAt }
+        chatLog: [], // Last CHAT_LOG_SIZE messages, see recordChat
+        chatSentAt: {}, // userId -> times of their recent messages (rate limit)
+        mutes: {}, // userId -> userIds whose chat and emojis they don't get
+        reported: [], // `${reporterId}:${reportedId}` pairs, one report each per game
+        isPrivate: false, // Friend rooms don't change ratings
+        settled: false, // Payouts done, escrow released
+        fairDice: null, // Secret dice seed (see fair-dice.js), never sent before game over
+        startedAt: null,
+        matchId: null, // Unique per game, set on game start (friend room codes get reused)
+        tournament: null, // { tournamentId, round, table } of a tournament table
+        teamMode: false, // 2v2: opposite seats are partners, see TEAM MODE
+        partnerMoves: false, // 2v2: a player who got home plays on with their partner's tokens
+        winningTeam: null, // 2v2: set when the game is settled
         gameData: {
             lastDice: 0,
-            moves: []
+            turnPhase: TURN_PHASE.ROLL,
+            board: null, // Created on game start (see ludo-engine.js)
+            events: [] // Replay log (see replay.js)
         },
         createdAt: Date.now()
     };
@@ -77,20 +439,41 @@ function createPlayer(userId, userName, peerId, socketId) {
         socketId: socketId,
         status: PLAYER_STATUS.PLAYING,
         numoftimeout: 0, // Track number of timeouts
+        bot: null, // { difficulty, takeover } when the server plays this seat
+        connected: true,
+        graceDeadline: null, // While disconnected: when the seat is given up (ms timestamp)
+        resumeToken: null, // Issued at game start, see resume_game
+        finishOrder: null, // 1 = first player to win or drop out, see markPlayerDone
+        finishedAt: null,
+        captures: 0, // Opponent tokens sent back to base, for profile stats
         joinedAt: Date.now()
     };
 }
 
-function findAvailableRoom(betAmount, playerCount) {
-    for (let [roomId, room] of rooms.entries()) {
-        if (room.status === GAME_STATUS.WAITING &&
-            room.betAmount === betAmount &&
-            room.maxPlayers === playerCount &&
-            room.players.length < playerCount) {
-            return room;
-        }
+// Seat a matchmaking player whose bet is already deducted
+function seatPlayer(socket, room, rating) {
+    // Add player to room, stake is held until the game ends (a bot's stake
+    // is house funds, see recordHouseBotFunds)
+    const player = createPlayer(socket.userId, socket.userName, room.players.length, socket.id);
+    player.rating = rating; // Rating when the game started, used to settle it
+    player.bot = socket.bot || null;
+    room.players.push(player);
+    room.escrow[socket.userId] = room.betAmount;
+
+    // Join socket room
+    socket.join(room.roomId);
+    socket.currentRoomId = room.roomId;
+
+    // console.log(`[PLAYER_JOINED] ${socket.userName} joined room ${room.roomId} as peer ${player.peerId}`);
+
+    // If room is full, start game
+    if (room.players.length === room.maxPlayers) {
+        startGame(room);
+    } else {
+        persistRoom(room);
     }
-    return null;
+
+    return player;
 }
 
 function getNextTurn(room) {
@@ -105,7 +488,7 @@ function getNextTurn(room) {
 
     while (attempts < room.players.length) {
         const player = room.players[nextIndex];
-        if (player && (player.status === PLAYER_STATUS.PLAYING)) {
+        if (player && isInRotation(room, player)) {
             return nextIndex;
         }
         nextIndex = (nextIndex + 1) % room.players.length;
@@ -115,20 +498,276 @@ function getNextTurn(room) {
     return -1;
 }
 
-function startTurnTimer(room) {
+// Move the turn to the next playing peer and notify the room.
+// Returns false if nobody is left to play.
+function passTurn(room) {
+    const nextTurn = getNextTurn(room);
+    if (nextTurn === -1) return false;
+
+    room.currentTurn = nextTurn;
+    room.gameData.turnPhase = TURN_PHASE.ROLL;
+
+    const nextPlayer = room.players[nextTurn];
+    recordEvent(room, 'turn', { peer_id: nextPlayer.peerId });
+    io.to(withSpectators(room.roomId)).emit('turn_changed', JSON.stringify(nextPlayer.peerId));
+    // console.log(`[TURN_CHANGE] Room ${room.roomId}, Next turn: Peer ${nextPlayer.peerId}`);
+
+    // Start timer for next turn
+    startTurnTimer(room);
+    persistRoom(room);
+    return true;
+}
+
+// Tell the sender that a game action was refused by the server
+function rejectAction(socket, action, message) {
+    socket.emit('action_rejected', JSON.stringify({ action: action, message: message }));
+    console.log(`[REJECTED] ${action} from socket ${socket.id}: ${message}`);
+}
+
+// The authenticated socket's seat in a room, or undefined
+function getSocketPlayer(room, socket) {
+    return room.players.find(p => p.userId === socket.userId);
+}
+
+// Returns the socket's player if it's their turn in a running game, null otherwise
+function getTurnPlayer(room, socket) {
+    if (room.status !== GAME_STATUS.PLAYING) return null;
+
+    const player = room.players[room.currentTurn];
+    if (!player || player.userId !== socket.userId || !isInRotation(room, player)) {
+        return null;
+    }
+    // A seat taken over by a bot stays with the bot
+    if (!!player.bot !== !!socket.isBot) return null;
+    return player;
+}
+
+function buildGameStartData(room) {
+    return {
+        room_id: room.roomId,
+        room_coin: room.betAmount,
+        // Commitment for the dice seed, revealed in dice_seed_reveal at game over
+        dice_seed_hash: room.fairDice.serverSeedHash,
+        dice_client_seed: room.fairDice.clientSeed,
+        team_mode: room.teamMode,
+        partner_moves: room.partnerMoves,
+        userdata: room.players.map(p => {
+            // Get user data or use defaults
+            const userData = users.get(p.userId) || {
+                user_coin: 1000,
+                numof_win: 0,
+                numof_lose: 0,
+                user_level: 1
+            };
+
+            return {
+                peer_id: p.peerId,
+                user_id: p.userId,
+                user_name: p.userName,
+                user_coin: userData.user_coin || 1000,
+                numof_win: userData.numof_win || 0,
+                numof_lose: userData.numof_lose || 0,
+                user_level: userData.user_level || 1,
+                login_type: p.bot ? 'Bot' : (userData.login_type || 'Guest'),
+                is_bot: !!p.bot,
+                team: room.teamMode ? getTeam(p.peerId) : null
+            };
+        })
+    };
+}
+
+// Send game over and reveal the dice seed so players can verify every roll
+function emitGameOver(room, payload) {
+    io.to(withSpectators(room.roomId)).emit('game_over', JSON.stringify(payload));
+
+    if (room.fairDice) {
+        io.to(withSpectators(room.roomId)).emit('dice_seed_reveal', JSON.stringify({
+            room_id: room.roomId,
+            server_seed: room.fairDice.serverSeed,
+            server_seed_hash: room.fairDice.serverSeedHash,
+            client_seed: room.fairDice.clientSeed,
+            roll_count: room.fairDice.nonce
+        }));
+    }
+}
+
+// Room is full: set up the board, notify players and start the first turn.
+// Players in `busyUserIds` are still in another game (tournament tables) and
+// keep that game's resume session.
+function startGame(room, busyUserIds = []) {
+    room.status = GAME_STATUS.PLAYING;
+    room.startedAt = Date.now();
+    room.matchId = uuidv4();
+    room.currentTurn = 0; // First player starts
+    room.gameData.board = createBoard(room.players.length, room.teamMode);
+    room.gameData.turnPhase = TURN_PHASE.ROLL;
+    room.fairDice = createDiceSeed(room.roomId);
+
+    const gameStartData = buildGameStartData(room);
+    recordEvent(room, 'game_start', { players: gameStartData.userdata });
+    io.to(withSpectators(room.roomId)).emit('game_start', JSON.stringify(gameStartData));
+
+    room.players
+        .filter(player => !player.bot && !busyUserIds.includes(player.userId))
+        .forEach(player => startGameSession(room, player));
+    // console.log(`[GAME_START] Room ${room.roomId} started with ${room.players.length} players`);
+
+    // Start turn timer for first player
+    startTurnTimer(room);
+    persistRoom(room);
+}
+
+// Player is done with the game: won, left or timed out. The order decides the
+// final ranking, see calculateGameResults.
+function markPlayerDone(room, player, status) {
+    player.status = status;
+    player.finishOrder = room.players.filter(p => p.finishOrder).length + 1;
+    player.finishedAt = Date.now();
+}
+
+// Player has all tokens home. Ends the game if at most one player is left
+// (team mode: once their team has won, see getDecidedTeam).
+async function handlePlayerWin(room, player) {
+    markPlayerDone(room, player, PLAYER_STATUS.WIN);
+    recordEvent(room, 'win', { peer_id: player.peerId });
+
+    // Broadcast win
+    io.to(withSpectators(room.roomId)).emit('win_game', JSON.stringify(player.peerId));
+    console.log(`[WIN] Room ${room.roomId}, Peer ${player.peerId} finished`);
+
+    // Check if game is over (only 1 player left or all finished)
+    const playingCount = room.players.filter(p => p.status === PLAYER_STATUS.PLAYING).length;
+
+    if (room.teamMode ? getDecidedTeam(room) !== -1 : playingCount <= 1) {
+        await finishGame(room);
+        // console.log(`[GAME_OVER] Room ${room.roomId} finished`);
+    } else if (room.players[room.currentTurn] === player) {
+        passTurn(room);
+    } else {
+        persistRoom(room);
+    }
+}
+
+// End the game: settle the escrow, send results and drop the room shortly after
+async function finishGame(room) {
+    room.status = GAME_STATUS.FINISHED;
+
+    // Clear turn timer when game ends
+    clearTurnTimer(room);
+
+    if (room.teamMode) {
+        settleTeamGame(room);
+    }
+
+    // Calculate results with ranking and winning coins
+    const results = calculateGameResults(room);
+    const firstFinish = !room.settled;
+
+    // Update player coins and stats
+    await updatePlayerCoinsAndStats(room, results);
+
+    if (firstFinish) {
+        recordEvent(room, 'game_over', { results: results });
+        await storeReplay(room, results);
+        await storeMatchHistory(room, results);
+        await trackGameGoals(room, results);
+    }
+
+    emitGameOver(room, results);
+    persistRoom(room);
+
+    if (room.tournament) {
+        await finishTournamentTable(room, results);
+    }
+
+    // Clean up room after delay
+    setTimeout(() => {
+        removeRoom(room.roomId);
+        // console.log(`[CLEANUP] Room ${room.roomId} deleted`);
+    }, ROOM_CLEANUP_DELAY);
+
+    return results;
+}
+
+// Player gave up their seat in a running game (left or was kicked), their
+// stake stays in the pot. Ends the game if at most one player is left.
+async function handlePlayerLeft(room, player) {
+    markPlayerDone(room, player, PLAYER_STATUS.LEFT);
+    recordEvent(room, 'leave', { peer_id: player.peerId });
+    clearGraceTimer(room, player);
+    endGameSession(room, player);
+
+    // Check if game should end
+    const activeCount = room.players.filter(p =>
+        p.status === PLAYER_STATUS.PLAYING
+    ).length;
+
+    if (room.teamMode && room.status === GAME_STATUS.PLAYING) {
+        if (!await checkTeamGameOver(room)) {
+            persistRoom(room);
+        }
+    } else if (activeCount === 0) {
+        removeRoom(room.roomId); // Clears the turn timer too
+        // console.log(`[CLEANUP] Empty room ${room.roomId} deleted`);
+    } else if (activeCount === 1 && room.status === GAME_STATUS.PLAYING) {
+        // Only 1 player left, auto win
+        clearTurnTimer(room);
+
+        // Find remaining player and mark as winner
+        const winner = room.players.find(p => p.status === PLAYER_STATUS.PLAYING);
+        if (winner) {
+            markPlayerDone(room, winner, PLAYER_STATUS.WIN);
+            recordEvent(room, 'win', { peer_id: winner.peerId });
+            io.to(withSpectators(room.roomId)).emit('win_game', JSON.stringify(winner.peerId));
+        }
+
+        // Send game over with full results
+        const results = await finishGame(room);
+        console.log(`[GAME_OVER] Players left - Results: ${JSON.stringify(results)}`);
+    } else if (room.status === GAME_STATUS.PLAYING && !hasHumansPlaying(room)) {
+        // Only bots left to play
+        await finishGame(room);
+    } else {
+        persistRoom(room);
+    }
+}
+
+function startTurnTimer(room, delay = TURN_TIMEOUT) {
     // Clear existing timer
     if (room.turnTimer) {
         clearTimeout(room.turnTimer);
     }
 
+    // Deadline is persisted so the timer can be re-armed after a restart
+    room.turnDeadline = Date.now() + delay;
+
+    scheduleBotAction(room);
+
+    const turnPlayer = room.players[room.currentTurn];
+    if (turnPlayer && !turnPlayer.bot && isInRotation(room, turnPlayer)) {
+        notifyUser(turnPlayer.userId, NOTIFICATION_TYPE.TURN, { room_id: room.roomId });
+    }
+
     // Set new timer for current turn
     room.turnTimer = setTimeout(async () => {
         console.log(`[TURN_TIMEOUT] Room ${room.roomId}, Peer ${room.players[room.currentTurn]?.peerId} timeout`);
 
         const currentPlayer = room.players[room.currentTurn];
-        if (currentPlayer && currentPlayer.status === PLAYER_STATUS.PLAYING) {
+        if (currentPlayer && currentPlayer.status === PLAYER_STATUS.WIN && isInRotation(room, currentPlayer)) {
+            // Finished partners aren't struck out, they just miss the turn
+            passTurn(room);
+        } else if (currentPlayer && currentPlayer.status === PLAYER_STATUS.PLAYING &&
+            room.graceTimers[currentPlayer.userId]) {
+            // Disconnected: the grace period alone decides on the seat, so
+            // missed turns don't count as strikes meanwhile
+            if (!passTurn(room)) await finishGame(room);
+        } else if (currentPlayer && currentPlayer.status === PLAYER_STATUS.PLAYING) {
             // Increase timeout counter
             currentPlayer.numoftimeout++;
+            recordEvent(room, 'turn_timeout', {
+                peer_id: currentPlayer.peerId,
+                numoftimeout: currentPlayer.numoftimeout
+            });
 
             // Notify timeout counter
             io.to(room.roomId).emit('user_timeout_counter', JSON.stringify({
@@ -136,9 +775,12 @@ function startTurnTimer(room) {
                 numoftimeout: currentPlayer.numoftimeout
             }));
 
-            // After 3 timeouts, mark as timeout and remove from game
-            if (currentPlayer.numoftimeout >= 3) {
-                currentPlayer.status = PLAYER_STATUS.TIMEOUT;
+            // After 3 timeouts a bot takes the seat, or the player is out of the game
+            if (currentPlayer.numoftimeout >= 3 && !takeOverSeat(room, currentPlayer)) {
+                markPlayerDone(room, currentPlayer, PLAYER_STATUS.TIMEOUT);
+                recordEvent(room, 'player_timeout', { peer_id: currentPlayer.peerId, reason: 'turn_timeouts' });
+                clearGraceTimer(room, currentPlayer);
+                endGameSession(room, currentPlayer);
                 io.to(room.roomId).emit('user_timeout', JSON.stringify(currentPlayer.peerId));
                 console.log(`[TIMEOUT] Player ${currentPlayer.userName} (peer ${currentPlayer.peerId}) marked as timeout after 3 strikes`);
 
@@ -146,838 +788,5500 @@ function startTurnTimer(room) {
                 const activeCount = room.players.filter(p => p.status === PLAYER_STATUS.PLAYING).length;
                 console.log(`[TIMEOUT_CHECK] Active players remaining: ${activeCount}`);
 
-                if (activeCount === 1) {
+                if (room.teamMode) {
+                    if (await checkTeamGameOver(room)) return;
+                } else if (activeCount === 1) {
                     // Find the last remaining player
                     const winner = room.players.find(p => p.status === PLAYER_STATUS.PLAYING);
                     if (winner) {
-                        winner.status = PLAYER_STATUS.WIN;
+                        markPlayerDone(room, winner, PLAYER_STATUS.WIN);
+                        recordEvent(room, 'win', { peer_id: winner.peerId });
                         console.log(`[AUTO_WIN] Player ${winner.userName} (peer ${winner.peerId}) wins - all opponents timeout`);
 
                         // Send win notification to all players
-                        io.to(room.roomId).emit('win_game', JSON.stringify(winner.peerId));
+                        io.to(withSpectators(room.roomId)).emit('win_game', JSON.stringify(winner.peerId));
 
                         // End game
                         clearTurnTimer(room);
                         room.status = GAME_STATUS.FINISHED;
+                        persistRoom(room);
 
                         // Send game over with full ranking
                         setTimeout(async () => {
-                            const results = calculateGameResults(room);
-                            await updatePlayerCoinsAndStats(room, results);
-                            io.to(room.roomId).emit('game_over', JSON.stringify(results));
+                            const results = await finishGame(room);
                             console.log(`[GAME_OVER] Results: ${JSON.stringify(results)}`);
                         }, 2000); // Give 2 seconds to show win animation
 
                         return; // Don't continue to turn change
                     }
-                } else if (activeCount === 0) {
-                    // All players timeout
-                    clearTurnTimer(room);
-                    const results = calculateGameResults(room);
-                    await updatePlayerCoinsAndStats(room, results);
-                    io.to(room.roomId).emit('game_over', JSON.stringify(results));
+                } else if (activeCount === 0 || !hasHumansPlaying(room)) {
+                    // All players timeout (bots don't play on by themselves)
+                    const results = await finishGame(room);
                     console.log(`[GAME_OVER] All timeout - Results: ${JSON.stringify(results)}`);
                     return;
                 }
             }
 
             // Auto change turn (only if game not ended)
-            const nextTurn = getNextTurn(room);
-            if (nextTurn !== -1) {
-                room.currentTurn = nextTurn;
-                const nextPlayer = room.players[nextTurn];
-                io.to(room.roomId).emit('turn_changed', JSON.stringify(nextPlayer.peerId));
-                // console.log(`[AUTO_TURN_CHANGE] Room ${room.roomId}, Next turn: Peer ${nextPlayer.peerId}`);
-
-                // Start timer for next turn
-                startTurnTimer(room);
-            } else {
+            if (!passTurn(room)) {
                 // No active players - game over
-                clearTurnTimer(room);
-                const results = calculateGameResults(room);
-                await updatePlayerCoinsAndStats(room, results);
-                io.to(room.roomId).emit('game_over', JSON.stringify(results));
+                const results = await finishGame(room);
                 console.log(`[GAME_OVER] No active players - Results: ${JSON.stringify(results)}`);
             }
         }
-    }, TURN_TIMEOUT);
+    }, delay);
 }
 
-function clearTurnTimer(room) {
-    if (room.turnTimer) {
-        clearTimeout(room.turnTimer);
-        room.turnTimer = null;
-    }
+// ===== TEAM MODE =====
+// 2v2 rooms (teamMode): opposite seats are partners (see getTeam), in seat
+// order of the match or, in friend rooms, join order. A team wins when both
+// partners got all their tokens home; everyone still playing then stops and
+// the winning team splits the pot (see calculateGameResults). With
+// partnerMoves a player who got home keeps taking turns and moves their
+// partner's tokens until the partner is home too.
+
+// Whether a player takes turns: while still in the game, and with partner
+// moves also after getting home, for as long as their partner is playing
+function isInRotation(room, player) {
+    if (player.status === PLAYER_STATUS.PLAYING) return true;
+    if (!room.teamMode || !room.partnerMoves || player.status !== PLAYER_STATUS.WIN) return false;
+
+    const partner = room.players[getPartner(player.peerId)];
+    return !!partner && partner.status === PLAYER_STATUS.PLAYING;
 }
 
-function calculateGameResults(room) {
-    // Calculate rankings and winning coins
-    const betAmount = room.betAmount;
-    const playerCount = room.maxPlayers;
-
-    // Sort players: WIN first, then PLAYING, then TIMEOUT/LEFT
-    const sortedPlayers = [...room.players].sort((a, b) => {
-        if (a.status === PLAYER_STATUS.WIN && b.status !== PLAYER_STATUS.WIN) return -1;
-        if (a.status !== PLAYER_STATUS.WIN && b.status === PLAYER_STATUS.WIN) return 1;
-        return 0;
-    });
+// Player whose tokens the turn player moves: their own, or their partner's
+// once they got home (see isInRotation)
+function getMovingPlayer(room, player) {
+    if (!room.teamMode || player.status === PLAYER_STATUS.PLAYING) return player;
+    return room.players[getPartner(player.peerId)];
+}
 
-    // Calculate winning coins based on ranking
-    const results = sortedPlayers.map((player, index) => {
-        let winning_coin = 0;
-        let player_rank = index + 1;
-
-        if (player.status === PLAYER_STATUS.WIN) {
-            if (playerCount === 2) {
-                // 2 players: Winner gets 2x bet
-                winning_coin = betAmount * 2;
-            } else if (playerCount === 4) {
-                // 4 players: 1st gets 3x, 2nd gets 1x
-                if (player_rank === 1) {
-                    winning_coin = betAmount * 3;
-                } else if (player_rank === 2) {
-                    winning_coin = betAmount;
-                }
-            }
-        }
+function getTeamPlayers(room, team) {
+    return room.players.filter(p => getTeam(p.peerId) === team);
+}
 
+// Team with more players home, then with more progress on the board
+function getLeadingTeam(room) {
+    const board = room.gameData.board;
+    const score = team => {
+        const players = getTeamPlayers(room, team);
         return {
-            user_name: player.userName,
-            user_id: player.userId,
-            winning_coin: winning_coin,
-            player_rank: player_rank,
-            player_status: player.status
+            home: players.filter(p => p.status === PLAYER_STATUS.WIN).length,
+            progress: players.reduce((sum, p) => sum + (board ? getProgress(board, p.peerId) : 0), 0)
         };
-    });
+    };
 
-    return results;
+    const [first, second] = [score(0), score(1)];
+    if (first.home !== second.home) return first.home > second.home ? 0 : 1;
+    return first.progress >= second.progress ? 0 : 1;
 }
 
-// Update player coins and stats after game ends
-async function updatePlayerCoinsAndStats(room, results) {
-    for (const result of results) {
-        let user;
+// Team that has won, or -1 while both can still win. A team wins with both
+// partners home, or when the other can't finish any more (a partner left or
+// timed out); if neither can, the leading team wins.
+function getDecidedTeam(room) {
+    const isHome = team => getTeamPlayers(room, team).every(p => p.status === PLAYER_STATUS.WIN);
+    const canFinish = team => getTeamPlayers(room, team).every(p =>
+        p.status === PLAYER_STATUS.PLAYING || p.status === PLAYER_STATUS.WIN
+    );
 
-        // Get user from Redis or Memory
-        if (isRedisConnected()) {
-            user = await getUser(result.user_id);
-        } else {
-            user = users.get(result.user_id);
+    if (isHome(0)) return 0;
+    if (isHome(1)) return 1;
+    if (canFinish(0) && canFinish(1)) return -1;
+    if (!canFinish(0) && !canFinish(1)) return getLeadingTeam(room);
+    return canFinish(0) ? 0 : 1;
+}
+
+// Settle a team game once: the winning team's players still in the game win
+// with it, and a losing partner who got home lost after all (back to PLAYING,
+// so results, stats and history count the loss). A game ended early (e.g. no
+// humans left) goes to the leading team.
+function settleTeamGame(room) {
+    if (room.winningTeam !== null) return;
+
+    const decided = getDecidedTeam(room);
+    room.winningTeam = decided !== -1 ? decided : getLeadingTeam(room);
+
+    room.players.forEach(player => {
+        const won = getTeam(player.peerId) === room.winningTeam;
+
+        if (won && player.status === PLAYER_STATUS.PLAYING) {
+            markPlayerDone(room, player, PLAYER_STATUS.WIN);
+            recordEvent(room, 'win', { peer_id: player.peerId });
+            io.to(withSpectators(room.roomId)).emit('win_game', JSON.stringify(player.peerId));
+        } else if (!won && player.status === PLAYER_STATUS.WIN) {
+            player.status = PLAYER_STATUS.PLAYING;
+            player.finishOrder = null;
+            player.finishedAt = null;
         }
+    });
 
-        if (!user) continue;
+    console.log(`[TEAM_WIN] Room ${room.roomId}, team ${room.winningTeam} won`);
+}
 
-        // Add winning coins
-        user.coins += result.winning_coin;
+// End a team game once it's decided or no human is left to play it.
+// Returns true if the game is over.
+async function checkTeamGameOver(room) {
+    if (getDecidedTeam(room) === -1 && hasHumansPlaying(room)) return false;
 
-        // Update stats
-        user.totalGamesPlayed = (user.totalGamesPlayed || 0) + 1;
+    await finishGame(room);
+    return true;
+}
 
-        if (result.player_status === PLAYER_STATUS.WIN) {
-            user.winCount++;
-            // Level up every 10 wins
-            user.level = Math.floor(1 + (user.winCount / 10));
-        } else {
-            user.lostCount++;
-        }
+// ===== ROOM PERSISTENCE =====
+// Live rooms are mirrored to Redis on every transition and restored on boot.
+// Timers aren't stored, only their deadlines.
 
-        // Save back to storage
-        if (isRedisConnected()) {
-            await saveUser(result.user_id, user);
-            await updateLeaderboard(result.user_id, user.winCount);
-        } else {
-            users.set(result.user_id, user);
+function serializeRoom(room) {
+    const { turnTimer, botTimer, graceTimers, chatSentAt, ...state } = room;
+    return state;
+}
+
+function persistRoom(room) {
+    if (!isRedisConnected()) return;
+    saveRoom(room.roomId, serializeRoom(room));
+}
+
+function removeRoom(roomId) {
+    const room = rooms.get(roomId);
+    if (room) {
+        clearTurnTimer(room);
+        room.players.forEach(player => {
+            clearGraceTimer(room, player);
+            endGameSession(room, player);
+        });
+    }
+
+    rooms.delete(roomId);
+    io.in(getSpectatorRoom(roomId)).socketsLeave(getSpectatorRoom(roomId));
+
+    if (isRedisConnected()) {
+        deleteRoom(roomId);
+        if (CLUSTER_ENABLED) {
+            releaseRoomOwnership(roomId, INSTANCE_ID);
         }
+    }
+}
 
-        console.log(`[COINS_UPDATE] ${user.userName}: +${result.winning_coin} (Total: ${user.coins}) | W/L: ${user.winCount}/${user.lostCount}`);
+// Add a new room to this instance (cluster mode: take the ownership lease).
+// Returns false if another instance already has a room with this id.
+async function registerRoom(room) {
+    if (CLUSTER_ENABLED && !await claimRoomOwnership(room.roomId, INSTANCE_ID, ROOM_LEASE_TTL)) {
+        return false;
     }
+
+    rooms.set(room.roomId, room);
+    return true;
 }
 
-// ===== SOCKET.IO CONNECTION =====
-io.on('connection', (socket) => {
-    console.log(`[CONNECT] Socket connected: ${socket.id}`);
+// Give a disconnected player DISCONNECT_GRACE_PERIOD to come back (see
+// resumePlayer). Like the turn timer, only the deadline is persisted and the
+// timer is re-armed with the time left after a restart.
+function startGracePeriod(room, player, delay = DISCONNECT_GRACE_PERIOD) {
+    clearGraceTimer(room, player);
 
-    // ===== USER AUTHENTICATION =====
-    socket.on('add_user', async (data) => {
-        try {
-            const { user_id, user_name, fcm_token } = JSON.parse(data);
+    player.connected = false;
+    player.graceDeadline = Date.now() + delay;
+
+    room.graceTimers[player.userId] = setTimeout(() => {
+        delete room.graceTimers[player.userId];
+        player.graceDeadline = null;
 
-            // Chỉ lưu socket mapping, không tạo user data ở đây
-            // User data sẽ được tạo khi gọi get_userdata
-            userSockets.set(user_id, socket.id);
-            socket.userId = user_id;
+        if (rooms.get(room.roomId) !== room || room.status !== GAME_STATUS.PLAYING ||
+            player.bot || player.status !== PLAYER_STATUS.PLAYING) {
+            return;
+        }
 
-            // Generate auth token (in production, use JWT)
-            const authToken = `token_${user_id}_${Date.now()}`;
+        if (takeOverSeat(room, player)) {
+            scheduleBotAction(room);
+            persistRoom(room);
+            return;
+        }
 
-            socket.emit('auth_token', authToken);
-            console.log(`[ADD_USER] User ${user_name} (${user_id}) connected - Socket: ${socket.id}`);
+        markPlayerDone(room, player, PLAYER_STATUS.TIMEOUT);
+        recordEvent(room, 'player_timeout', { peer_id: player.peerId, reason: 'disconnected' });
+        io.to(room.roomId).emit('user_timeout', JSON.stringify(player.peerId));
+        endGameSession(room, player);
 
-        } catch (error) {
-            console.error('[ADD_USER] Error:', error);
-            socket.emit('error', { message: 'Failed to add user' });
+        if (room.teamMode) {
+            checkTeamGameOver(room).then(over => {
+                if (!over) persistRoom(room);
+            });
+        } else if (!hasHumansPlaying(room)) {
+            // Only bots left to play
+            finishGame(room);
+        } else {
+            persistRoom(room);
         }
-    });
+    }, delay);
+}
 
-    // ===== GET USER DATA =====
-    socket.on('get_userdata', async (data) => {
-        try {
-            const { user_id, user_name } = JSON.parse(data);
+function clearGraceTimer(room, player) {
+    const timer = room.graceTimers[player.userId];
+    if (timer) {
+        clearTimeout(timer);
+        delete room.graceTimers[player.userId];
+    }
+}
 
-            // Try Redis first
-            let user = isRedisConnected() ? await getUser(user_id) : users.get(user_id);
+// Load rooms saved before a restart (cluster mode: only rooms no live
+// instance owns).
+async function restoreRooms() {
+    const savedRooms = await getAllRooms();
 
-            // Nếu chưa có user, tạo mới với giá trị mặc định
-            if (!user) {
-                // const userName = `Guest${Math.floor(Math.random() * 10000)}`;
-                user = {
-                    userId: user_id,
-                    userName: user_name,
-                    fcmToken: '',
-                    coins: 1000,
-                    level: 1,
-                    winCount: 0,
-                    lostCount: 0,
-                    totalGamesPlayed: 0,
-                    createdAt: Date.now()
-                };
+    for (const state of savedRooms) {
+        if (CLUSTER_ENABLED && !await claimRoomOwnership(state.roomId, INSTANCE_ID, ROOM_LEASE_TTL)) {
+            continue;
+        }
+        await restoreRoom(state);
+    }
+}
 
-                // Save to Redis or Memory
-                if (isRedisConnected()) {
-                    await saveUser(user_id, user);
-                    console.log(`[NEW_USER] Created via get_userdata: ${userName} (${user_id}) with 1000 coins (Redis)`);
-                } else {
-                    users.set(user_id, user);
-                    console.log(`[NEW_USER] Created via get_userdata: ${userName} (${user_id}) with 1000 coins (Memory)`);
-                }
-            } else {
-                console.log(`[GET_USERDATA] ${user.userName} - Coins: ${user.coins}, W/L: ${user.winCount}/${user.lostCount}`);
-            }
+// Resume one saved room on this instance. Waiting rooms can't be resumed
+// (their players were never seated in a game), so they are refunded and dropped.
+async function restoreRoom(state) {
+    // Sockets didn't survive the restart, spectators have to come back themselves
+    const room = {
+        chatLog: [],
+        mutes: {},
+        reported: [],
+        ...state,
+        turnTimer: null,
+        botTimer: null,
+        graceTimers: {},
+        chatSentAt: {},
+        spectators: {}
+    };
 
-            // Return full user data including coins and stats
-            const userData = {
-                user_id: user.userId,
-                user_name: user.userName,
-                user_coin: user.coins,
-                numof_win: user.winCount,
-                numof_lose: user.lostCount,
-                user_level: user.level,
-                total_games: user.totalGamesPlayed || 0
-            };
-            socket.emit('user_data', JSON.stringify(userData));
+    if (room.status === GAME_STATUS.WAITING) {
+        for (const userId of Object.keys(room.escrow || {})) {
+            await refundStake(room, userId, 'server_restart');
+        }
+        removeRoom(room.roomId);
+        console.log(`[RESTORE] Waiting room ${room.roomId} refunded and removed`);
+        return;
+    }
 
-        } catch (error) {
-            console.error('[GET_USERDATA] Error:', error);
-            socket.emit('error', { message: 'Failed to get user data' });
+    if (room.status === GAME_STATUS.FINISHED) {
+        if (!room.settled) {
+            const results = calculateGameResults(room);
+            await updatePlayerCoinsAndStats(room, results);
+
+            recordEvent(room, 'game_over', { results: results });
+            await storeReplay(room, results);
+            await storeMatchHistory(room, results);
+            await trackGameGoals(room, results);
         }
-    });
+        if (room.tournament) {
+            await finishTournamentTable(room, calculateGameResults(room));
+        }
+        removeRoom(room.roomId);
+        return;
+    }
 
-    // ===== MATCHMAKING - REQUEST JOIN ROOM =====
-    socket.on('request_join', async (data) => {
-        try {
-            const jsonData = JSON.parse(data);
-            const user_id = jsonData.user_id;
-            const user_name = jsonData.user_name;
-            const bet_amount = jsonData.room_coin_value; // Client sends "room_coin_value"
-            const player_count = jsonData.room_players_size; // Client sends "room_players_size"
+    rooms.set(room.roomId, room);
 
-            // Check if user has enough coins (Redis or Memory)
-            let user = isRedisConnected() ? await getUser(user_id) : users.get(user_id);
+    // Everyone lost their socket in the restart; players who were already
+    // disconnected keep the grace time they had left
+    room.players
+        .filter(player => !player.bot && player.status === PLAYER_STATUS.PLAYING)
+        .forEach(player => {
+            const remaining = player.graceDeadline ? player.graceDeadline - Date.now() : DISCONNECT_GRACE_PERIOD;
+            startGracePeriod(room, player, Math.max(remaining, RESTORED_TURN_MIN_TIME));
+        });
 
-            if (!user) {
-                socket.emit('error', JSON.stringify({ message: 'User not found' }));
-                return;
-            }
+    const remaining = (room.turnDeadline || 0) - Date.now();
+    startTurnTimer(room, Math.max(remaining, RESTORED_TURN_MIN_TIME));
+    persistRoom(room);
 
-            if (user.coins < bet_amount) {
-                socket.emit('insufficient_coins', JSON.stringify({
-                    required: bet_amount,
-                    current: user.coins
-                }));
-                console.log(`[JOIN_FAILED] ${user_name} insufficient coins: ${user.coins}/${bet_amount}`);
-                return;
-            }
+    console.log(`[RESTORE] Room ${room.roomId} restored (${room.players.length} players, turn ${room.currentTurn})`);
+}
 
-            // Deduct bet amount from user coins
-            user.coins -= bet_amount;
+// ===== CLUSTER - ROOM OWNERSHIP =====
+// Keep our room leases alive and adopt rooms whose owner stopped renewing
+function startRoomLeases() {
+    setInterval(async () => {
+        for (const room of [...rooms.values()]) {
+            const renewed = await renewRoomOwnership(room.roomId, INSTANCE_ID, ROOM_LEASE_TTL);
 
-            // Save back to storage
-            if (isRedisConnected()) {
-                await saveUser(user_id, user);
-            } else {
-                users.set(user_id, user);
+            if (renewed === false) {
+                // Another instance took over (e.g. we stalled) - it drives the room now
+                console.warn(`[CLUSTER] Lost room ${room.roomId}, dropping local copy`);
+                clearTurnTimer(room);
+                rooms.delete(room.roomId);
             }
+        }
+    }, LEASE_RENEW_INTERVAL);
 
-            console.log(`[COINS_DEDUCTED] ${user_name}: -${bet_amount} (Remaining: ${user.coins})`);
+    setInterval(() => {
+        adoptOrphanRooms().catch(err => console.error('[CLUSTER] Orphan scan error:', err));
+    }, ORPHAN_SCAN_INTERVAL);
+}
 
-            // Find available room
-            let room = findAvailableRoom(bet_amount, player_count);
+async function adoptOrphanRooms() {
+    const roomIds = await getActiveRoomIds();
 
-            // Create new room if none available
-            if (!room) {
-                const roomId = uuidv4();
-                room = createRoom(roomId, user_id, bet_amount, player_count);
-                rooms.set(roomId, room);
-                // console.log(`[CREATE_ROOM] New room created: ${roomId}`);
-            }
+    for (const roomId of roomIds) {
+        if (rooms.has(roomId) || await getRoomOwner(roomId)) continue;
+        if (!await claimRoomOwnership(roomId, INSTANCE_ID, ROOM_LEASE_TTL)) continue;
 
-            // Add player to room
-            const player = createPlayer(user_id, user_name, room.players.length, socket.id);
-            room.players.push(player);
+        const state = await getRoom(roomId);
+        if (state) {
+            console.log(`[CLUSTER] Adopting orphaned room ${roomId}`);
+            await restoreRoom(state);
+        } else {
+            await releaseRoomOwnership(roomId, INSTANCE_ID);
+        }
+    }
+}
 
-            // Join socket room
-            socket.join(room.roomId);
-            socket.currentRoomId = room.roomId;
-
-            // console.log(`[PLAYER_JOINED] ${user_name} joined room ${room.roomId} as peer ${player.peerId}`);
-
-            // If room is full, start game
-            if (room.players.length === room.maxPlayers) {
-                room.status = GAME_STATUS.PLAYING;
-                room.currentTurn = 0; // First player starts
-
-                // Send game start to all players with complete player data
-                const gameStartData = {
-                    room_id: room.roomId,
-                    room_coin: bet_amount,
-                    userdata: room.players.map(p => {
-                        // Get user data or use defaults
-                        const userData = users.get(p.userId) || {
-                            user_coin: 1000,
-                            numof_win: 0,
-                            numof_lose: 0,
-                            user_level: 1
-                        };
-
-                        return {
-                            peer_id: p.peerId,
-                            user_id: p.userId,
-                            user_name: p.userName,
-                            user_coin: userData.user_coin || 1000,
-                            numof_win: userData.numof_win || 0,
-                            numof_lose: userData.numof_lose || 0,
-                            user_level: userData.user_level || 1,
-                            login_type: userData.login_type || 'Guest'
-                        };
-                    })
-                };
+function clearTurnTimer(room) {
+    if (room.turnTimer) {
+        clearTimeout(room.turnTimer);
+        room.turnTimer = null;
+    }
+    if (room.botTimer) {
+        clearTimeout(room.botTimer);
+        room.botTimer = null;
+    }
+    room.turnDeadline = null;
+}
 
-                io.to(room.roomId).emit('game_start', JSON.stringify(gameStartData));
-                // console.log(`[GAME_START] Room ${room.roomId} started with ${room.players.length} players`);
+function calculateGameResults(room) {
+    // Calculate rankings and winning coins, paid out of the stakes in escrow
+    // (minus the house rake) by the payout table of the stake and player count
+    const pot = getEscrowTotal(room);
+    const winnerCount = room.players.filter(p => p.status === PLAYER_STATUS.WIN).length;
+    // Team mode: the winning team (the WIN players, see settleTeamGame) splits it equally
+    const prizes = room.teamMode ?
+        splitTeamPot(payoutConfig, pot, winnerCount) :
+        splitPot(payoutConfig, pot, room.betAmount, room.maxPlayers, winnerCount);
+
+    // Rank players: winners in the order they finished, then players still in
+    // the game by how far their tokens got, then TIMEOUT/LEFT with the last to
+    // drop out ranked highest
+    const rankGroup = player => player.status === PLAYER_STATUS.WIN ? 0 :
+        player.status === PLAYER_STATUS.PLAYING ? 1 : 2;
+    const board = room.gameData.board;
 
-                // Start turn timer for first player
-                startTurnTimer(room);
-            }
+    const sortedPlayers = [...room.players].sort((a, b) => {
+        const group = rankGroup(a) - rankGroup(b);
+        if (group !== 0) return group;
 
-        } catch (error) {
-            console.error('[REQUEST_JOIN] Error:', error);
-            socket.emit('error', { message: 'Failed to join room' });
+        if (a.status === PLAYER_STATUS.WIN) return (a.finishOrder || 0) - (b.finishOrder || 0);
+        if (a.status === PLAYER_STATUS.PLAYING) {
+            return board ? getProgress(board, b.peerId) - getProgress(board, a.peerId) : 0;
         }
+        return (b.finishOrder || 0) - (a.finishOrder || 0);
     });
 
-    // ===== FRIEND ROOM - CREATE =====
-    socket.on('friend_create_room', async (data) => {
-        try {
-            const jsonData = JSON.parse(data);
-            const user_id = jsonData.user_id;
-            const user_name = jsonData.user_name;
-            const bet_amount = jsonData.room_coin_value; // Client sends "room_coin_value"
-            const player_count = jsonData.room_players_size; // Client sends "room_players_size"
-            const room_code = jsonData.room_code;
-
-            // Check if user has enough coins
-            const user = users.get(user_id);
-            if (!user) {
-                socket.emit('friend_error_response', { message: 'User not found' });
-                return;
-            }
+    // Team mode: partners share their team's place, winners 1st, losers 2nd
+    const getRank = (player, index) => room.teamMode ?
+        (getTeam(player.peerId) === room.winningTeam ? 1 : 2) :
+        index + 1;
+    const lastRank = room.teamMode ? 2 : sortedPlayers.length;
 
-            if (user.coins < bet_amount) {
-                socket.emit('insufficient_coins', JSON.stringify({
-                    required: bet_amount,
-                    current: user.coins
-                }));
-                console.log(`[FRIEND_CREATE_FAILED] ${user_name} insufficient coins: ${user.coins}/${bet_amount}`);
+    // Calculate winning coins based on ranking
+    const results = sortedPlayers.map((player, index) => {
+        return {
+            user_name: player.userName,
+            user_id: player.userId,
+            winning_coin: prizes[index] || 0,
+            player_rank: getRank(player, index),
+            player_status: player.status,
+            finished_at: player.finishedAt || null,
+            rating_change: 0,
+            is_bot: !!player.bot,
+            team: room.teamMode ? getTeam(player.peerId) : null
+        };
+    });
+
+    // Matchmaking games move ratings by final placement; a human whose seat a
+    // bot took over shares last place
+    if (!room.isPrivate) {
+        const standings = sortedPlayers.map((player, index) => ({
+            userId: player.userId,
+            rating: Number.isFinite(player.rating) ? player.rating : DEFAULT_RATING,
+            placement: player.bot && player.bot.takeover ? lastRank : getRank(player, index),
+            team: room.teamMode ? getTeam(player.peerId) : undefined
+        }));
+        const changes = calculateRatingChanges(standings);
+
+        results.forEach(result => {
+            result.rating_change = changes[result.user_id];
+        });
+    }
+
+    return results;
+}
+
+// Update player coins and stats after game ends
+async function updatePlayerCoinsAndStats(room, results) {
+    // Settle only once, even if several game over paths fire
+    if (room.settled) return;
+    room.settled = true;
+
+    // Stakes leave escrow as the winning coins below and the house rake
+    const rake = calculateRake(payoutConfig, getEscrowTotal(room));
+    // Only house bots staked house funds, but whatever any bot wins (a seat a
+    // bot took over forfeits its prize too) goes back to the house
+    const botSeats = room.players.filter(p => p.bot);
+    const botStakes = botSeats
+        .filter(p => !p.bot.takeover)
+        .reduce((total, p) => total + (room.escrow[p.userId] || 0), 0);
+    room.escrow = {};
+
+    if (rake > 0) {
+        await recordHouseRake(`Room ${room.roomId}`, rake);
+    }
+
+    if (botSeats.length > 0) {
+        const botWinnings = results
+            .filter(result => botSeats.some(p => p.userId === result.user_id))
+            .reduce((total, result) => total + Math.max(result.winning_coin, 0), 0);
+        await recordHouseBotFunds(`Room ${room.roomId}`, botStakes, botWinnings);
+    }
+
+    for (const result of results) {
+        const seat = room.players.find(p => p.userId === result.user_id);
+        const bot = seat ? seat.bot : null;
+
+        // Bot stakes are put up by the house and bot winnings go back to it
+        if (bot && !bot.takeover) continue;
+
+        // A human replaced by a bot forfeits the game
+        const isWin = result.player_status === PLAYER_STATUS.WIN && !bot;
+
+        // Add winning coins
+        if (result.winning_coin > 0 && !bot) {
+            await changeCoins(result.user_id, result.winning_coin, TRANSACTION_TYPE.PAYOUT, {
+                roomId: room.roomId,
+                playerRank: result.player_rank
+            });
+        }
+
+        // Update stats
+        const increments = { totalGamesPlayed: 1, rating: result.rating_change };
+        increments[isWin ? 'winCount' : 'lostCount'] = 1;
+
+        let user;
+        if (isRedisConnected()) {
+            user = await incrementUserStats(result.user_id, increments, { rating: DEFAULT_RATING });
+        } else {
+            user = users.get(result.user_id);
+            if (user) {
+                user.totalGamesPlayed = (user.totalGamesPlayed || 0) + 1;
+                user.rating = getUserRating(user) + result.rating_change;
+                if (isWin) {
+                    user.winCount++;
+                    // Level up every 10 wins
+                    user.level = Math.floor(1 + (user.winCount / 10));
+                } else {
+                    user.lostCount++;
+                }
+            }
+        }
+
+        if (!user) continue;
+
+        // Friends could trade wins in their own rooms, so only matchmaking
+        // and tournament games are ranked
+        if (!room.isPrivate) {
+            await recordLeaderboardScores(user, result, isWin);
+        }
+
+        console.log(`[COINS_UPDATE] ${user.userName}: +${result.winning_coin} (Total: ${user.coins}) | W/L: ${user.winCount}/${user.lostCount} | Rating: ${user.rating}`);
+    }
+}
+
+// ===== COIN LEDGER =====
+// Every balance change goes through here so it is atomic and recorded
+async function changeCoins(userId, amount, type, meta = {}) {
+    if (isRedisConnected()) {
+        return applyCoinTransaction(userId, amount, type, meta);
+    }
+
+    // Memory fallback - single threaded, so check and update can't interleave
+    const user = users.get(userId);
+    if (!user) return { ok: false, reason: 'user_not_found' };
+
+    if (user.coins + amount < 0) {
+        return { ok: false, reason: 'insufficient_coins', balance: user.coins };
+    }
+
+    user.coins += amount;
+    user.lastUpdate = Date.now();
+
+    const transaction = {
+        id: uuidv4(),
+        userId: userId,
+        type: type,
+        amount: amount,
+        meta: meta,
+        createdAt: user.lastUpdate,
+        balance: user.coins
+    };
+
+    const history = transactions.get(userId) || [];
+    history.unshift(transaction);
+    history.length = Math.min(history.length, MEMORY_TRANSACTION_LIMIT);
+    transactions.set(userId, history);
+
+    return { ok: true, balance: user.coins, transaction: transaction };
+}
+
+async function listTransactions(userId, limit) {
+    if (isRedisConnected()) {
+        return getTransactions(userId, limit);
+    }
+    return (transactions.get(userId) || []).slice(0, limit);
+}
+
+function formatTransaction(transaction) {
+    return {
+        id: transaction.id,
+        type: transaction.type,
+        amount: transaction.amount,
+        balance: transaction.balance,
+        meta: transaction.meta,
+        created_at: transaction.createdAt
+    };
+}
+
+// ===== DAILY REWARDS + REFILLS =====
+// Eligibility is checked against the user record we read, then the coins are
+// credited only if the record's claim field hasn't changed since (see
+// claimUserReward), so claims racing from two sockets or instances pay once.
+
+async function loadUser(userId) {
+    return isRedisConnected() ? getUser(userId) : users.get(userId);
+}
+
+function buildRewardStatus(user, now) {
+    return {
+        daily_reward: getDailyReward(user, now),
+        refill: getRefill(user, now, MIN_STAKE),
+        min_stake: MIN_STAKE
+    };
+}
+
+async function claimReward(userId, claim) {
+    if (isRedisConnected()) {
+        return claimUserReward(userId, claim);
+    }
+
+    // Memory fallback - check, update and credit run without yielding
+    const user = users.get(userId);
+    if (!user) return { ok: false, reason: 'user_not_found' };
+
+    const current = user[claim.guardField] === undefined ? null : user[claim.guardField];
+    const expected = claim.guardValue === undefined ? null : claim.guardValue;
+    if (current !== expected) {
+        return { ok: false, reason: 'already_claimed', balance: user.coins };
+    }
+    if (claim.maxBalance !== null && user.coins >= claim.maxBalance) {
+        return { ok: false, reason: 'balance_too_high', balance: user.coins };
+    }
+
+    Object.assign(user, claim.updates);
+    return changeCoins(userId, claim.amount, claim.type, claim.meta);
+}
+
+async function claimDailyReward(user) {
+    const now = Date.now();
+    const daily = getDailyReward(user, now);
+    if (!daily.available) {
+        return { ok: false, reason: 'already_claimed' };
+    }
+
+    const updates = { lastDailyClaimDay: getRewardDay(now), dailyStreak: daily.streak };
+    const claim = await claimReward(user.userId, {
+        amount: daily.amount,
+        type: TRANSACTION_TYPE.DAILY_REWARD,
+        meta: { streak: daily.streak },
+        guardField: 'lastDailyClaimDay',
+        guardValue: user.lastDailyClaimDay,
+        updates: updates,
+        maxBalance: null
+    });
+
+    return { ...claim, amount: daily.amount, streak: daily.streak, user: { ...user, ...updates, coins: claim.balance } };
+}
+
+async function claimRefill(user) {
+    const now = Date.now();
+    const refill = getRefill(user, now, MIN_STAKE);
+    if (!refill.available) {
+        return { ok: false, reason: refill.below_minimum ? 'cooldown' : 'balance_too_high' };
+    }
+
+    // A stake that is queued or in escrow comes back on a cancel, so the
+    // wallet alone doesn't make the user broke
+    if (await hasStakeInPlay(user.userId)) {
+        return { ok: false, reason: 'stake_in_play' };
+    }
+
+    const updates = { lastRefillAt: now };
+    const claim = await claimReward(user.userId, {
+        amount: refill.amount,
+        type: TRANSACTION_TYPE.REFILL,
+        meta: { minStake: MIN_STAKE },
+        guardField: 'lastRefillAt',
+        guardValue: user.lastRefillAt,
+        updates: updates,
+        maxBalance: MIN_STAKE
+    });
+
+    return { ...claim, amount: refill.amount, user: { ...user, ...updates, coins: claim.balance } };
+}
+
+// Queued, seated in a running game, or holding a stake in a waiting room
+async function hasStakeInPlay(userId) {
+    if (await findQueueEntry(userId) || await findGameSession(userId)) return true;
+    return [...rooms.values()].some(room => room.escrow[userId] > 0);
+}
+
+// Socket side of claim_daily_reward / claim_refill
+async function handleRewardClaim(socket, type, claimFn) {
+    try {
+        const user = await loadUser(socket.userId);
+        if (!user) {
+            socket.emit('reward_error', JSON.stringify({ type: type, reason: 'user_not_found' }));
+            return;
+        }
+
+        const result = await claimFn(user);
+        if (!result.ok) {
+            socket.emit('reward_error', JSON.stringify({ type: type, reason: result.reason }));
+            return;
+        }
+
+        socket.emit('reward_claimed', JSON.stringify({
+            type: type,
+            amount: result.amount,
+            streak: result.streak,
+            user_coin: result.balance
+        }));
+        const status = buildRewardStatus(result.user, Date.now());
+        socket.emit('rewards_status', JSON.stringify(status));
+        scheduleRewardReminder(user.userId, type, type === TRANSACTION_TYPE.REFILL ?
+            status.refill.next_refill_at : status.daily_reward.next_claim_at);
+        console.log(`[REWARD] ${user.userName}: +${result.amount} ${type} (Total: ${result.balance})`);
+
+    } catch (error) {
+        console.error('[REWARD_CLAIM] Error:', error);
+        socket.emit('error', { message: 'Failed to claim reward' });
+    }
+}
+
+// Tell a player they can't afford a stake, and whether a refill is waiting
+async function emitInsufficientCoins(socket, required, balance) {
+    const user = await loadUser(socket.userId);
+    const refill = user ? getRefill(user, Date.now(), MIN_STAKE) : null;
+
+    socket.emit('insufficient_coins', JSON.stringify({
+        required: required,
+        current: balance,
+        refill: refill
+    }));
+
+    if (refill && refill.below_minimum && !refill.available) {
+        scheduleRewardReminder(socket.userId, TRANSACTION_TYPE.REFILL, refill.next_refill_at);
+    }
+}
+
+// ===== BET ESCROW =====
+// Bets are debited on joining and held per room. calculateGameResults pays
+// them out on completion; rooms abandoned before game_start refund them.
+
+function getEscrowTotal(room) {
+    return Object.values(room.escrow).reduce((total, amount) => total + amount, 0);
+}
+
+// Give a held stake back to its owner
+async function refundStake(room, userId, reason) {
+    const amount = room.escrow[userId];
+    if (!amount) return;
+
+    // Remove before awaiting so the same stake can't be refunded twice
+    delete room.escrow[userId];
+
+    // A bot's stake just stays with the house, it was never booked out
+    const seat = room.players.find(p => p.userId === userId);
+    if (seat && seat.bot && !seat.bot.takeover) return;
+
+    const refund = await changeCoins(userId, amount, TRANSACTION_TYPE.REFUND, {
+        roomId: room.roomId,
+        reason: reason
+    });
+
+    if (refund.ok) {
+        console.log(`[REFUND] ${userId}: +${amount} from room ${room.roomId} (${reason})`);
+    } else {
+        console.error(`[REFUND] Failed to refund ${amount} to ${userId} from room ${room.roomId}: ${refund.reason}`);
+    }
+}
+
+// ===== PAYOUT CONFIG + HOUSE RAKE =====
+// Payout tables live in Redis (config:payouts) so they can be changed through
+// PUT /config/payouts without a deploy; every instance reloads them regularly.
+
+async function loadPayoutConfig() {
+    if (!isRedisConnected()) return;
+
+    const config = await getConfig('payouts');
+    if (!config) return;
+
+    const error = validatePayoutConfig(config);
+    if (error) {
+        console.error(`[PAYOUTS] Ignoring stored payout config: ${error}`);
+        return;
+    }
+    payoutConfig = config;
+}
+
+async function updatePayoutConfig(config) {
+    if (isRedisConnected() && !await saveConfig('payouts', config)) {
+        return false;
+    }
+    payoutConfig = config;
+    console.log(`[PAYOUTS] Payout config updated (rake ${config.rake_percent}%, ${config.tiers.length} tiers)`);
+    return true;
+}
+
+// Rake is house income, kept apart from every player balance
+async function recordHouseRake(source, amount) {
+    const day = new Date().toISOString().slice(0, 10);
+
+    if (isRedisConnected()) {
+        await addHouseRake(amount, day);
+    } else {
+        houseRake.total += amount;
+        houseRake.games += 1;
+        houseRake[`day:${day}`] = (houseRake[`day:${day}`] || 0) + amount;
+    }
+
+    console.log(`[RAKE] ${source}: ${amount}`);
+}
+
+// Bot stakes come out of house funds and bot winnings go back to them; both
+// are kept in the house ledger next to the rake
+async function recordHouseBotFunds(source, staked, won) {
+    if (isRedisConnected()) {
+        await addHouseBotFunds(staked, won);
+    } else {
+        houseRake.bot_stakes += staked;
+        houseRake.bot_winnings += won;
+    }
+
+    console.log(`[HOUSE] ${source}: bots staked ${staked}, won ${won}`);
+}
+
+async function getHouseRakeReport() {
+    const ledger = isRedisConnected() ? await getHouseRake() : houseRake;
+
+    const daily = {};
+    Object.keys(ledger)
+        .filter(field => field.startsWith('day:'))
+        .sort()
+        .forEach(field => {
+            daily[field.slice(4)] = parseInt(ledger[field], 10);
+        });
+
+    return {
+        total: parseInt(ledger.total || 0, 10),
+        games: parseInt(ledger.games || 0, 10),
+        daily: daily,
+        bot_stakes: parseInt(ledger.bot_stakes || 0, 10),
+        bot_winnings: parseInt(ledger.bot_winnings || 0, 10)
+    };
+}
+
+// Take a player out of a room that hasn't started and refund their stake.
+// Remaining seats are renumbered so peer ids keep matching array indexes.
+async function removeWaitingPlayer(room, userId, reason) {
+    const playerIndex = room.players.findIndex(p => p.userId === userId);
+    if (playerIndex === -1) return false;
+
+    const [player] = room.players.splice(playerIndex, 1);
+    room.players.forEach((p, index) => {
+        p.peerId = index;
+    });
+
+    io.to(room.roomId).emit('leave_room', JSON.stringify(player.peerId));
+
+    await refundStake(room, userId, reason);
+
+    if (room.players.length === 0) {
+        removeRoom(room.roomId);
+        // console.log(`[CLEANUP] Empty room ${room.roomId} deleted`);
+    } else {
+        persistRoom(room);
+    }
+    refreshPresence(userId);
+    return true;
+}
+
+// Why a user can't take a seat in a room right now, or null if they can
+function getJoinError(room, userId) {
+    if (room.status !== GAME_STATUS.WAITING) return 'Game already started';
+    if (room.players.length >= room.maxPlayers) return 'Room is full';
+    if (room.players.some(p => p.userId === userId)) return 'Already in room';
+    return null;
+}
+
+function isValidRoomConfig(betAmount, playerCount) {
+    return Number.isInteger(betAmount) && betAmount >= 0 &&
+        Number.isInteger(playerCount) && playerCount >= 2 && playerCount <= MAX_PLAYERS;
+}
+
+// ===== MATCHMAKING QUEUE =====
+// request_join puts the player in a queue (bet already deducted). Every
+// MATCHMAKING_INTERVAL the queue is split into matches by stake, player count
+// and rating (see matchmaking.js) and each match gets a new room. Players who
+// leave the queue get their bet back.
+
+let matchmakingRunning = false;
+
+function getUserRating(user) {
+    return user && Number.isFinite(user.rating) ? user.rating : DEFAULT_RATING;
+}
+
+function getQueueKey(entry) {
+    return `${entry.betAmount}:${entry.playerCount}${entry.teamMode ? ':team' : ''}`;
+}
+
+// Returns false if the user is already queued
+async function enqueuePlayer(entry) {
+    if (isRedisConnected()) return addQueueEntry(entry);
+
+    if (matchQueue.has(entry.userId)) return false;
+    matchQueue.set(entry.userId, entry);
+    return true;
+}
+
+// Returns false if the user wasn't queued (left or matched meanwhile)
+async function dequeuePlayer(userId) {
+    return isRedisConnected() ? removeQueueEntry(userId) : matchQueue.delete(userId);
+}
+
+async function findQueueEntry(userId) {
+    return isRedisConnected() ? getQueueEntry(userId) : (matchQueue.get(userId) || null);
+}
+
+async function listQueue() {
+    return isRedisConnected() ? getQueueEntries() : [...matchQueue.values()];
+}
+
+// Take a user out of the queue and refund the bet. With a socketId, only if
+// that socket queued them.
+async function leaveQueue(userId, reason, socketId) {
+    const entry = await findQueueEntry(userId);
+    if (!entry || (socketId && entry.socketId !== socketId)) return false;
+    if (!await dequeuePlayer(userId)) return false;
+
+    await refundQueueEntry(entry, reason);
+    console.log(`[QUEUE] ${entry.userName} left the ${getQueueKey(entry)} queue (${reason})`);
+    refreshPresence(userId);
+    return true;
+}
+
+function refundQueueEntry(entry, reason) {
+    return changeCoins(entry.userId, entry.betAmount, TRANSACTION_TYPE.REFUND, {
+        betAmount: entry.betAmount,
+        reason: reason
+    });
+}
+
+async function isSocketConnected(socketId) {
+    if (io.sockets.sockets.has(socketId)) return true;
+    if (!CLUSTER_ENABLED) return false;
+
+    try {
+        const sockets = await io.in(socketId).fetchSockets();
+        return sockets.length > 0;
+    } catch (err) {
+        // Other instances didn't answer - assume the player is still there
+        return true;
+    }
+}
+
+// Running average of how long players of a queue wait for a match
+function recordQueueWait(queueKey, waitMs) {
+    const average = queueWaitTimes.get(queueKey);
+    queueWaitTimes.set(queueKey, average === undefined ? waitMs : Math.round(average * 0.8 + waitMs * 0.2));
+}
+
+function emitQueueStatus(entry, position, queueSize, now) {
+    const waited = now - entry.joinedAt;
+    const averageWait = queueWaitTimes.get(getQueueKey(entry)) || DEFAULT_QUEUE_WAIT;
+    // Players ahead are matched first, a match at a time
+    const estimatedWait = averageWait * Math.ceil(position / entry.playerCount) - waited;
+
+    io.to(entry.socketId).emit('queue_status', JSON.stringify({
+        room_coin_value: entry.betAmount,
+        room_players_size: entry.playerCount,
+        team_mode: !!entry.teamMode,
+        partner_id: entry.partnerId || null,
+        position: position,
+        queue_size: queueSize,
+        rating_window: getRatingWindow(waited),
+        wait_time: Math.round(waited / 1000),
+        estimated_wait: Math.round(Math.max(estimatedWait, 0) / 1000)
+    }));
+}
+
+// Seat a match found by findMatches/findTeamMatches in a new room. `seats`
+// are queue entries in seat order, bots take the null seats.
+async function startMatch(seats, now) {
+    const match = seats.filter(Boolean);
+
+    // Players who left since the queue was read cancel the match
+    const taken = [];
+    for (const entry of match) {
+        if (await dequeuePlayer(entry.userId)) taken.push(entry);
+    }
+
+    const players = [];
+    for (const entry of taken) {
+        if (await isSocketConnected(entry.socketId)) {
+            players.push(entry);
+        } else {
+            // Gone without leaving the queue (e.g. their instance crashed)
+            await refundQueueEntry(entry, 'disconnected');
+        }
+    }
+
+    if (players.length < match.length) {
+        // The others keep their place in the queue
+        for (const entry of players) {
+            await enqueuePlayer(entry);
+        }
+        return;
+    }
+
+    const first = match[0];
+    const room = createRoom(uuidv4(), first.userId, first.betAmount, first.playerCount);
+    if (first.teamMode) {
+        room.teamMode = true;
+        room.partnerMoves = TEAM_PARTNER_MOVES;
+    }
+
+    // Cluster mode: the room couldn't be claimed (Redis failed). Nobody is
+    // seated yet, so everyone keeps their place and stake in the queue.
+    if (!await registerRoom(room)) {
+        console.error(`[MATCHMAKING] Could not register room ${room.roomId}, players stay queued`);
+        for (const entry of players) {
+            await enqueuePlayer(entry);
+        }
+        return;
+    }
+
+    // Bots play at the level of the humans they fill in for
+    const averageRating = match.reduce((sum, entry) => sum + entry.rating, 0) / match.length;
+    const difficulty = getBotDifficulty(averageRating);
+
+    seats.forEach(entry => {
+        if (!entry) {
+            const identity = createBotIdentity(difficulty);
+            const socket = new BotSocket(io, { ...identity, bot: { difficulty: difficulty, takeover: false } });
+            seatPlayer(socket, room, identity.rating);
+            return;
+        }
+
+        recordQueueWait(getQueueKey(entry), now - entry.joinedAt);
+
+        const socket = io.sockets.sockets.get(entry.socketId) ||
+            new RemoteSocket(io, { id: entry.socketId, userId: entry.userId, userName: entry.userName });
+        seatPlayer(socket, room, entry.rating);
+
+        if (socket.isRemote) {
+            io.serverSideEmit('player_seated', { socketId: entry.socketId, roomId: room.roomId });
+        }
+    });
+
+    console.log(`[MATCHMAKING] Room ${room.roomId}: ${room.players.map(p => `${p.userName} (${p.rating}${p.bot ? ', bot' : ''})`).join(', ')}`);
+}
+
+async function runMatchmaking() {
+    if (matchmakingRunning) return;
+    matchmakingRunning = true;
+
+    try {
+        if (CLUSTER_ENABLED && !await acquireMatchmakingLock(INSTANCE_ID, MATCHMAKING_LOCK_TTL)) return;
+
+        const now = Date.now();
+        const queues = new Map();
+        (await listQueue()).forEach(entry => {
+            const key = getQueueKey(entry);
+            if (!queues.has(key)) queues.set(key, []);
+            queues.get(key).push(entry);
+        });
+
+        for (const queue of queues.values()) {
+            const teamMode = !!queue[0].teamMode;
+            const matches = teamMode ? findTeamMatches(queue, now) : findMatches(queue, queue[0].playerCount, now);
+            for (const match of matches) {
+                await startMatch(match, now);
+            }
+
+            const matched = new Set(matches.flat());
+            const waiting = queue
+                .filter(entry => !matched.has(entry))
+                .sort((a, b) => a.joinedAt - b.joinedAt);
+
+            // Waited too long for humans: whoever fits the oldest player plays with bots
+            if (teamMode) {
+                // Pairs stay together; a player whose partner never queued plays solo
+                const units = getTeamUnits(waiting, true);
+                while (BOT_FILL_WAIT > 0 && units.length > 0 && now - units[0][0].joinedAt >= BOT_FILL_WAIT) {
+                    const group = buildTeamGroup(units[0], units, now);
+
+                    group.forEach(unit => {
+                        units.splice(units.indexOf(unit), 1);
+                        unit.forEach(entry => waiting.splice(waiting.indexOf(entry), 1));
+                    });
+                    await startMatch(seatTeams(group), now);
+                }
+            } else {
+                while (BOT_FILL_WAIT > 0 && waiting.length > 0 && now - waiting[0].joinedAt >= BOT_FILL_WAIT) {
+                    const anchor = waiting[0];
+                    const group = buildFillGroup(anchor, waiting, now);
+
+                    group.forEach(entry => waiting.splice(waiting.indexOf(entry), 1));
+                    await startMatch([...group, ...new Array(anchor.playerCount - group.length).fill(null)], now);
+                }
+            }
+
+            // Everyone still waiting hears where they stand
+            waiting.forEach((entry, index) => emitQueueStatus(entry, index + 1, waiting.length, now));
+        }
+    } catch (err) {
+        console.error('[MATCHMAKING] Error:', err);
+    } finally {
+        matchmakingRunning = false;
+        if (CLUSTER_ENABLED) {
+            releaseMatchmakingLock(INSTANCE_ID);
+        }
+    }
+}
+
+// Queued players lost their sockets in a restart: give the bets back
+// (cluster mode: only players queued through this instance)
+async function restoreQueue() {
+    for (const entry of await getQueueEntries()) {
+        if (CLUSTER_ENABLED && entry.instanceId !== INSTANCE_ID) continue;
+
+        if (await removeQueueEntry(entry.userId)) {
+            await refundQueueEntry(entry, 'server_restart');
+        }
+    }
+}
+
+// ===== BOTS =====
+// Bot seats act through a BotSocket (see bots.js) with the same handlers as
+// humans. Their next action is scheduled whenever a turn timer starts.
+
+function hasHumansPlaying(room) {
+    return room.players.some(p => !p.bot && isInRotation(room, p));
+}
+
+// Let a bot play a human's seat so the others can finish the game; the human
+// forfeits. Returns false if takeovers are off or no other human is playing.
+function takeOverSeat(room, player) {
+    if (!BOT_TAKEOVER_ENABLED || player.bot) return false;
+    if (!room.players.some(p => p !== player && !p.bot && p.status === PLAYER_STATUS.PLAYING)) return false;
+
+    player.bot = { difficulty: BOT_DIFFICULTY.MEDIUM, takeover: true };
+    recordEvent(room, 'bot_takeover', { peer_id: player.peerId });
+
+    // The seat can't be resumed any more
+    clearGraceTimer(room, player);
+    endGameSession(room, player);
+    io.to(room.roomId).emit('bot_takeover', JSON.stringify({ peer_id: player.peerId }));
+    console.log(`[BOT] Bot took over ${player.userName} (peer ${player.peerId}) in room ${room.roomId}`);
+    return true;
+}
+
+function scheduleBotAction(room) {
+    if (room.botTimer) {
+        clearTimeout(room.botTimer);
+        room.botTimer = null;
+    }
+
+    const player = room.players[room.currentTurn];
+    if (room.status !== GAME_STATUS.PLAYING || !player || !player.bot ||
+        !isInRotation(room, player)) {
+        return;
+    }
+
+    room.botTimer = setTimeout(() => {
+        room.botTimer = null;
+        playBotAction(room, player).catch(err => console.error('[BOT] Error:', err));
+    }, getThinkingTime());
+}
+
+// Roll the dice, or move a token if it's already rolled
+async function playBotAction(room, player) {
+    if (rooms.get(room.roomId) !== room || room.players[room.currentTurn] !== player) return;
+
+    const socket = new BotSocket(io, player);
+
+    if (room.gameData.turnPhase === TURN_PHASE.ROLL) {
+        await dispatchRoomEvent(socket, 'dice_send', JSON.stringify({ room_id: room.roomId }));
+    } else {
+        const mover = getMovingPlayer(room, player);
+        const tokenId = chooseBotMove(room.gameData.board, mover.peerId, room.gameData.lastDice, player.bot.difficulty);
+        await dispatchRoomEvent(socket, 'token_send', JSON.stringify({ room_id: room.roomId, token_id: tokenId }));
+    }
+}
+
+// ===== SPECTATORS =====
+// Spectators are kept out of room.players and join their own Socket.IO room,
+// which only gets the game stream (see withSpectators) - no chat, nothing
+// meant for the seated players alone.
+
+function getSpectatorRoom(roomId) {
+    return `spectate:${roomId}`;
+}
+
+// Socket.IO rooms for events seated players and spectators both see
+function withSpectators(roomId) {
+    return [roomId, getSpectatorRoom(roomId)];
+}
+
+function emitSpectatorCount(room) {
+    io.to(withSpectators(room.roomId)).emit('spectator_count', JSON.stringify({
+        room_id: room.roomId,
+        spectator_count: Object.keys(room.spectators).length
+    }));
+}
+
+// Everything a spectator needs to draw the game they join mid-way
+function buildRoomSnapshot(room) {
+    const board = room.gameData.board;
+    const turnPlayer = room.players[room.currentTurn];
+
+    return {
+        room_id: room.roomId,
+        room_coin: room.betAmount,
+        room_players_size: room.maxPlayers,
+        status: room.status,
+        current_turn: room.status === GAME_STATUS.PLAYING && turnPlayer ? turnPlayer.peerId : -1,
+        turn_phase: room.gameData.turnPhase,
+        last_dice: room.gameData.lastDice,
+        turn_deadline: room.turnDeadline,
+        turn_time_left: room.turnDeadline ? Math.max(room.turnDeadline - Date.now(), 0) : null,
+        dice_seed_hash: room.fairDice ? room.fairDice.serverSeedHash : null,
+        spectator_count: Object.keys(room.spectators).length,
+        team_mode: room.teamMode,
+        partner_moves: room.partnerMoves,
+        players: room.players.map(p => ({
+            peer_id: p.peerId,
+            user_id: p.userId,
+            user_name: p.userName,
+            player_status: p.status,
+            is_bot: !!p.bot,
+            connected: p.connected !== false,
+            numoftimeout: p.numoftimeout,
+            finish_order: p.finishOrder || null,
+            team: room.teamMode ? getTeam(p.peerId) : null,
+            tokens: board ? board.tokens[p.peerId] : []
+        }))
+    };
+}
+
+// Returns false if the socket wasn't watching the room
+function removeSpectator(room, socket) {
+    const spectator = room.spectators[socket.userId];
+    if (!spectator || spectator.socketId !== socket.id) return false;
+
+    delete room.spectators[socket.userId];
+    socket.leave(getSpectatorRoom(room.roomId));
+    socket.spectatingRoomId = null;
+
+    emitSpectatorCount(room);
+    persistRoom(room);
+    return true;
+}
+
+// Stop watching whatever room the socket spectates (cluster mode: also
+// rooms owned by another instance)
+async function stopSpectating(socket) {
+    const roomId = socket.spectatingRoomId;
+    if (!roomId) return;
+
+    const room = rooms.get(roomId);
+    if (room) {
+        removeSpectator(room, socket);
+    } else if (CLUSTER_ENABLED) {
+        await forwardRoomAction(io, {
+            type: 'event',
+            roomId: roomId,
+            event: 'stop_spectating',
+            data: JSON.stringify({ room_id: roomId }),
+            socket: describeSocket(socket)
+        });
+    }
+
+    socket.leave(getSpectatorRoom(roomId));
+    socket.spectatingRoomId = null;
+}
+
+// ===== RECONNECTION =====
+// Every human gets a resume token at game start and a session (userId ->
+// room) that lives until they leave the game or it ends. A reconnecting
+// socket is put back in its seat automatically and gets a game_resync
+// snapshot; the others see player_reconnecting / player_reconnected.
+
+function startGameSession(room, player) {
+    player.resumeToken = createResumeToken();
+    const session = { roomId: room.roomId, resumeToken: player.resumeToken };
+
+    saveGameSession(player.userId, session);
+
+    io.to(player.socketId).emit('resume_token', JSON.stringify({
+        room_id: room.roomId,
+        resume_token: player.resumeToken
+    }));
+    refreshPresence(player.userId);
+}
+
+// The player is still in another game (tournament tables): the seat's session
+// waits in `next` and takes over when that game's session ends
+async function queueGameSession(room, player) {
+    const session = await findGameSession(player.userId);
+    if (!session) return startGameSession(room, player);
+
+    player.resumeToken = createResumeToken();
+    session.next = { roomId: room.roomId, resumeToken: player.resumeToken };
+    await saveGameSession(player.userId, session);
+}
+
+async function saveGameSession(userId, session) {
+    if (isRedisConnected()) {
+        await saveSession(`game:${userId}`, session, GAME_SESSION_TTL);
+    } else {
+        gameSessions.set(userId, session);
+    }
+}
+
+async function findGameSession(userId) {
+    return isRedisConnected() ? getSession(`game:${userId}`) : (gameSessions.get(userId) || null);
+}
+
+// Drop the player's session if it still points at this room, or hand it to
+// the seat queued behind it (resume_game then takes the user there)
+async function endGameSession(room, player) {
+    const session = await findGameSession(player.userId);
+    if (!session || session.roomId !== room.roomId) return;
+
+    if (session.next) {
+        await saveGameSession(player.userId, session.next);
+        io.to(getUserRoom(player.userId)).emit('resume_token', JSON.stringify({
+            room_id: session.next.roomId,
+            resume_token: session.next.resumeToken
+        }));
+    } else if (isRedisConnected()) {
+        await deleteSession(`game:${player.userId}`);
+    } else {
+        gameSessions.delete(player.userId);
+    }
+    refreshPresence(player.userId);
+}
+
+// Put the socket back in its seat and send it the full game state
+function resumePlayer(socket, room, player) {
+    const previousSocketId = player.connected ? player.socketId : null;
+    const wasDisconnected = !player.connected;
+
+    clearGraceTimer(room, player);
+    player.connected = true;
+    player.graceDeadline = null;
+    player.socketId = socket.id;
+
+    // Same user on a new device: the old socket stops getting the game
+    if (previousSocketId && previousSocketId !== socket.id) {
+        io.in(previousSocketId).socketsLeave(room.roomId);
+    }
+
+    socket.join(room.roomId);
+    socket.currentRoomId = room.roomId;
+
+    socket.emit('game_resync', JSON.stringify({
+        ...buildRoomSnapshot(room),
+        peer_id: player.peerId,
+        resume_token: player.resumeToken
+    }));
+
+    if (wasDisconnected) {
+        recordEvent(room, 'reconnect', { peer_id: player.peerId });
+        socket.to(withSpectators(room.roomId)).emit('player_reconnected', JSON.stringify({ peer_id: player.peerId }));
+    }
+
+    persistRoom(room);
+    refreshPresence(player.userId);
+    console.log(`[RECONNECT] ${player.userName} resumed room ${room.roomId} as peer ${player.peerId}`);
+}
+
+// Resume the socket's seat in a local room, false if it has no seat to resume
+function resumeInRoom(socket, room) {
+    const player = room.players.find(p => p.userId === socket.userId);
+    if (!player || player.bot || room.status !== GAME_STATUS.PLAYING ||
+        (player.status !== PLAYER_STATUS.PLAYING && player.status !== PLAYER_STATUS.WIN)) {
+        return false;
+    }
+
+    resumePlayer(socket, room, player);
+    return true;
+}
+
+// Find the user's running game and resume it (cluster mode: wherever it runs).
+// A resume token, if given, must belong to that game.
+async function resumeActiveGame(socket, resumeToken) {
+    const session = await findGameSession(socket.userId);
+    if (!session || (resumeToken && resumeToken !== session.resumeToken)) return false;
+
+    const room = rooms.get(session.roomId);
+    if (room) return resumeInRoom(socket, room);
+
+    if (CLUSTER_ENABLED) {
+        const reply = await forwardRoomAction(io, {
+            type: 'resume',
+            roomId: session.roomId,
+            socket: describeSocket(socket)
+        });
+
+        if (reply && reply.resumed) {
+            socket.currentRoomId = reply.currentRoomId;
+            return true;
+        }
+    }
+
+    return false;
+}
+
+// ===== FRIENDS + PRESENCE =====
+// Friendships are mutual. Every socket joins its user's room (user:<id>), so a
+// user can be reached on whatever instance they're connected to. Presence is
+// worked out from where the user is (game, friend room, queue) when that
+// changes (connect, disconnect, join, leave, queue) and pushed to their
+// friends as friend_presence.
+
+function getUserRoom(userId) {
+    return `user:${userId}`;
+}
+
+async function listFriendIds(userId) {
+    if (isRedisConnected()) return getFriendIds(userId);
+    return [...(friends.get(userId) || [])];
+}
+
+async function listFriendRequestIds(userId) {
+    if (isRedisConnected()) return getFriendRequestIds(userId);
+    return [...(friendRequests.get(userId) || [])];
+}
+
+async function areFriends(userId, otherUserId) {
+    return (await listFriendIds(userId)).includes(otherUserId);
+}
+
+async function makeFriends(userId, friendId) {
+    if (isRedisConnected()) return addFriendship(userId, friendId);
+
+    [[userId, friendId], [friendId, userId]].forEach(([a, b]) => {
+        if (!friends.has(a)) friends.set(a, new Set());
+        friends.get(a).add(b);
+        if (friendRequests.has(a)) friendRequests.get(a).delete(b);
+    });
+    return true;
+}
+
+async function unfriend(userId, friendId) {
+    if (isRedisConnected()) return removeFriendship(userId, friendId);
+
+    [[userId, friendId], [friendId, userId]].forEach(([a, b]) => {
+        if (friends.has(a)) friends.get(a).delete(b);
+    });
+    return true;
+}
+
+// Returns false if the request was already pending
+async function storeFriendRequest(fromUserId, toUserId) {
+    if (isRedisConnected()) return addFriendRequest(fromUserId, toUserId);
+
+    if (!friendRequests.has(toUserId)) friendRequests.set(toUserId, new Set());
+    const requests = friendRequests.get(toUserId);
+    if (requests.has(fromUserId)) return false;
+    requests.add(fromUserId);
+    return true;
+}
+
+// Returns false if there was no such request
+async function dropFriendRequest(fromUserId, toUserId) {
+    if (isRedisConnected()) return removeFriendRequest(fromUserId, toUserId);
+    return friendRequests.has(toUserId) && friendRequests.get(toUserId).delete(fromUserId);
+}
+
+// Last known presence of each user; users without one are offline
+async function loadPresences(userIds) {
+    const stored = isRedisConnected() ?
+        await getPresences(userIds) :
+        userIds.map(userId => presences.get(userId) || null);
+
+    return stored.map(presence => presence || { state: PRESENCE.OFFLINE, room_code: null });
+}
+
+// Where the user is right now
+async function getCurrentPresence(userId) {
+    // A socket here is enough; only ask the cluster once it's gone
+    if (!userSockets.has(userId)) {
+        let sockets = null;
+        try {
+            sockets = await io.in(getUserRoom(userId)).fetchSockets();
+        } catch (err) {
+            // Other instances didn't answer - assume the user is still connected
+        }
+        if (sockets && sockets.length === 0) {
+            return { state: PRESENCE.OFFLINE, room_code: null };
+        }
+    }
+
+    for (const room of rooms.values()) {
+        const seated = room.players.some(p =>
+            p.userId === userId && !p.bot && p.status === PLAYER_STATUS.PLAYING);
+        if (!seated) continue;
+
+        if (room.status === GAME_STATUS.PLAYING) return { state: PRESENCE.IN_GAME, room_code: room.roomId };
+        if (room.status === GAME_STATUS.WAITING) return { state: PRESENCE.IN_LOBBY, room_code: room.roomId };
+    }
+
+    // Cluster mode: a game running on another instance
+    const session = await findGameSession(userId);
+    if (session) return { state: PRESENCE.IN_GAME, room_code: session.roomId };
+
+    if (await findQueueEntry(userId)) return { state: PRESENCE.IN_LOBBY, room_code: null };
+
+    return { state: PRESENCE.ONLINE, room_code: null };
+}
+
+// Work out the user's presence after a change of state, store it and tell
+// their friends if it's different
+async function refreshPresence(userId) {
+    try {
+        const presence = await getCurrentPresence(userId);
+        if (userSockets.has(userId)) {
+            localPresences.set(userId, presence);
+        } else {
+            localPresences.delete(userId);
+        }
+
+        const [previous] = await loadPresences([userId]);
+        const changed = previous.state !== presence.state || previous.room_code !== presence.room_code;
+        if (!changed) return;
+
+        if (isRedisConnected()) {
+            await savePresence(userId, presence, PRESENCE_TTL);
+        } else if (presence.state === PRESENCE.OFFLINE) {
+            presences.delete(userId);
+        } else {
+            presences.set(userId, presence);
+        }
+
+        const friendIds = await listFriendIds(userId);
+        if (friendIds.length > 0) {
+            io.to(friendIds.map(getUserRoom)).emit('friend_presence', JSON.stringify({
+                user_id: userId,
+                ...presence
+            }));
+        }
+    } catch (err) {
+        console.error(`[PRESENCE] Error updating ${userId}:`, err);
+    }
+}
+
+// Presence keys expire, so those of users connected here are kept alive
+// regularly. Nothing is worked out again: a key that's already gone is saved
+// from the cached presence.
+async function refreshLocalPresences() {
+    if (!isRedisConnected()) return;
+
+    try {
+        const userIds = [...localPresences.keys()];
+        const expired = await touchPresences(userIds, PRESENCE_TTL);
+        for (const userId of expired) {
+            await savePresence(userId, localPresences.get(userId), PRESENCE_TTL);
+        }
+    } catch (err) {
+        console.error('[PRESENCE] Error keeping presences alive:', err);
+    }
+}
+
+async function buildFriendEntry(userId, presence) {
+    const user = await loadUser(userId);
+    if (!user) return null;
+
+    return {
+        user_id: userId,
+        user_name: user.userName,
+        state: presence.state,
+        room_code: presence.room_code
+    };
+}
+
+async function buildFriendsList(userId) {
+    const friendIds = await listFriendIds(userId);
+    const friendPresences = await loadPresences(friendIds);
+    const entries = await Promise.all(friendIds.map((friendId, index) =>
+        buildFriendEntry(friendId, friendPresences[index])));
+
+    const requestIds = await listFriendRequestIds(userId);
+    const requesters = await Promise.all(requestIds.map(loadUser));
+
+    return {
+        friends: entries.filter(entry => entry),
+        requests: requesters
+            .filter(user => user)
+            .map(user => ({ user_id: user.userId, user_name: user.userName }))
+    };
+}
+
+// Both users see the new friend with their presence
+async function announceFriendship(userId, friendId) {
+    const [userPresence, friendPresence] = await loadPresences([userId, friendId]);
+
+    const userEntry = await buildFriendEntry(userId, userPresence);
+    const friendEntry = await buildFriendEntry(friendId, friendPresence);
+
+    io.to(getUserRoom(userId)).emit('friend_added', JSON.stringify(friendEntry));
+    io.to(getUserRoom(friendId)).emit('friend_added', JSON.stringify(userEntry));
+}
+
+function emitFriendsError(socket, message) {
+    socket.emit('friends_error', JSON.stringify({ message: message }));
+}
+
+// Seat a socket in a friend room (friend_join_room or an accepted invite)
+async function joinFriendRoom(socket, room_code) {
+    const user_id = socket.userId;
+    const user_name = socket.userName;
+
+    if (await rejectBannedUser(socket)) return;
+
+    const room = rooms.get(room_code);
+
+    if (!room) {
+        socket.emit('friend_error_response', { message: 'Room not found' });
+        return;
+    }
+
+    const joinError = getJoinError(room, user_id);
+    if (joinError) {
+        socket.emit('friend_error_response', { message: joinError });
+        return;
+    }
+
+    // Deduct bet amount - fails atomically if user doesn't have enough coins
+    const debit = await changeCoins(user_id, -room.betAmount, TRANSACTION_TYPE.BET_DEBIT, {
+        betAmount: room.betAmount,
+        roomId: room.roomId
+    });
+
+    if (!debit.ok) {
+        if (debit.reason === 'insufficient_coins') {
+            await emitInsufficientCoins(socket, room.betAmount, debit.balance);
+            console.log(`[FRIEND_JOIN_FAILED] ${user_name} insufficient coins: ${debit.balance}/${room.betAmount}`);
+        } else {
+            socket.emit('friend_error_response', { message: 'User not found' });
+        }
+        return;
+    }
+
+    console.log(`[COINS_DEDUCTED] ${user_name}: -${room.betAmount} (Remaining: ${debit.balance})`);
+
+    // Room may have filled up or started while the bet was being deducted
+    const lateJoinError = rooms.get(room_code) === room ? getJoinError(room, user_id) : 'Room not found';
+    if (lateJoinError) {
+        await changeCoins(user_id, room.betAmount, TRANSACTION_TYPE.REFUND, {
+            roomId: room.roomId,
+            reason: 'room_unavailable'
+        });
+        socket.emit('friend_error_response', { message: lateJoinError });
+        return;
+    }
+
+    const player = createPlayer(user_id, user_name, room.players.length, socket.id);
+    room.players.push(player);
+    room.escrow[user_id] = room.betAmount;
+
+    socket.join(room_code);
+    socket.currentRoomId = room_code;
+
+    // Was watching the room until now
+    removeSpectator(room, socket);
+
+    // Notify all players in room
+    io.to(withSpectators(room_code)).emit('player_joined', JSON.stringify({
+        peer_id: player.peerId,
+        user_name: user_name,
+        player_count: room.players.length,
+        max_players: room.maxPlayers
+    }));
+
+    // console.log(`[FRIEND_JOIN] ${user_name} joined room ${room_code}`);
+
+    // Start game if room full
+    if (room.players.length === room.maxPlayers) {
+        startGame(room);
+    } else {
+        persistRoom(room);
+        refreshPresence(user_id);
+    }
+}
+
+// ===== PUSH NOTIFICATIONS =====
+// Pushes only go to users who aren't looking at the app: no connected socket,
+// or only sockets that reported app_state background. Tokens are kept per
+// device; users can switch each type off and every type is rate limited (see
+// notifications.js). Reward reminders are scheduled for when the reward can
+// be claimed, and checked again before they're sent.
+
+const pushProvider = createPushProvider(process.env); // null = pushes disabled
+
+async function loadPushTokens(userId) {
+    return isRedisConnected() ? getPushTokens(userId) : { ...(pushTokens.get(userId) || {}) };
+}
+
+async function forgetPushToken(userId, deviceId) {
+    if (isRedisConnected()) {
+        await removePushToken(userId, deviceId);
+    } else if (pushTokens.has(userId)) {
+        delete pushTokens.get(userId)[deviceId];
+    }
+}
+
+// Store or refresh a device's token, keeping at most MAX_PUSH_DEVICES per user
+async function registerPushToken(userId, token, deviceId, platform) {
+    const entry = { token: token, platform: platform || 'unknown', updatedAt: Date.now() };
+    const devices = await loadPushTokens(userId);
+
+    // The same token under another id (clients that sent no device id)
+    for (const [otherId, other] of Object.entries(devices)) {
+        if (otherId !== deviceId && other.token === token) {
+            await forgetPushToken(userId, otherId);
+            delete devices[otherId];
+        }
+    }
+
+    if (isRedisConnected()) {
+        await savePushToken(userId, deviceId, entry);
+    } else {
+        if (!pushTokens.has(userId)) pushTokens.set(userId, {});
+        pushTokens.get(userId)[deviceId] = entry;
+    }
+    devices[deviceId] = entry;
+
+    const oldest = Object.keys(devices)
+        .sort((a, b) => devices[a].updatedAt - devices[b].updatedAt)
+        .slice(0, Math.max(Object.keys(devices).length - MAX_PUSH_DEVICES, 0));
+    for (const oldDeviceId of oldest) {
+        await forgetPushToken(userId, oldDeviceId);
+    }
+}
+
+// Which notification types the user gets (all of them unless switched off)
+async function loadPushSettings(userId) {
+    const stored = isRedisConnected() ? await getPushSettings(userId) : pushSettings.get(userId);
+    return resolvePushSettings(stored || {});
+}
+
+async function updatePushSettings(userId, changes) {
+    const updates = {};
+    Object.values(NOTIFICATION_TYPE)
+        .filter(type => typeof changes[type] === 'boolean')
+        .forEach(type => {
+            updates[type] = changes[type];
+        });
+    if (Object.keys(updates).length === 0) return;
+
+    if (isRedisConnected()) {
+        const stored = {};
+        Object.entries(updates).forEach(([type, enabled]) => {
+            stored[type] = enabled ? '1' : '0';
+        });
+        await savePushSettings(userId, stored);
+    } else {
+        pushSettings.set(userId, { ...(pushSettings.get(userId) || {}), ...updates });
+    }
+}
+
+// Rate limit: a gap per type plus an hourly cap, false if the push must wait
+async function takePushSlot(userId, type) {
+    if (isRedisConnected()) {
+        return acquirePushSlot(userId, type, PUSH_INTERVALS[type], PUSH_HOURLY_LIMIT);
+    }
+    return takeMemoryPushSlot(pushLimits, userId, type, Date.now());
+}
+
+async function isAppInForeground(userId) {
+    try {
+        const sockets = await io.in(getUserRoom(userId)).fetchSockets();
+        return sockets.some(socket => socket.data.appState !== 'background');
+    } catch (err) {
+        // Other instances didn't answer - better no push than a needless one
+        return true;
+    }
+}
+
+// Send a push to all of the user's devices, true if one got it
+async function notifyUser(userId, type, data = {}) {
+    if (!pushProvider) return false;
+
+    try {
+        const settings = await loadPushSettings(userId);
+        if (!settings[type] || await isAppInForeground(userId)) return false;
+
+        const devices = await loadPushTokens(userId);
+        if (Object.keys(devices).length === 0) return false;
+        if (!await takePushSlot(userId, type)) return false;
+
+        const { delivered, invalidDeviceIds } = await sendToDevices(pushProvider, devices, buildMessage(type, data));
+        for (const deviceId of invalidDeviceIds) {
+            await forgetPushToken(userId, deviceId);
+        }
+
+        return delivered;
+    } catch (err) {
+        console.error(`[PUSH] Error notifying ${userId}:`, err);
+        return false;
+    }
+}
+
+// Remind the user of a daily reward / refill once it can be claimed
+async function scheduleRewardReminder(userId, reward, at) {
+    if (!pushProvider) return;
+
+    const reminder = { userId: userId, reward: reward };
+    if (isRedisConnected()) {
+        await schedulePush(reminder, at);
+    } else {
+        pushSchedule.set(`${userId}:${reward}`, { reminder: reminder, at: at });
+    }
+}
+
+async function takeDueReminders(now) {
+    if (isRedisConnected()) return takeDuePushes(now);
+
+    const due = [];
+    pushSchedule.forEach((item, key) => {
+        if (item.at <= now) {
+            due.push(item.reminder);
+            pushSchedule.delete(key);
+        }
+    });
+    return due;
+}
+
+async function runPushSchedule() {
+    if (!pushProvider) return;
+
+    try {
+        const now = Date.now();
+        for (const reminder of await takeDueReminders(now)) {
+            const user = await loadUser(reminder.userId);
+            if (!user) continue;
+
+            // Claimed, or no longer broke, since it was scheduled
+            const claimable = reminder.reward === TRANSACTION_TYPE.REFILL ?
+                getRefill(user, now, MIN_STAKE).available :
+                getDailyReward(user, now).available;
+
+            if (claimable) {
+                await notifyUser(user.userId, NOTIFICATION_TYPE.REWARD, { reward: reminder.reward });
+            }
+        }
+    } catch (err) {
+        console.error('[PUSH] Reminder error:', err);
+    }
+}
+
+// ===== GIFTS =====
+// A gift debits the sender and credits the recipient's share of the price
+// (see gifts.js) in one step, and is kept in both users' gift history.
+
+function recordGift(userId, gift) {
+    const history = giftHistory.get(userId) || [];
+    history.unshift(gift);
+    history.length = Math.min(history.length, MEMORY_GIFT_LIMIT);
+    giftHistory.set(userId, history);
+}
+
+async function sendGift(gift) {
+    if (isRedisConnected()) {
+        return transferGift(gift, TRANSACTION_TYPE.GIFT, TRANSACTION_TYPE.GIFT_RECEIVED);
+    }
+
+    // Memory fallback - nothing can run between the debit and the credit
+    const debit = await changeCoins(gift.senderId, -gift.price, TRANSACTION_TYPE.GIFT, {
+        gift_id: gift.giftId,
+        to_user_id: gift.recipientId,
+        room_id: gift.roomId
+    });
+    if (!debit.ok) return debit;
+    recordGift(gift.senderId, gift);
+
+    // Bots have no user record, their gifts only cost the sender
+    const recipient = users.get(gift.recipientId);
+    if (!recipient) return { ok: true, balance: debit.balance, recipientBalance: null };
+
+    if (gift.credit > 0) {
+        await changeCoins(gift.recipientId, gift.credit, TRANSACTION_TYPE.GIFT_RECEIVED, {
+            gift_id: gift.giftId,
+            from_user_id: gift.senderId,
+            room_id: gift.roomId
+        });
+    }
+    recordGift(gift.recipientId, gift);
+
+    return { ok: true, balance: debit.balance, recipientBalance: recipient.coins };
+}
+
+async function listGifts(userId, limit) {
+    if (isRedisConnected()) {
+        return getGiftHistory(userId, limit);
+    }
+    return (giftHistory.get(userId) || []).slice(0, limit);
+}
+
+// A gift as `userId` sees it in their history
+function formatGift(gift, userId) {
+    const sent = gift.senderId === userId;
+    return {
+        id: gift.id,
+        gift_id: gift.giftId,
+        direction: sent ? 'sent' : 'received',
+        price: gift.price,
+        credit: gift.credit,
+        user_id: sent ? gift.recipientId : gift.senderId,
+        user_name: sent ? gift.recipientName : gift.senderName,
+        room_id: gift.roomId,
+        created_at: gift.createdAt
+    };
+}
+
+// ===== CHAT MODERATION =====
+// Chat is filtered (blocked words masked, links refused) and rate limited per
+// user before it's relayed; the filter lives in Redis (config:chat) like the
+// payout tables. Players can mute an opponent until the game ends and report
+// them - the report keeps the room's recent chat for review (GET /reports).
+
+async function loadChatConfig() {
+    if (!isRedisConnected()) return;
+
+    const config = await getConfig('chat');
+    if (!config) return;
+
+    const error = validateChatConfig(config);
+    if (error) {
+        console.error(`[CHAT] Ignoring stored chat config: ${error}`);
+        return;
+    }
+    chatConfig = config;
+}
+
+async function updateChatConfig(config) {
+    if (isRedisConnected() && !await saveConfig('chat', config)) {
+        return false;
+    }
+    chatConfig = config;
+    console.log(`[CHAT] Chat config updated (${config.blocked_words.length} blocked words)`);
+    return true;
+}
+
+// Rate limit of a user's chat in a room, false if the message must be dropped
+function allowChat(room, userId) {
+    if (!room.chatSentAt[userId]) {
+        room.chatSentAt[userId] = [];
+    }
+    return allowChatMessage(room.chatSentAt[userId], Date.now(), chatConfig);
+}
+
+// Keep recent chat as report context, with what the player actually typed
+function recordChat(room, player, original, text) {
+    room.chatLog.push({
+        peer_id: player.peerId,
+        user_id: player.userId,
+        user_name: player.userName,
+        text: text,
+        original: original,
+        at: Date.now()
+    });
+    if (room.chatLog.length > CHAT_LOG_SIZE) {
+        room.chatLog.splice(0, room.chatLog.length - CHAT_LOG_SIZE);
+    }
+}
+
+function isMuted(room, userId, senderId) {
+    return (room.mutes[userId] || []).includes(senderId);
+}
+
+// Send chat or an emoji to everyone in the room except the sender and the
+// players who muted them
+function relayToRoom(socket, room, sender, event, payload) {
+    const mutedBy = room.players
+        .filter(p => !p.bot && isMuted(room, p.userId, sender.userId))
+        .map(p => getUserRoom(p.userId));
+
+    socket.to(room.roomId).except(mutedBy).emit(event, JSON.stringify(payload));
+}
+
+function emitChatRejected(socket, reason) {
+    socket.emit('chat_rejected', JSON.stringify({ reason: reason }));
+}
+
+async function storeReport(report) {
+    if (isRedisConnected()) {
+        return saveReport(report, REPORT_RETENTION);
+    }
+
+    reports.unshift(report);
+    if (reports.length > MEMORY_REPORT_LIMIT) {
+        reports.length = MEMORY_REPORT_LIMIT;
+    }
+    return true;
+}
+
+async function listReports(limit) {
+    if (isRedisConnected()) {
+        return getReports(limit);
+    }
+    return reports.slice(0, limit);
+}
+
+// ===== ADMIN TOOLS =====
+// Live operations through the admin HTTP API (ADMIN_API_KEYS). Room actions
+// run on the instance that owns the room; every action is audit-logged.
+
+async function recordAudit(actor, action, target, details = {}) {
+    const entry = {
+        id: uuidv4(),
+        actor: actor,
+        action: action,
+        target: target,
+        details: details,
+        createdAt: Date.now()
+    };
+
+    if (isRedisConnected()) {
+        await addAuditEntry(entry);
+    } else {
+        auditLog.unshift(entry);
+        auditLog.length = Math.min(auditLog.length, MEMORY_AUDIT_LIMIT);
+    }
+
+    console.log(`[ADMIN] ${actor}: ${action} ${target} ${JSON.stringify(details)}`);
+}
+
+async function listAuditLog(limit) {
+    if (isRedisConnected()) {
+        return getAuditLog(limit);
+    }
+    return auditLog.slice(0, limit);
+}
+
+// The user's ban if it is still running, null otherwise
+async function getActiveBan(userId) {
+    if (isRedisConnected()) {
+        return getBan(userId); // Expires with the key
+    }
+
+    const ban = bans.get(userId);
+    if (ban && ban.expiresAt && ban.expiresAt <= Date.now()) {
+        bans.delete(userId);
+        return null;
+    }
+    return ban || null;
+}
+
+async function banUser(userId, ban) {
+    if (isRedisConnected()) {
+        const ttl = ban.expiresAt ? Math.ceil((ban.expiresAt - Date.now()) / 1000) : null;
+        if (!await saveBan(userId, ban, ttl)) return false;
+    } else {
+        bans.set(userId, ban);
+    }
+
+    // Their disconnect handlers leave the queue and start the grace period
+    const userRoom = getUserRoom(userId);
+    io.to(userRoom).emit('banned', JSON.stringify(formatBan(ban)));
+    io.in(userRoom).disconnectSockets(true);
+    return true;
+}
+
+async function unbanUser(userId) {
+    if (isRedisConnected()) {
+        return deleteBan(userId);
+    }
+    return bans.delete(userId);
+}
+
+function formatBan(ban) {
+    return {
+        reason: ban.reason,
+        banned_at: ban.createdAt,
+        expires_at: ban.expiresAt
+    };
+}
+
+// Tell a banned user why they can't play, returns true if they are banned
+async function rejectBannedUser(socket) {
+    const ban = await getActiveBan(socket.userId);
+    if (!ban) return false;
+
+    socket.emit('banned', JSON.stringify(formatBan(ban)));
+    return true;
+}
+
+function buildAdminRoomSummary(room) {
+    return {
+        room_id: room.roomId,
+        status: room.status,
+        room_coin: room.betAmount,
+        room_players_size: room.maxPlayers,
+        is_private: room.isPrivate,
+        team_mode: room.teamMode,
+        tournament_id: room.tournament ? room.tournament.tournamentId : null,
+        players: room.players.map(p => ({
+            peer_id: p.peerId,
+            user_id: p.userId,
+            user_name: p.userName,
+            player_status: p.status,
+            is_bot: !!p.bot,
+            connected: p.connected !== false
+        })),
+        spectator_count: Object.keys(room.spectators || {}).length,
+        escrow_total: getEscrowTotal(room),
+        created_at: room.createdAt
+    };
+}
+
+function buildAdminRoomDetails(room) {
+    return {
+        ...buildRoomSnapshot(room),
+        is_private: room.isPrivate,
+        host_user_id: room.hostUserId,
+        escrow: room.escrow,
+        settled: room.settled,
+        invites: room.invites,
+        chat_log: room.chatLog,
+        created_at: room.createdAt
+    };
+}
+
+// End a room now and give every stake still held back
+async function forceEndRoom(room, reason) {
+    if (room.status === GAME_STATUS.FINISHED) {
+        return { ok: false, status: 409, message: 'Game already finished' };
+    }
+
+    room.status = GAME_STATUS.FINISHED;
+    clearTurnTimer(room);
+    recordEvent(room, 'admin_end', { reason: reason });
+
+    const refunded = { ...room.escrow };
+    for (const userId of Object.keys(refunded)) {
+        await refundStake(room, userId, 'admin_ended');
+    }
+    room.settled = true;
+
+    io.to(withSpectators(room.roomId)).emit('room_closed', JSON.stringify({
+        room_id: room.roomId,
+        reason: reason
+    }));
+    io.in(room.roomId).socketsLeave(room.roomId);
+    removeRoom(room.roomId);
+
+    return { ok: true, refunded: refunded };
+}
+
+// Take a player out of a room. A running game goes on without them and their
+// stake stays in the pot, like leaving; waiting rooms refund it.
+async function kickPlayer(room, userId, reason) {
+    const player = room.players.find(p => p.userId === userId);
+    if (!player) {
+        return { ok: false, status: 404, message: 'Player not in room' };
+    }
+
+    const userRoom = getUserRoom(userId);
+    io.to(userRoom).emit('kicked', JSON.stringify({ room_id: room.roomId, reason: reason }));
+    io.in(userRoom).socketsLeave(room.roomId);
+
+    if (room.status === GAME_STATUS.WAITING) {
+        await removeWaitingPlayer(room, userId, 'kicked');
+        return { ok: true };
+    }
+
+    if (room.status !== GAME_STATUS.PLAYING || player.status !== PLAYER_STATUS.PLAYING) {
+        return { ok: false, status: 409, message: 'Player is not playing' };
+    }
+
+    io.to(room.roomId).emit('leave_room', JSON.stringify(player.peerId));
+    const wasTurn = room.players[room.currentTurn] === player;
+    await handlePlayerLeft(room, player);
+
+    if (wasTurn && room.status === GAME_STATUS.PLAYING && rooms.get(room.roomId) === room) {
+        passTurn(room);
+    }
+    return { ok: true };
+}
+
+// Run an admin room command here if we own the room, or on the owner
+async function runAdminRoomAction(roomId, command, params) {
+    const room = rooms.get(roomId);
+
+    if (room) {
+        if (command === 'end') return forceEndRoom(room, params.reason);
+        if (command === 'kick') return kickPlayer(room, params.userId, params.reason);
+        return null;
+    }
+
+    if (!CLUSTER_ENABLED) return null;
+    return forwardRoomAction(io, { type: 'admin', roomId: roomId, command: command, params: params });
+}
+
+// ===== LEADERBOARDS =====
+// Boards per stat and period (see leaderboards.js), updated when a game is
+// settled. Ended seasons are archived with their final standings.
+
+async function recordLeaderboardScores(user, result, isWin) {
+    const updates = buildScoreUpdates({
+        won: isWin,
+        coinsWon: Math.max(result.winning_coin, 0),
+        ratingChange: result.rating_change,
+        rating: getUserRating(user)
+    }, Date.now());
+
+    if (isRedisConnected()) {
+        await updateLeaderboards(user.userId, user.userName, updates);
+        return;
+    }
+
+    const now = Date.now();
+    for (const update of updates) {
+        let board = leaderboards.get(update.key);
+        if (!board) {
+            board = { scores: new Map(), expiresAt: null };
+            leaderboards.set(update.key, board);
+        }
+        if (update.ttl) {
+            board.expiresAt = now + update.ttl * 1000;
+        }
+
+        const score = update.increment !== undefined ?
+            (board.scores.get(user.userId) || 0) + update.increment :
+            update.score;
+        board.scores.set(user.userId, score);
+    }
+}
+
+// Memory fallback: a board's entries sorted like the Redis sorted sets
+function getMemoryStandings(key) {
+    const board = leaderboards.get(key);
+    if (!board || (board.expiresAt && board.expiresAt <= Date.now())) return [];
+
+    return [...board.scores.entries()]
+        .sort((a, b) => b[1] - a[1] || (b[0] < a[0] ? -1 : 1))
+        .map(([userId, score], index) => {
+            const user = users.get(userId);
+            return { rank: index + 1, userId: userId, userName: user ? user.userName : userId, score: score };
+        });
+}
+
+async function loadLeaderboardPage(key, offset, limit) {
+    if (isRedisConnected()) {
+        return getLeaderboardPage(key, offset, limit);
+    }
+
+    const standings = getMemoryStandings(key);
+    return { total: standings.length, entries: standings.slice(offset, offset + limit) };
+}
+
+async function loadLeaderboardRank(key, userId) {
+    if (isRedisConnected()) {
+        return getLeaderboardRank(key, userId);
+    }
+
+    const entry = getMemoryStandings(key).find(e => e.userId === userId);
+    return entry ? { rank: entry.rank, score: entry.score } : null;
+}
+
+// The player's rank with `range` players above and below them
+async function loadAroundMe(key, userId, range) {
+    const me = await loadLeaderboardRank(key, userId);
+    if (!me) return { me: null, entries: [] };
+
+    const offset = Math.max(me.rank - 1 - range, 0);
+    const page = await loadLeaderboardPage(key, offset, me.rank - offset + range);
+    return { me: me, entries: page.entries };
+}
+
+function formatLeaderboardEntry(entry) {
+    return {
+        rank: entry.rank,
+        user_id: entry.userId,
+        user_name: entry.userName,
+        score: entry.score
+    };
+}
+
+// Read and check the board a request asks for. Past seasons can be read
+// until their boards expire, see getSeasonResults for archived standings.
+function parseLeaderboardQuery(query) {
+    const stat = query.stat || LEADERBOARD_STAT.WINS;
+    const period = query.period || LEADERBOARD_PERIOD.ALL_TIME;
+    if (!isLeaderboardStat(stat)) return { error: 'Unknown leaderboard stat' };
+    if (!isLeaderboardPeriod(period)) return { error: 'Unknown leaderboard period' };
+
+    const now = Date.now();
+    const current = getSeason(now).season;
+    let season = null;
+    if (period === LEADERBOARD_PERIOD.SEASON) {
+        season = query.season === undefined || query.season === null ? current : parseInt(query.season, 10);
+        if (!Number.isInteger(season) || season < 1 || season > current) return { error: 'Unknown season' };
+    }
+
+    return {
+        stat: stat,
+        period: period,
+        season: season,
+        key: getLeaderboardKey(stat, period, now, season),
+        resetsAt: season === null || season === current ? getPeriodEnd(period, now) : null
+    };
+}
+
+async function buildLeaderboard(query, offset, limit, userId) {
+    const board = parseLeaderboardQuery(query);
+    if (board.error) return board;
+
+    const page = await loadLeaderboardPage(board.key, offset, limit);
+    const me = userId ? await loadLeaderboardRank(board.key, userId) : null;
+
+    return {
+        stat: board.stat,
+        period: board.period,
+        season: board.season,
+        resets_at: board.resetsAt,
+        offset: offset,
+        total: page.total,
+        entries: page.entries.map(formatLeaderboardEntry),
+        me: me
+    };
+}
+
+async function buildAroundMe(query, range, userId) {
+    const board = parseLeaderboardQuery(query);
+    if (board.error) return board;
+
+    const around = await loadAroundMe(board.key, userId, range);
+    return {
+        stat: board.stat,
+        period: board.period,
+        season: board.season,
+        resets_at: board.resetsAt,
+        user_id: userId,
+        me: around.me,
+        entries: around.entries.map(formatLeaderboardEntry)
+    };
+}
+
+async function getSeasonResults(season) {
+    return isRedisConnected() ? getSeasonArchive(season) : (seasonArchives.get(season) || null);
+}
+
+// Keep the final top SEASON_ARCHIVE_SIZE of every board of an ended season
+async function archiveSeason(season) {
+    if (await getSeasonResults(season)) return;
+
+    const boards = {};
+    for (const stat of Object.values(LEADERBOARD_STAT)) {
+        const page = await loadLeaderboardPage(getLeaderboardKey(stat, LEADERBOARD_PERIOD.SEASON, 0, season), 0, SEASON_ARCHIVE_SIZE);
+        boards[stat] = page.entries.map(formatLeaderboardEntry);
+    }
+
+    const archive = {
+        ...getSeasonDates(season),
+        archived_at: Date.now(),
+        boards: boards
+    };
+
+    if (isRedisConnected()) {
+        if (!await saveSeasonArchive(season, archive)) return; // Another instance was first
+    } else {
+        seasonArchives.set(season, archive);
+    }
+
+    console.log(`[SEASON] Season ${season} archived (${boards[LEADERBOARD_STAT.WINS].length} players on the wins board)`);
+}
+
+async function runSeasonRollover() {
+    try {
+        const { season } = getSeason(Date.now());
+        if (season > 1) {
+            await archiveSeason(season - 1);
+        }
+
+        // Memory fallback: drop boards whose period is over, like the Redis TTLs
+        for (const [key, board] of leaderboards) {
+            if (board.expiresAt && board.expiresAt <= Date.now()) {
+                leaderboards.delete(key);
+            }
+        }
+    } catch (error) {
+        console.error('[SEASON] Rollover error:', error);
+    }
+}
+
+// ===== MATCH HISTORY + PROFILES =====
+// Every human player of a finished game gets a match record and updated
+// profile stats (see profiles.js).
+
+async function storeMatchHistory(room, results) {
+    const endedAt = Date.now();
+
+    for (const player of room.players) {
+        if (player.bot && !player.bot.takeover) continue;
+
+        // Same rule as the win/loss count: a human whose seat a bot took over forfeits
+        const won = player.status === PLAYER_STATUS.WIN && !player.bot;
+        const record = buildMatchRecord(room, results, player, won, endedAt);
+        const increments = buildStatIncrements(record);
+
+        if (isRedisConnected()) {
+            await recordMatch(player.userId, record, increments);
+            continue;
+        }
+
+        const history = matchHistory.get(player.userId) || [];
+        history.unshift(record);
+        history.length = Math.min(history.length, MEMORY_MATCH_LIMIT);
+        matchHistory.set(player.userId, history);
+
+        const stats = profileStats.get(player.userId) || {};
+        Object.entries(increments).forEach(([field, delta]) => {
+            stats[field] = (stats[field] || 0) + delta;
+        });
+        stats.current_streak = won ? (stats.current_streak || 0) + 1 : 0;
+        stats.longest_streak = Math.max(stats.longest_streak || 0, stats.current_streak);
+        profileStats.set(player.userId, stats);
+    }
+}
+
+async function listMatches(userId, offset, limit) {
+    if (isRedisConnected()) {
+        return getMatchHistory(userId, offset, limit);
+    }
+    return (matchHistory.get(userId) || []).slice(offset, offset + limit);
+}
+
+// Public profile of a user, or null if there is no such user
+async function buildProfile(userId) {
+    const user = await loadUser(userId);
+    if (!user) return null;
+
+    const stats = isRedisConnected() ? await getProfileStats(userId) : (profileStats.get(userId) || {});
+    const recent = await listMatches(userId, 0, PROFILE_RECENT_MATCHES);
+
+    return {
+        user_id: user.userId,
+        user_name: user.userName,
+        user_level: user.level || 1,
+        user_rating: getUserRating(user),
+        numof_win: user.winCount || 0,
+        numof_lose: user.lostCount || 0,
+        total_games: user.totalGamesPlayed || 0,
+        stats: formatProfileStats(stats),
+        recent_matches: recent.map(formatMatchRecord)
+    };
+}
+
+// ===== ACHIEVEMENTS + QUESTS =====
+// Game events advance the goals of achievements.js. A goal is marked done in
+// the same step as the progress update that reaches its target (see
+// GOAL_PROGRESS_SCRIPT), so its reward is paid only once.
+
+// Memory fallback of advanceAchievements/advanceQuests
+function advanceMemoryGoals(progress, updates, now) {
+    return updates
+        .filter(update => !progress[`${update.id}:done`])
+        .map(update => {
+            progress[update.id] = (progress[update.id] || 0) + update.increment;
+            const completed = progress[update.id] >= update.target;
+            if (completed) {
+                progress[`${update.id}:done`] = now;
+            }
+            return { id: update.id, progress: progress[update.id], completed: completed };
+        });
+}
+
+function getMemoryQuests(userId, day) {
+    const quests = questProgress.get(userId);
+    if (quests && quests.day === day) return quests.progress;
+
+    const progress = {};
+    questProgress.set(userId, { day: day, progress: progress });
+    return progress;
+}
+
+async function loadGoalProgress(userId, now) {
+    const day = getQuestDay(now);
+    if (isRedisConnected()) {
+        return {
+            achievements: await getAchievementProgress(userId),
+            quests: await getQuestProgress(userId, day)
+        };
+    }
+    return {
+        achievements: achievementProgress.get(userId) || {},
+        quests: getMemoryQuests(userId, day)
+    };
+}
+
+// Pay a completed goal and tell the user
+async function grantGoalReward(userId, goal, type, event) {
+    const credit = await changeCoins(userId, goal.reward, type, { goal_id: goal.id });
+
+    io.to(getUserRoom(userId)).emit(event, JSON.stringify({
+        ...formatGoal(goal, { [goal.id]: goal.target, [`${goal.id}:done`]: Date.now() }),
+        user_coin: credit.ok ? credit.balance : null
+    }));
+    console.log(`[GOALS] ${userId} completed ${goal.id}: +${goal.reward}`);
+}
+
+/**
+ * Count a game event for a user's achievements and quests. `count` is how
+ * often the event happened, `context` what the goal conditions are checked
+ * against (see achievements.js).
+ */
+async function trackGoals(userId, event, count, context) {
+    const now = Date.now();
+    const day = getQuestDay(now);
+    const achievementUpdates = getGoalUpdates(ACHIEVEMENTS, event, count, context);
+    const questUpdates = getGoalUpdates(DAILY_QUESTS, event, count, context);
+
+    let achievements = [];
+    let quests = [];
+    if (isRedisConnected()) {
+        if (achievementUpdates.length > 0) achievements = await advanceAchievements(userId, achievementUpdates, now);
+        if (questUpdates.length > 0) quests = await advanceQuests(userId, day, questUpdates, now);
+    } else {
+        if (!achievementProgress.has(userId)) achievementProgress.set(userId, {});
+        achievements = advanceMemoryGoals(achievementProgress.get(userId), achievementUpdates, now);
+        quests = advanceMemoryGoals(getMemoryQuests(userId, day), questUpdates, now);
+    }
+
+    for (const quest of quests) {
+        const goal = getGoal(quest.id);
+        if (quest.completed) {
+            await grantGoalReward(userId, goal, TRANSACTION_TYPE.QUEST, 'quest_progress');
+        } else {
+            io.to(getUserRoom(userId)).emit('quest_progress', JSON.stringify(
+                formatGoal(goal, { [quest.id]: quest.progress })
+            ));
+        }
+    }
+
+    for (const achievement of achievements.filter(a => a.completed)) {
+        await grantGoalReward(userId, getGoal(achievement.id), TRANSACTION_TYPE.ACHIEVEMENT, 'achievement_unlocked');
+    }
+}
+
+// Goals pay coins, so only games with something at stake count: friend rooms
+// (two friends could trade wins) and rooms without a stake are left out.
+// Tournament tables have no stake but are paid for with the entry fee.
+function countsForGoals(room) {
+    if (room.tournament) return true;
+    return !room.isPrivate && room.betAmount > 0;
+}
+
+// game_finished for every human player of a finished game
+async function trackGameGoals(room, results) {
+    if (!countsForGoals(room)) return;
+
+    for (const player of room.players) {
+        if (player.bot) continue;
+
+        const result = results.find(r => r.user_id === player.userId);
+        await trackGoals(player.userId, GOAL_EVENT.GAME_FINISHED, 1, {
+            won: player.status === PLAYER_STATUS.WIN,
+            betAmount: room.betAmount,
+            playerCount: room.players.length,
+            placement: result ? result.player_rank : null
+        });
+    }
+}
+
+async function buildGoalList(userId) {
+    const now = Date.now();
+    const progress = await loadGoalProgress(userId, now);
+
+    return {
+        achievements: ACHIEVEMENTS.map(goal => formatGoal(goal, progress.achievements)),
+        quests: DAILY_QUESTS.map(goal => formatGoal(goal, progress.quests)),
+        quests_reset_at: getQuestResetAt(now)
+    };
+}
+
+// ===== TOURNAMENTS =====
+// Tournament tables are normal rooms without a stake (see tournaments.js for
+// the bracket). Every change to a tournament goes through updateTournament;
+// in cluster mode tables finish on different instances, so updates are
+// serialized with a lock. Rounds are seeded by runTournamentChecks once they
+// are due, so a restart between rounds doesn't stall the bracket.
+
+let tournamentChecksRunning = false;
+
+function getTournamentRoom(tournamentId) {
+    return `tournament:${tournamentId}`;
+}
+
+async function loadTournament(tournamentId) {
+    return isRedisConnected() ? getTournament(tournamentId) : (tournaments.get(tournamentId) || null);
+}
+
+async function listTournaments(limit) {
+    if (isRedisConnected()) {
+        return getTournaments(limit);
+    }
+    return [...tournaments.values()]
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, limit);
+}
+
+async function storeTournament(tournament) {
+    if (isRedisConnected()) {
+        await saveTournament(tournament);
+    } else {
+        tournaments.set(tournament.tournamentId, tournament);
+    }
+}
+
+/**
+ * Change a tournament. `update` gets the current state, changes it in place
+ * and returns a result; nothing else can change the tournament meanwhile.
+ * Returns { tournament, result }, or null if there is no such tournament.
+ */
+async function updateTournament(tournamentId, update) {
+    // Memory fallback - update runs without awaiting, nothing can interleave
+    if (!isRedisConnected()) {
+        const tournament = tournaments.get(tournamentId);
+        if (!tournament) return null;
+        return { tournament: tournament, result: update(tournament) };
+    }
+
+    const owner = `${INSTANCE_ID}:${uuidv4()}`;
+    let locked = false;
+    for (let i = 0; i < TOURNAMENT_LOCK_RETRIES && !locked; i++) {
+        locked = await acquireTournamentLock(tournamentId, owner, TOURNAMENT_LOCK_TTL);
+        if (!locked) {
+            await new Promise(resolve => setTimeout(resolve, TOURNAMENT_LOCK_WAIT));
+        }
+    }
+    if (!locked) {
+        throw new Error(`Tournament ${tournamentId} is locked`);
+    }
+
+    try {
+        const tournament = await getTournament(tournamentId);
+        if (!tournament) return null;
+
+        const result = update(tournament);
+        await saveTournament(tournament);
+        return { tournament: tournament, result: result };
+    } finally {
+        await releaseTournamentLock(tournamentId, owner);
+    }
+}
+
+// Live bracket for everyone watching and every registered player
+function emitTournamentUpdate(tournament) {
+    let target = io.to(getTournamentRoom(tournament.tournamentId));
+    tournament.players.forEach(player => {
+        target = target.to(getUserRoom(player.userId));
+    });
+    target.emit('tournament_update', JSON.stringify(formatTournament(tournament, true)));
+}
+
+async function openTournament(settings, createdBy) {
+    const tournament = createTournament(uuidv4(), settings, createdBy, Date.now());
+    await storeTournament(tournament);
+    console.log(`[TOURNAMENT] ${tournament.name} (${tournament.tournamentId}) open for registration`);
+    return tournament;
+}
+
+async function registerForTournament(user, tournamentId) {
+    const tournament = await loadTournament(tournamentId);
+    if (!tournament) return { ok: false, reason: 'not_found' };
+
+    const check = t => {
+        if (t.status !== TOURNAMENT_STATUS.REGISTERING) return 'registration_closed';
+        if (t.players.some(p => p.userId === user.userId)) return 'already_registered';
+        if (t.players.length >= t.maxPlayers) return 'tournament_full';
+        return null;
+    };
+
+    const reason = check(tournament);
+    if (reason) return { ok: false, reason: reason };
+
+    // One game at a time: a table can't seat someone who is still playing
+    if (await findGameSession(user.userId)) return { ok: false, reason: 'in_game' };
+
+    let balance = user.coins;
+    if (tournament.entryFee > 0) {
+        const debit = await changeCoins(user.userId, -tournament.entryFee, TRANSACTION_TYPE.TOURNAMENT_ENTRY, {
+            tournamentId: tournamentId
+        });
+        if (!debit.ok) return { ...debit, required: tournament.entryFee };
+        balance = debit.balance;
+    }
+
+    // Someone else may have taken the last seat while the fee was paid
+    const update = await updateTournament(tournamentId, t => {
+        const lateReason = check(t);
+        if (lateReason) return { ok: false, reason: lateReason };
+
+        t.players.push({
+            userId: user.userId,
+            userName: user.userName,
+            rating: getUserRating(user),
+            registeredAt: Date.now(),
+            placement: null,
+            prize: 0
+        });
+        return { ok: true, full: t.startsAt === null && t.players.length >= t.maxPlayers };
+    });
+
+    if (!update || !update.result.ok) {
+        if (tournament.entryFee > 0) {
+            const refund = await changeCoins(user.userId, tournament.entryFee, TRANSACTION_TYPE.REFUND, {
+                tournamentId: tournamentId,
+                reason: 'registration_failed'
+            });
+            balance = refund.balance;
+        }
+        return { ok: false, reason: update ? update.result.reason : 'not_found', balance: balance };
+    }
+
+    console.log(`[TOURNAMENT] ${user.userName} registered for ${tournamentId} (${update.tournament.players.length}/${update.tournament.maxPlayers})`);
+    emitTournamentUpdate(update.tournament);
+
+    return { ok: true, balance: balance, tournament: update.tournament, full: update.result.full };
+}
+
+async function unregisterFromTournament(userId, tournamentId) {
+    const update = await updateTournament(tournamentId, t => {
+        if (t.status !== TOURNAMENT_STATUS.REGISTERING) return { ok: false, reason: 'registration_closed' };
+
+        const index = t.players.findIndex(p => p.userId === userId);
+        if (index === -1) return { ok: false, reason: 'not_registered' };
+
+        t.players.splice(index, 1);
+        return { ok: true };
+    });
+
+    if (!update) return { ok: false, reason: 'not_found' };
+    if (!update.result.ok) return update.result;
+
+    const tournament = update.tournament;
+    let balance = null;
+    if (tournament.entryFee > 0) {
+        const refund = await changeCoins(userId, tournament.entryFee, TRANSACTION_TYPE.REFUND, {
+            tournamentId: tournamentId,
+            reason: 'unregistered'
+        });
+        balance = refund.balance;
+    }
+
+    emitTournamentUpdate(tournament);
+    return { ok: true, refund: tournament.entryFee, balance: balance };
+}
+
+// Refund every entry fee of a tournament that won't be played
+async function refundTournament(tournament, reason) {
+    if (tournament.entryFee === 0) return;
+
+    for (const player of tournament.players) {
+        await changeCoins(player.userId, tournament.entryFee, TRANSACTION_TYPE.REFUND, {
+            tournamentId: tournament.tournamentId,
+            reason: reason
+        });
+    }
+}
+
+async function cancelTournament(tournamentId, reason) {
+    const update = await updateTournament(tournamentId, t => {
+        if (t.status !== TOURNAMENT_STATUS.REGISTERING) return { ok: false, reason: 'already_started' };
+
+        t.status = TOURNAMENT_STATUS.CANCELLED;
+        t.finishedAt = Date.now();
+        return { ok: true };
+    });
+
+    if (!update) return { ok: false, reason: 'not_found' };
+    if (!update.result.ok) return update.result;
+
+    await refundTournament(update.tournament, reason);
+    emitTournamentUpdate(update.tournament);
+    console.log(`[TOURNAMENT] ${tournamentId} cancelled (${reason}), ${update.tournament.players.length} entries refunded`);
+    return { ok: true, refunded: update.tournament.players.length };
+}
+
+// Give every table of a round its room id, byes have none
+function assignTableRooms(round) {
+    round.tables
+        .filter(table => table.status === TABLE_STATUS.PLAYING)
+        .forEach(table => {
+            table.roomId = uuidv4();
+        });
+}
+
+// Registration is over: seed round 1, or cancel if too few players came
+async function startTournament(tournamentId) {
+    const update = await updateTournament(tournamentId, t => {
+        if (t.status !== TOURNAMENT_STATUS.REGISTERING) return { started: false };
+
+        if (t.players.length < t.minPlayers) {
+            t.status = TOURNAMENT_STATUS.CANCELLED;
+            t.finishedAt = Date.now();
+            return { started: false, cancelled: true };
+        }
+
+        t.status = TOURNAMENT_STATUS.RUNNING;
+        t.startedAt = Date.now();
+        t.prizePool = getPrizePool(t);
+        const round = addNextRound(t);
+        assignTableRooms(round);
+        return { started: true, round: round };
+    });
+
+    if (!update) return;
+    const tournament = update.tournament;
+
+    if (update.result.cancelled) {
+        await refundTournament(tournament, 'not_enough_players');
+        emitTournamentUpdate(tournament);
+        console.log(`[TOURNAMENT] ${tournamentId} cancelled, ${tournament.players.length}/${tournament.minPlayers} players`);
+        return;
+    }
+    if (!update.result.started) return;
+
+    const rake = tournament.entryFee * tournament.players.length - tournament.prizePool;
+    if (rake > 0) {
+        await recordHouseRake(`Tournament ${tournamentId}`, rake);
+    }
+
+    console.log(`[TOURNAMENT] ${tournament.name} started: ${tournament.players.length} players, prize pool ${tournament.prizePool}`);
+    await startRoundTables(tournament, update.result.round);
+
+    if (tournament.repeat) {
+        await openTournament(getTournamentSettings(tournament), tournament.createdBy);
+    }
+}
+
+// The break after a round is over: seed the next one
+async function startNextRound(tournamentId) {
+    const update = await updateTournament(tournamentId, t => {
+        if (t.status !== TOURNAMENT_STATUS.RUNNING || !t.nextRoundAt || t.nextRoundAt > Date.now()) return null;
+
+        const round = addNextRound(t);
+        assignTableRooms(round);
+        return round;
+    });
+
+    if (update && update.result) {
+        await startRoundTables(update.tournament, update.result);
+    }
+}
+
+async function startRoundTables(tournament, round) {
+    for (const table of round.tables) {
+        if (table.status === TABLE_STATUS.PLAYING) {
+            await startTournamentTable(tournament, round, table);
+        }
+    }
+    emitTournamentUpdate(tournament);
+}
+
+// Socket id of one of the user's connected sockets (cluster mode: on any instance)
+async function findUserSocketId(userId) {
+    const socketId = userSockets.get(userId);
+    if (socketId && io.sockets.sockets.has(socketId)) return socketId;
+    if (!CLUSTER_ENABLED) return null;
+
+    try {
+        const sockets = await io.in(getUserRoom(userId)).fetchSockets();
+        return sockets.length > 0 ? sockets[0].id : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Seat a table in a new room and start the game. Players who aren't online
+// get the seat anyway with the usual grace period to come back and resume.
+async function startTournamentTable(tournament, round, table) {
+    const room = createRoom(table.roomId, table.userIds[0], 0, table.userIds.length);
+    room.tournament = { tournamentId: tournament.tournamentId, round: round.round, table: table.table };
+
+    // Cluster mode: the room couldn't be claimed (its id is new, so Redis
+    // failed). Nobody is seated yet; the table is tried again later.
+    if (!await registerRoom(room)) {
+        console.error(`[TOURNAMENT] Could not register room ${room.roomId} of ${tournament.tournamentId}, retrying`);
+        setTimeout(() => {
+            startTournamentTable(tournament, round, table)
+                .catch(err => console.error('[TOURNAMENT] Table start error:', err));
+        }, TOURNAMENT_CHECK_INTERVAL);
+        return;
+    }
+
+    const offline = [];
+    const busy = [];
+    for (const userId of table.userIds) {
+        const entry = tournament.players.find(p => p.userId === userId);
+
+        // A queued stake would be matched into a second game
+        await leaveQueue(userId, 'tournament');
+
+        // Still playing another game: seated as disconnected so that game is
+        // left alone. The seat goes through the grace period and its session is
+        // queued behind the running one (see queueGameSession).
+        const session = await findGameSession(userId);
+        const socketId = session ? null : await findUserSocketId(userId);
+        const player = createPlayer(userId, entry.userName, room.players.length, socketId);
+        player.rating = entry.rating;
+        room.players.push(player);
+
+        if (!socketId) {
+            offline.push(player);
+            if (session) busy.push(userId);
+            continue;
+        }
+
+        const socket = io.sockets.sockets.get(socketId) ||
+            new RemoteSocket(io, { id: socketId, userId: userId, userName: entry.userName });
+        socket.join(room.roomId);
+        socket.currentRoomId = room.roomId;
+        if (socket.isRemote) {
+            io.serverSideEmit('player_seated', { socketId: socketId, roomId: room.roomId });
+        }
+    }
+
+    startGame(room, busy);
+    offline.forEach(player => startGracePeriod(room, player));
+    for (const player of room.players.filter(p => busy.includes(p.userId))) {
+        await queueGameSession(room, player);
+    }
+
+    table.userIds.forEach(userId => {
+        io.to(getUserRoom(userId)).emit('tournament_table', JSON.stringify({
+            tournament_id: tournament.tournamentId,
+            round: round.round,
+            table: table.table,
+            room_id: room.roomId
+        }));
+    });
+
+    console.log(`[TOURNAMENT] ${tournament.tournamentId} round ${round.round} table ${table.table}: room ${room.roomId}` +
+        (offline.length > 0 ? ` (${offline.length} offline, ${busy.length} in another game)` : ''));
+}
+
+// A table's game is over: its winner moves on. Ends the round or the
+// tournament when it was the last table. Runs again harmlessly for a table
+// that is already done.
+async function finishTournamentTable(room, results) {
+    const { tournamentId, round: roundNumber, table: tableNumber } = room.tournament;
+
+    const update = await updateTournament(tournamentId, t => {
+        const round = t.rounds.find(r => r.round === roundNumber);
+        const table = round ? round.tables.find(x => x.table === tableNumber) : null;
+        if (!table || table.roomId !== room.roomId || table.status !== TABLE_STATUS.PLAYING) return null;
+
+        table.status = TABLE_STATUS.FINISHED;
+        table.winnerId = getTableWinner(results);
+        table.results = results.map(result => ({
+            user_id: result.user_id,
+            user_name: result.user_name,
+            player_rank: result.player_rank,
+            player_status: result.player_status
+        }));
+
+        if (!isRoundComplete(round)) return { finished: false };
+
+        if (getRoundWinners(round).length > 1) {
+            t.nextRoundAt = Date.now() + TOURNAMENT_ROUND_BREAK;
+            return { finished: false };
+        }
+
+        completeTournament(t, Date.now());
+        return { finished: true };
+    });
+
+    if (!update || !update.result) return;
+    const tournament = update.tournament;
+
+    if (update.result.finished) {
+        for (const player of tournament.players.filter(p => p.prize > 0)) {
+            await changeCoins(player.userId, player.prize, TRANSACTION_TYPE.TOURNAMENT_PRIZE, {
+                tournamentId: tournamentId,
+                placement: player.placement
+            });
+        }
+        console.log(`[TOURNAMENT] ${tournament.name} won by ${tournament.winnerId}`);
+    }
+
+    emitTournamentUpdate(tournament);
+}
+
+// Start scheduled tournaments and seed rounds that are due
+async function runTournamentChecks() {
+    if (tournamentChecksRunning) return;
+    tournamentChecksRunning = true;
+
+    try {
+        const now = Date.now();
+        for (const tournament of await listTournaments(TOURNAMENT_CHECK_LIMIT)) {
+            if (tournament.status === TOURNAMENT_STATUS.REGISTERING &&
+                tournament.startsAt !== null && tournament.startsAt <= now) {
+                await startTournament(tournament.tournamentId);
+            } else if (tournament.status === TOURNAMENT_STATUS.RUNNING &&
+                tournament.nextRoundAt && tournament.nextRoundAt <= now) {
+                await startNextRound(tournament.tournamentId);
+            }
+        }
+    } catch (error) {
+        console.error('[TOURNAMENT] Check error:', error);
+    } finally {
+        tournamentChecksRunning = false;
+    }
+}
+
+// ===== REPLAYS =====
+// Finished games are kept as replays (see replay.js) for REPLAY_RETENTION
+// (in memory: the last MEMORY_REPLAY_LIMIT games). Players can list and play
+// back their own games; support can download any replay over HTTP.
+
+// Replays are keyed by match id, not room id: friend room codes get reused
+async function storeReplay(room, results) {
+    const replay = buildReplay(room, results);
+    const matchId = replay.match_id;
+    // Humans only, including those a bot took over from
+    const userIds = room.players
+        .filter(p => !p.bot || p.bot.takeover)
+        .map(p => p.userId);
+
+    if (isRedisConnected()) {
+        await saveReplay(matchId, replay, userIds, REPLAY_RETENTION);
+        return;
+    }
+
+    replays.set(matchId, replay);
+    if (replays.size > MEMORY_REPLAY_LIMIT) {
+        // Maps keep insertion order, so this is the oldest replay
+        replays.delete(replays.keys().next().value);
+    }
+
+    userIds.forEach(userId => {
+        const matchIds = userReplays.get(userId) || [];
+        matchIds.unshift(matchId);
+        userReplays.set(userId, matchIds.slice(0, USER_REPLAY_LIST_SIZE));
+    });
+}
+
+async function loadReplay(matchId) {
+    return isRedisConnected() ? getReplay(matchId) : (replays.get(matchId) || null);
+}
+
+// Summaries of a user's recent replays, newest first
+async function listReplays(userId) {
+    const matchIds = isRedisConnected() ?
+        await getUserReplayIds(userId, USER_REPLAY_LIST_SIZE) :
+        (userReplays.get(userId) || []);
+
+    const summaries = [];
+    for (const matchId of matchIds) {
+        const replay = await loadReplay(matchId);
+        if (replay) {
+            summaries.push(summarizeReplay(replay, userId));
+        }
+    }
+    return summaries;
+}
+
+function isReplayParticipant(replay, userId) {
+    return replay.players.some(p => p.user_id === userId);
+}
+
+function stopReplay(socket) {
+    if (socket.replayPlayback) {
+        clearTimeout(socket.replayPlayback.timer);
+        socket.replayPlayback = null;
+    }
+}
+
+// Send the next event of the socket's replay and schedule the one after
+function playNextReplayEvent(socket) {
+    const playback = socket.replayPlayback;
+    if (!playback) return;
+
+    const events = playback.replay.events;
+    const event = events[playback.index];
+    if (!event) {
+        socket.emit('replay_end', JSON.stringify({ match_id: playback.replay.match_id, room_id: playback.replay.room_id }));
+        socket.replayPlayback = null;
+        return;
+    }
+
+    socket.emit('replay_event', JSON.stringify(event));
+    playback.index++;
+
+    const next = events[playback.index];
+    const delay = next ? getReplayDelay(event, next, playback.speed) : 0;
+    playback.timer = setTimeout(() => playNextReplayEvent(socket), delay);
+}
+
+// ===== SOCKET.IO CONNECTION =====
+// Every socket must present a valid token from POST /auth/login
+io.use(socketAuthMiddleware);
+
+// Tokens stay valid after a ban (banUser only drops live sockets), so banned
+// users are turned away here; the error's data says why
+io.use((socket, next) => {
+    getActiveBan(socket.userId)
+        .then(ban => {
+            if (!ban) return next();
+
+            const err = new Error('banned');
+            err.data = formatBan(ban);
+            next(err);
+        })
+        .catch(next);
+});
+
+io.on('connection', (socket) => {
+    console.log(`[CONNECT] Socket connected: ${socket.id} (user ${socket.userId})`);
+
+    // Chỉ lưu socket mapping, không tạo user data ở đây
+    // User data sẽ được tạo khi gọi get_userdata
+    userSockets.set(socket.userId, socket.id);
+    socket.join(getUserRoom(socket.userId));
+
+    registerSocketHandlers(socket);
+
+    // Back from a dropped connection: straight into the running game
+    resumeActiveGame(socket)
+        .catch(err => console.error('[RECONNECT] Auto resume error:', err))
+        .then(() => refreshPresence(socket.userId));
+});
+
+// Room a room event targets, read from its payload
+function getEventRoomId(event, data, socket) {
+    if (event === 'remove_from_matchmaking') return socket.currentRoomId;
+
+    const payload = JSON.parse(data);
+    return payload.room_id || payload.room_code;
+}
+
+// Client socket events: event -> { handler(socket, ...args), roomEvent }.
+// Defined once (see defineSocketHandlers) and shared by every socket; bots
+// and forwarded room events call the handlers directly (dispatchRoomEvent).
+const socketEvents = new Map();
+
+function onSocketEvent(event, handler) {
+    socketEvents.set(event, { handler: handler, roomEvent: false });
+}
+
+// Register a handler for an event that acts on a room. In cluster mode the
+// event is forwarded to the instance that owns the room (see cluster.js).
+function onRoomEvent(event, handler) {
+    socketEvents.set(event, { handler: handler, roomEvent: true });
+}
+
+// Hook a client socket up to the shared handlers
+function registerSocketHandlers(socket) {
+    socketEvents.forEach(({ handler, roomEvent }, event) => {
+        socket.on(event, roomEvent ?
+            data => handleRoomEvent(socket, event, handler, data) :
+            (...args) => handler(socket, ...args));
+    });
+}
+
+// Run a room event here, or on the instance that owns the room
+async function handleRoomEvent(socket, event, handler, data) {
+    if (!CLUSTER_ENABLED) {
+        return handler(socket, data);
+    }
+
+    let roomId = null;
+    try {
+        roomId = getEventRoomId(event, data, socket);
+    } catch (error) {
+        // Bad payload - let the handler report it
+    }
+
+    if (!roomId || rooms.has(roomId)) {
+        return handler(socket, data);
+    }
+
+    const reply = await forwardRoomAction(io, {
+        type: 'event',
+        roomId: roomId,
+        event: event,
+        data: data,
+        socket: describeSocket(socket)
+    });
+
+    if (reply) {
+        socket.currentRoomId = reply.currentRoomId;
+        socket.spectatingRoomId = reply.spectatingRoomId;
+    } else {
+        // No instance owns the room - handler answers "not found"
+        return handler(socket, data);
+    }
+}
+
+// Run a room event on this instance for a bot or a RemoteSocket stand-in
+async function dispatchRoomEvent(socket, event, data) {
+    const entry = socketEvents.get(event);
+    if (entry && entry.roomEvent) {
+        await entry.handler(socket, data);
+    }
+}
+
+// Cluster mode: actions other instances forward for rooms we own
+io.on('room_action', async (action, ack) => {
+    const room = rooms.get(action.roomId);
+    if (!room) return ack(null);
+
+    try {
+        if (action.type === 'admin') {
+            return ack(await runAdminRoomAction(action.roomId, action.command, action.params));
+        }
+
+        const proxy = new RemoteSocket(io, action.socket);
+
+        if (action.type === 'event') {
+            await dispatchRoomEvent(proxy, action.event, action.data);
+            ack({ currentRoomId: proxy.currentRoomId, spectatingRoomId: proxy.spectatingRoomId });
+        } else if (action.type === 'resume') {
+            const resumed = resumeInRoom(proxy, room);
+            ack({ resumed: resumed, currentRoomId: proxy.currentRoomId });
+        } else if (action.type === 'disconnect') {
+            handlePlayerDisconnect(room, proxy.id);
+            ack({ currentRoomId: null, spectatingRoomId: null });
+        } else {
+            ack(null);
+        }
+    } catch (error) {
+        console.error(`[CLUSTER] Error handling ${action.type} for room ${action.roomId}:`, error);
+        ack(null);
+    }
+});
+
+// Cluster mode: a player connected here was matched into another instance's room
+io.on('player_seated', ({ socketId, roomId }) => {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket) {
+        socket.currentRoomId = roomId;
+    }
+});
+
+// Every client socket event, defined once at startup (see socketEvents)
+function defineSocketHandlers() {
+    // ===== USER AUTHENTICATION =====
+    // Identity comes from the handshake token; add_user just hands out a fresh one
+    onSocketEvent('add_user', async (socket, data) => {
+        try {
+            if (await rejectBannedUser(socket)) {
+                console.log(`[ADD_USER] Banned user ${socket.userId} refused`);
+                socket.disconnect(true);
+                return;
+            }
+
+            userSockets.set(socket.userId, socket.id);
+
+            const authToken = issueToken(socket.userId, socket.userName);
+
+            socket.emit('auth_token', authToken);
+            console.log(`[ADD_USER] User ${socket.userName} (${socket.userId}) connected - Socket: ${socket.id}`);
+
+            // Clients send the device's FCM token along (see also register_push_token)
+            const { fcm_token, device_id, platform } = typeof data === 'string' ? JSON.parse(data) : {};
+            if (fcm_token) {
+                await registerPushToken(socket.userId, fcm_token, device_id || fcm_token, platform);
+            }
+
+        } catch (error) {
+            console.error('[ADD_USER] Error:', error);
+            socket.emit('error', { message: 'Failed to add user' });
+        }
+    });
+
+    // ===== GET USER DATA =====
+    onSocketEvent('get_userdata', async (socket) => {
+        try {
+            const user_id = socket.userId;
+            const user_name = socket.userName;
+
+            // Try Redis first
+            let user = isRedisConnected() ? await getUser(user_id) : users.get(user_id);
+
+            // Nếu chưa có user, tạo mới với giá trị mặc định
+            if (!user) {
+                // const userName = `Guest${Math.floor(Math.random() * 10000)}`;
+                user = {
+                    userId: user_id,
+                    userName: user_name,
+                    coins: 1000,
+                    level: 1,
+                    winCount: 0,
+                    lostCount: 0,
+                    totalGamesPlayed: 0,
+                    rating: DEFAULT_RATING,
+                    createdAt: Date.now()
+                };
+
+                // Save to Redis or Memory
+                if (isRedisConnected()) {
+                    await saveUser(user_id, user);
+                    console.log(`[NEW_USER] Created via get_userdata: ${user_name} (${user_id}) with 1000 coins (Redis)`);
+                } else {
+                    users.set(user_id, user);
+                    console.log(`[NEW_USER] Created via get_userdata: ${user_name} (${user_id}) with 1000 coins (Memory)`);
+                }
+            } else {
+                console.log(`[GET_USERDATA] ${user.userName} - Coins: ${user.coins}, W/L: ${user.winCount}/${user.lostCount}`);
+            }
+
+            // Return full user data including coins and stats
+            const userData = {
+                user_id: user.userId,
+                user_name: user.userName,
+                user_coin: user.coins,
+                numof_win: user.winCount,
+                numof_lose: user.lostCount,
+                user_level: user.level,
+                total_games: user.totalGamesPlayed || 0,
+                user_rating: getUserRating(user)
+            };
+            socket.emit('user_data', JSON.stringify(userData));
+            socket.emit('rewards_status', JSON.stringify(buildRewardStatus(user, Date.now())));
+
+        } catch (error) {
+            console.error('[GET_USERDATA] Error:', error);
+            socket.emit('error', { message: 'Failed to get user data' });
+        }
+    });
+
+    // ===== MATCHMAKING - REQUEST JOIN ROOM =====
+    onSocketEvent('request_join', async (socket, data) => {
+        try {
+            const jsonData = JSON.parse(data);
+            const user_id = socket.userId;
+            const user_name = socket.userName;
+            const bet_amount = jsonData.room_coin_value; // Client sends "room_coin_value"
+            const player_count = jsonData.room_players_size; // Client sends "room_players_size"
+            // 2v2: optionally queue with a friend, who names this user back
+            const team_mode = jsonData.team_mode === true;
+            const partner_id = team_mode && jsonData.partner_id ? String(jsonData.partner_id) : null;
+
+            if (!isValidRoomConfig(bet_amount, player_count) || (team_mode && player_count !== TEAM_PLAYER_COUNT)) {
+                socket.emit('error', JSON.stringify({ message: 'Invalid room settings' }));
+                return;
+            }
+
+            if (partner_id && (partner_id === String(user_id) || !await areFriends(user_id, partner_id))) {
+                socket.emit('error', JSON.stringify({ message: 'Partner must be a friend' }));
+                return;
+            }
+
+            if (await rejectBannedUser(socket)) return;
+
+            if (await findQueueEntry(user_id)) {
+                socket.emit('error', JSON.stringify({ message: 'Already in matchmaking queue' }));
+                return;
+            }
+
+            // Deduct bet amount - fails atomically if user doesn't have enough coins
+            const debit = await changeCoins(user_id, -bet_amount, TRANSACTION_TYPE.BET_DEBIT, {
+                betAmount: bet_amount,
+                playerCount: player_count
+            });
+
+            if (!debit.ok) {
+                if (debit.reason === 'insufficient_coins') {
+                    await emitInsufficientCoins(socket, bet_amount, debit.balance);
+                    console.log(`[JOIN_FAILED] ${user_name} insufficient coins: ${debit.balance}/${bet_amount}`);
+                } else {
+                    socket.emit('error', JSON.stringify({ message: 'User not found' }));
+                }
+                return;
+            }
+
+            console.log(`[COINS_DEDUCTED] ${user_name}: -${bet_amount} (Remaining: ${debit.balance})`);
+
+            const user = isRedisConnected() ? await getUser(user_id) : users.get(user_id);
+            const entry = {
+                userId: user_id,
+                userName: user_name,
+                socketId: socket.id,
+                instanceId: INSTANCE_ID,
+                betAmount: bet_amount,
+                playerCount: player_count,
+                teamMode: team_mode,
+                partnerId: partner_id,
+                rating: getUserRating(user),
+                joinedAt: Date.now()
+            };
+
+            if (!await enqueuePlayer(entry)) {
+                await refundQueueEntry(entry, 'already_queued');
+                socket.emit('error', JSON.stringify({ message: 'Already in matchmaking queue' }));
+                return;
+            }
+
+            console.log(`[QUEUE] ${user_name} (rating ${entry.rating}) joined the ${getQueueKey(entry)} queue`);
+            refreshPresence(user_id);
+
+            if (partner_id) {
+                // The partner joins the same queue naming this user to play as a pair
+                io.to(getUserRoom(partner_id)).emit('partner_queued', JSON.stringify({
+                    user_id: user_id,
+                    user_name: user_name,
+                    room_coin_value: bet_amount,
+                    room_players_size: player_count
+                }));
+            }
+
+            const queue = (await listQueue())
+                .filter(other => getQueueKey(other) === getQueueKey(entry))
+                .sort((x, y) => x.joinedAt - y.joinedAt);
+            const position = queue.findIndex(other => other.userId === user_id) + 1;
+            emitQueueStatus(entry, position || queue.length, queue.length, Date.now());
+
+        } catch (error) {
+            console.error('[REQUEST_JOIN] Error:', error);
+            socket.emit('error', { message: 'Failed to join room' });
+        }
+    });
+
+    // ===== FRIEND ROOM - CREATE =====
+    onSocketEvent('friend_create_room', async (socket, data) => {
+        try {
+            const jsonData = JSON.parse(data);
+            const user_id = socket.userId;
+            const user_name = socket.userName;
+            const bet_amount = jsonData.room_coin_value; // Client sends "room_coin_value"
+            const player_count = jsonData.room_players_size; // Client sends "room_players_size"
+            const room_code = jsonData.room_code;
+            // 2v2: players sit down in join order, opposite seats are partners
+            const team_mode = jsonData.team_mode === true;
+
+            if (!isValidRoomConfig(bet_amount, player_count) || (team_mode && player_count !== TEAM_PLAYER_COUNT)) {
+                socket.emit('friend_error_response', { message: 'Invalid room settings' });
+                return;
+            }
+
+            if (await rejectBannedUser(socket)) return;
+
+            if (room_code && rooms.has(room_code)) {
+                socket.emit('friend_error_response', { message: 'Room code already in use' });
+                return;
+            }
+
+            // Deduct bet amount - fails atomically if user doesn't have enough coins
+            const debit = await changeCoins(user_id, -bet_amount, TRANSACTION_TYPE.BET_DEBIT, {
+                betAmount: bet_amount,
+                playerCount: player_count,
+                roomCode: room_code
+            });
+
+            if (!debit.ok) {
+                if (debit.reason === 'insufficient_coins') {
+                    await emitInsufficientCoins(socket, bet_amount, debit.balance);
+                    console.log(`[FRIEND_CREATE_FAILED] ${user_name} insufficient coins: ${debit.balance}/${bet_amount}`);
+                } else {
+                    socket.emit('friend_error_response', { message: 'User not found' });
+                }
+                return;
+            }
+
+            console.log(`[COINS_DEDUCTED] ${user_name}: -${bet_amount} (Remaining: ${debit.balance})`);
+
+            const roomId = room_code || uuidv4().substring(0, 6).toUpperCase();
+
+            const room = createRoom(roomId, user_id, bet_amount, player_count);
+            room.isPrivate = true;
+            room.teamMode = team_mode;
+            room.partnerMoves = team_mode && (typeof jsonData.partner_moves === 'boolean' ? jsonData.partner_moves : TEAM_PARTNER_MOVES);
+
+            // Code may have been taken while the bet was being deducted
+            // (cluster mode: by a room on another instance)
+            if (rooms.has(roomId) || !await registerRoom(room)) {
+                await changeCoins(user_id, bet_amount, TRANSACTION_TYPE.REFUND, {
+                    roomCode: roomId,
+                    reason: 'room_code_taken'
+                });
+                socket.emit('friend_error_response', { message: 'Room code already in use' });
+                return;
+            }
+
+            const player = createPlayer(user_id, user_name, 0, socket.id);
+            room.players.push(player);
+            room.escrow[user_id] = bet_amount;
+
+            socket.join(roomId);
+            socket.currentRoomId = roomId;
+
+            persistRoom(room);
+
+            socket.emit('friend_room_code', JSON.stringify({ room_code: roomId }));
+            refreshPresence(user_id);
+            // console.log(`[FRIEND_CREATE] Room created: ${roomId} by ${user_name}`);
+
+        } catch (error) {
+            console.error('[FRIEND_CREATE] Error:', error);
+            socket.emit('friend_error_response', { message: 'Failed to create room' });
+        }
+    });
+
+    // ===== FRIEND ROOM - JOIN =====
+    onRoomEvent('friend_join_room', async (socket, data) => {
+        try {
+            const { room_code } = JSON.parse(data);
+            await joinFriendRoom(socket, room_code);
+
+        } catch (error) {
+            console.error('[FRIEND_JOIN] Error:', error);
+            socket.emit('friend_error_response', { message: 'Failed to join room' });
+        }
+    });
+
+    // ===== FRIENDS =====
+    onSocketEvent('get_friends', async (socket) => {
+        try {
+            socket.emit('friends_list', JSON.stringify(await buildFriendsList(socket.userId)));
+        } catch (error) {
+            console.error('[GET_FRIENDS] Error:', error);
+            emitFriendsError(socket, 'Failed to get friends');
+        }
+    });
+
+    onSocketEvent('send_friend_request', async (socket, data) => {
+        try {
+            const { user_id } = JSON.parse(data);
+            const userId = socket.userId;
+
+            if (!user_id || user_id === userId) {
+                emitFriendsError(socket, 'Invalid user');
+                return;
+            }
+
+            const target = await loadUser(user_id);
+            if (!target) {
+                emitFriendsError(socket, 'User not found');
+                return;
+            }
+
+            const friendIds = await listFriendIds(userId);
+            if (friendIds.includes(user_id)) {
+                emitFriendsError(socket, 'Already friends');
+                return;
+            }
+            if (friendIds.length >= MAX_FRIENDS) {
+                emitFriendsError(socket, 'Friend list is full');
+                return;
+            }
+
+            // They already asked us: that's a yes from both sides
+            if (await dropFriendRequest(user_id, userId)) {
+                await makeFriends(userId, user_id);
+                await announceFriendship(userId, user_id);
+                console.log(`[FRIENDS] ${userId} <-> ${user_id}`);
+                return;
+            }
+
+            if (await storeFriendRequest(userId, user_id)) {
+                io.to(getUserRoom(user_id)).emit('friend_request', JSON.stringify({
+                    user_id: userId,
+                    user_name: socket.userName
+                }));
+            }
+            socket.emit('friend_request_sent', JSON.stringify({ user_id: user_id }));
+
+        } catch (error) {
+            console.error('[FRIEND_REQUEST] Error:', error);
+            emitFriendsError(socket, 'Failed to send friend request');
+        }
+    });
+
+    onSocketEvent('respond_friend_request', async (socket, data) => {
+        try {
+            const { user_id, accept } = JSON.parse(data);
+            const userId = socket.userId;
+
+            if (!await dropFriendRequest(user_id, userId)) {
+                emitFriendsError(socket, 'Friend request not found');
+                return;
+            }
+
+            // Declined requests are dropped without telling the sender
+            if (!accept) return;
+
+            if ((await listFriendIds(userId)).length >= MAX_FRIENDS) {
+                emitFriendsError(socket, 'Friend list is full');
+                return;
+            }
+
+            // The sender may have filled their list since the request was sent
+            if ((await listFriendIds(user_id)).length >= MAX_FRIENDS) {
+                emitFriendsError(socket, 'Their friend list is full');
+                return;
+            }
+
+            await makeFriends(userId, user_id);
+            await announceFriendship(userId, user_id);
+            console.log(`[FRIENDS] ${userId} <-> ${user_id}`);
+
+        } catch (error) {
+            console.error('[FRIEND_RESPONSE] Error:', error);
+            emitFriendsError(socket, 'Failed to answer friend request');
+        }
+    });
+
+    onSocketEvent('remove_friend', async (socket, data) => {
+        try {
+            const { user_id } = JSON.parse(data);
+            const userId = socket.userId;
+
+            if (!await areFriends(userId, user_id)) {
+                emitFriendsError(socket, 'Not friends');
+                return;
+            }
+
+            await unfriend(userId, user_id);
+            io.to(getUserRoom(userId)).emit('friend_removed', JSON.stringify({ user_id: user_id }));
+            io.to(getUserRoom(user_id)).emit('friend_removed', JSON.stringify({ user_id: userId }));
+
+        } catch (error) {
+            console.error('[REMOVE_FRIEND] Error:', error);
+            emitFriendsError(socket, 'Failed to remove friend');
+        }
+    });
+
+    // ===== FRIEND ROOM - INVITES =====
+    // A player in a friend room that hasn't started invites a friend; the
+    // friend gets game_invite and answers with respond_invite.
+    onRoomEvent('invite_friend', async (socket, data) => {
+        try {
+            const { user_id, room_code } = JSON.parse(data);
+            const room = rooms.get(room_code);
+
+            if (!room || !room.isPrivate || !room.players.some(p => p.userId === socket.userId)) {
+                emitFriendsError(socket, 'Room not found');
+                return;
+            }
+
+            const joinError = getJoinError(room, user_id);
+            if (joinError) {
+                emitFriendsError(socket, joinError);
+                return;
+            }
+
+            if (!await areFriends(socket.userId, user_id)) {
+                emitFriendsError(socket, 'Not friends');
+                return;
+            }
+
+            const invite = {
+                fromUserId: socket.userId,
+                fromUserName: socket.userName,
+                expiresAt: Date.now() + INVITE_TTL
+            };
+            const invitePayload = {
+                room_code: room.roomId,
+                from_user_id: invite.fromUserId,
+                from_user_name: invite.fromUserName,
+                room_coin: room.betAmount,
+                room_players_size: room.maxPlayers,
+                player_count: room.players.length,
+                expires_at: invite.expiresAt
+            };
+
+            // Friends who aren't in the app can only be reached by push
+            const [presence] = await loadPresences([user_id]);
+            const pushed = await notifyUser(user_id, NOTIFICATION_TYPE.INVITE, invitePayload);
+            if (presence.state === PRESENCE.OFFLINE && !pushed) {
+                emitFriendsError(socket, 'Friend is offline');
+                return;
+            }
+
+            room.invites[user_id] = invite;
+            persistRoom(room);
+
+            io.to(getUserRoom(user_id)).emit('game_invite', JSON.stringify(invitePayload));
+            socket.emit('invite_sent', JSON.stringify({ user_id: user_id, room_code: room.roomId }));
+            console.log(`[INVITE] ${socket.userName} invited ${user_id} to room ${room.roomId}`);
+
+        } catch (error) {
+            console.error('[INVITE_FRIEND] Error:', error);
+            emitFriendsError(socket, 'Failed to send invite');
+        }
+    });
+
+    onRoomEvent('respond_invite', async (socket, data) => {
+        try {
+            const { room_code, accept } = JSON.parse(data);
+            const room = rooms.get(room_code);
+            const invite = room && room.invites ? room.invites[socket.userId] : null;
+
+            if (!invite) {
+                emitFriendsError(socket, 'Invite not found');
+                return;
+            }
+
+            delete room.invites[socket.userId];
+
+            if (!accept) {
+                persistRoom(room);
+                io.to(getUserRoom(invite.fromUserId)).emit('invite_declined', JSON.stringify({
+                    user_id: socket.userId,
+                    user_name: socket.userName,
+                    room_code: room.roomId
+                }));
+                return;
+            }
+
+            if (invite.expiresAt < Date.now()) {
+                persistRoom(room);
+                emitFriendsError(socket, 'Invite expired');
+                return;
+            }
+
+            await joinFriendRoom(socket, room_code);
+
+        } catch (error) {
+            console.error('[RESPOND_INVITE] Error:', error);
+            emitFriendsError(socket, 'Failed to answer invite');
+        }
+    });
+
+    // ===== GAME ACTIONS - DICE =====
+    // The client only asks for a roll; the face comes from the room's fair dice seed
+    onRoomEvent('dice_send', (socket, data) => {
+        try {
+            const { room_id } = JSON.parse(data);
+            const room = rooms.get(room_id);
+
+            if (!room) return;
+
+            const player = getTurnPlayer(room, socket);
+            if (!player) {
+                rejectAction(socket, 'dice_send', 'Not your turn');
+                return;
+            }
+            const peer_id = player.peerId;
+
+            if (room.gameData.turnPhase !== TURN_PHASE.ROLL) {
+                rejectAction(socket, 'dice_send', 'Dice already rolled, move a token');
+                return;
+            }
+
+            // Restart turn timer when player rolls dice
+            clearTurnTimer(room);
+            startTurnTimer(room);
+
+            const roll = rollDice(room.fairDice);
+            const dice_face = roll.face;
+            room.gameData.lastDice = dice_face;
+            recordEvent(room, 'dice', { peer_id: peer_id, dice_face: dice_face, roll_nonce: roll.nonce });
+
+            // Broadcast to everyone in room, the roller learns the face from the server too
+            io.to(withSpectators(room_id)).emit('dice_recieved', JSON.stringify({
+                peer_id: peer_id,
+                dice_face: dice_face,
+                roll_nonce: roll.nonce
+            }));
+
+            // console.log(`[DICE] Room ${room_id}, Peer ${peer_id} rolled ${dice_face}`);
+
+            // Team mode: a player who got home rolls for their partner
+            const legalMoves = getLegalMoves(room.gameData.board, getMovingPlayer(room, player).peerId, dice_face);
+
+            if (legalMoves.length > 0) {
+                room.gameData.turnPhase = TURN_PHASE.MOVE;
+                persistRoom(room);
+            } else if (dice_face !== 6) {
+                // Nothing to move - turn passes (a six still earns another roll)
+                passTurn(room);
+            } else {
+                persistRoom(room);
+            }
+
+        } catch (error) {
+            console.error('[DICE_SEND] Error:', error);
+        }
+    });
+
+    // ===== GAME ACTIONS - TOKEN MOVE =====
+    onRoomEvent('token_send', async (socket, data) => {
+        try {
+            const { room_id, token_id, token_value } = JSON.parse(data);
+            const room = rooms.get(room_id);
+
+            if (!room) return;
+
+            const player = getTurnPlayer(room, socket);
+            if (!player) {
+                rejectAction(socket, 'token_send', 'Not your turn');
+                return;
+            }
+            // Whose tokens are moved: their own, or a partner's in team mode
+            const mover = getMovingPlayer(room, player);
+            const peer_id = mover.peerId;
+
+            if (room.gameData.turnPhase !== TURN_PHASE.MOVE) {
+                rejectAction(socket, 'token_send', 'Roll the dice first');
+                return;
+            }
+
+            const board = room.gameData.board;
+            const dice = room.gameData.lastDice;
+            const moveError = validateMove(board, peer_id, token_id, dice, token_value);
+
+            if (moveError) {
+                rejectAction(socket, 'token_send', moveError);
+                return;
+            }
+
+            const move = applyMove(board, peer_id, token_id, dice);
+            player.captures = (player.captures || 0) + move.captures.length;
+
+            // Store move
+            recordEvent(room, 'move', {
+                peer_id: peer_id,
+                token_id: token_id,
+                from: move.from,
+                to: move.to,
+                dice_face: dice,
+                captures: move.captures.map(capture => ({
+                    peer_id: capture.peerId,
+                    token_id: capture.tokenId,
+                    from: capture.from
+                })),
+                extra_turn: move.extraTurn,
+                moved_by: player.peerId
+            });
+
+            // Broadcast to other players
+            socket.to(withSpectators(room_id)).emit('token_recieved', JSON.stringify({
+                peer_id: peer_id,
+                token_id: token_id,
+                token_value: move.to,
+                dice_face: dice
+            }));
+
+            console.log(`[TOKEN] Room ${room_id}, Peer ${peer_id} moved token ${token_id} to ${move.to}`);
+
+            // Captured tokens go back to base (replaces the client-sent token_reset)
+            for (const capture of move.captures) {
+                socket.to(withSpectators(room_id)).emit('token_recieved', JSON.stringify({
+                    peer_id: capture.peerId,
+                    token_id: capture.tokenId,
+                    token_value: board.tokens[capture.peerId][capture.tokenId],
+                    dice_face: 0
+                }));
+
+                console.log(`[TOKEN_RESET] Room ${room_id}, Peer ${capture.peerId} token ${capture.tokenId} captured by peer ${peer_id}`);
+            }
+
+            // Settle the turn before anything async, so the same roll can't be moved twice
+            if (move.playerFinished) {
+                await handlePlayerWin(room, mover);
+            } else if (move.extraTurn) {
+                // Same player rolls again
+                room.gameData.turnPhase = TURN_PHASE.ROLL;
+                startTurnTimer(room);
+                persistRoom(room);
+            } else {
+                passTurn(room);
+            }
+
+            if (move.captures.length > 0 && !player.bot && countsForGoals(room)) {
+                trackGoals(player.userId, GOAL_EVENT.CAPTURE, move.captures.length, {
+                    betAmount: room.betAmount,
+                    playerCount: room.players.length
+                }).catch(err => console.error('[GOALS] Error:', err));
+            }
+
+        } catch (error) {
+            console.error('[TOKEN_SEND] Error:', error);
+        }
+    });
+
+    // ===== GAME ACTIONS - TOKEN RESET =====
+    // Captures are resolved by the server in token_send, client resets are ignored
+    onRoomEvent('token_reset', (socket, data) => {
+        try {
+            const { room_id, peer_id, token_id } = JSON.parse(data);
+            console.log(`[TOKEN_RESET] Ignored client reset: Room ${room_id}, Peer ${peer_id} token ${token_id}`);
+        } catch (error) {
+            console.error('[TOKEN_RESET] Error:', error);
+        }
+    });
+
+    // ===== GAME ACTIONS - CHANGE TURN =====
+    // Turns normally pass server-side after a move; this lets the current
+    // player give up the rest of their turn when no move is pending.
+    onRoomEvent('change_turn', (socket, data) => {
+        try {
+            const { room_id } = JSON.parse(data);
+            const room = rooms.get(room_id);
+
+            if (!room) return;
+
+            if (!getTurnPlayer(room, socket)) {
+                // Usually the server already passed the turn after the move
+                return;
+            }
+
+            if (room.gameData.turnPhase === TURN_PHASE.MOVE) {
+                rejectAction(socket, 'change_turn', 'You must move a token first');
+                return;
+            }
+
+            // Clear current turn timer
+            clearTurnTimer(room);
+
+            if (!passTurn(room)) {
+                // Game over - no active players
+                emitGameOver(room, { reason: 'No active players' });
+            }
+
+        } catch (error) {
+            console.error('[CHANGE_TURN] Error:', error);
+        }
+    });
+
+    // ===== GAME ACTIONS - WIN =====
+    // The server declares wins itself when the last token reaches home;
+    // a client claim is only accepted if the board agrees.
+    onRoomEvent('win_game', async (socket, data) => {
+        try {
+            const { room_id, player_rank } = JSON.parse(data);
+            const room = rooms.get(room_id);
+
+            if (!room) return;
+
+            const player = getSocketPlayer(room, socket);
+            if (!player || player.status === PLAYER_STATUS.WIN) return;
+            const peer_id = player.peerId;
+
+            if (room.status !== GAME_STATUS.PLAYING || !hasFinished(room.gameData.board, peer_id)) {
+                rejectAction(socket, 'win_game', 'Not all tokens are home');
+                return;
+            }
+
+            console.log(`[WIN] Room ${room_id}, Peer ${peer_id} claimed rank ${player_rank}`);
+            await handlePlayerWin(room, player);
+
+        } catch (error) {
+            console.error('[WIN_GAME] Error:', error);
+        }
+    });
+
+    // ===== GAME ACTIONS - LEAVE ROOM =====
+    onRoomEvent('leave_room', async (socket, data) => {
+        try {
+            const { room_id } = JSON.parse(data);
+            const room = rooms.get(room_id);
+
+            if (!room) return;
+
+            const player = getSocketPlayer(room, socket);
+            if (!player) return;
+
+            socket.leave(room_id);
+            socket.currentRoomId = null;
+
+            // Seat already played by a bot, the player just stops watching
+            if (player.bot) return;
+
+            // Game hasn't started - free the seat and give the bet back
+            if (room.status === GAME_STATUS.WAITING) {
+                await removeWaitingPlayer(room, player.userId, 'left_before_start');
+                return;
+            }
+
+            // Broadcast leave
+            socket.to(room_id).emit('leave_room', JSON.stringify(player.peerId));
+
+            // console.log(`[LEAVE] Peer ${player.peerId} left room ${room_id}`);
+            await handlePlayerLeft(room, player);
+
+        } catch (error) {
+            console.error('[LEAVE_ROOM] Error:', error);
+        }
+    });
+
+    // ===== CHAT & SOCIAL =====
+    onRoomEvent('user_chat', (socket, data) => {
+        try {
+            const { room_id, chat_text } = JSON.parse(data);
+            const room = rooms.get(room_id);
+            const player = room && getSocketPlayer(room, socket);
+            if (!player) return;
+
+            if (!allowChat(room, player.userId)) {
+                return emitChatRejected(socket, 'rate_limited');
+            }
+
+            const result = filterChatMessage(chat_text, chatConfig);
+            if (!result.ok) {
+                console.log(`[CHAT] Room ${room_id}: message from ${player.userId} refused (${result.reason})`);
+                return emitChatRejected(socket, result.reason);
+            }
+
+            recordChat(room, player, chat_text, result.text);
+            relayToRoom(socket, room, player, 'user_chat', { peer_id: player.peerId, chat_text: result.text });
+
+            if (result.masked) {
+                // The sender sees what the others got
+                socket.emit('chat_filtered', JSON.stringify({ chat_text: result.text }));
+            }
+        } catch (error) {
+            console.error('[CHAT] Error:', error);
+        }
+    });
+
+    onRoomEvent('user_emoji_id', (socket, data) => {
+        try {
+            const { room_id, emoji_id } = JSON.parse(data);
+            const room = rooms.get(room_id);
+            const player = room && getSocketPlayer(room, socket);
+            if (!player) return;
+
+            relayToRoom(socket, room, player, 'user_emoji_id', { peer_id: player.peerId, emoji_id });
+        } catch (error) {
+            console.error('[EMOJI] Error:', error);
+        }
+    });
+
+    // Buy a gift from the catalog for one player at the table
+    onRoomEvent('user_send_gift', async (socket, data) => {
+        try {
+            const { room_id, gift_id, to_peer_id } = JSON.parse(data);
+            const room = rooms.get(room_id);
+            const player = room && getSocketPlayer(room, socket);
+            if (!player) return;
+
+            const gift = getGift(gift_id);
+            if (!gift) {
+                return socket.emit('gift_error', JSON.stringify({ message: 'Unknown gift' }));
+            }
+
+            const target = room.players.find(p => p.peerId === to_peer_id);
+            if (!target || target === player) {
+                return socket.emit('gift_error', JSON.stringify({ message: 'Player not found' }));
+            }
+
+            const record = {
+                id: uuidv4(),
+                giftId: gift.id,
+                senderId: player.userId,
+                senderName: player.userName,
+                recipientId: target.userId,
+                recipientName: target.userName,
+                price: gift.price,
+                credit: getRecipientCredit(gift),
+                roomId: room.roomId,
+                createdAt: Date.now()
+            };
+
+            const result = await sendGift(record);
+            if (!result.ok) {
+                if (result.reason === 'insufficient_coins') {
+                    return emitInsufficientCoins(socket, gift.price, result.balance);
+                }
+                return socket.emit('gift_error', JSON.stringify({ message: 'Failed to send gift' }));
+            }
+
+            socket.emit('gift_sent', JSON.stringify({
+                gift_id: gift.id,
+                to_peer_id: target.peerId,
+                price: gift.price,
+                user_coin: result.balance
+            }));
+            socket.to(room_id).emit('user_send_gift', JSON.stringify({
+                peer_id: player.peerId,
+                to_peer_id: target.peerId,
+                gift_id: gift.id
+            }));
+
+            if (result.recipientBalance !== null && record.credit > 0) {
+                io.to(getUserRoom(target.userId)).emit('gift_received', JSON.stringify({
+                    gift_id: gift.id,
+                    from_peer_id: player.peerId,
+                    amount: record.credit,
+                    user_coin: result.recipientBalance
+                }));
+            }
+
+            console.log(`[GIFT] ${player.userId} -> ${target.userId}: ${gift.id} (${gift.price}, credit ${record.credit})`);
+        } catch (error) {
+            console.error('[GIFT] Error:', error);
+        }
+    });
+
+    // Stop getting an opponent's chat and emojis until the game ends
+    onRoomEvent('mute_player', (socket, data) => {
+        try {
+            const { room_id, peer_id, muted = true } = JSON.parse(data);
+            const room = rooms.get(room_id);
+            const player = room && getSocketPlayer(room, socket);
+            if (!player) return;
+
+            const target = room.players.find(p => p.peerId === peer_id);
+            if (!target || target === player) {
+                return socket.emit('moderation_error', JSON.stringify({ message: 'Player not found' }));
+            }
+
+            const mutedIds = (room.mutes[player.userId] || []).filter(id => id !== target.userId);
+            if (muted) {
+                mutedIds.push(target.userId);
+            }
+            room.mutes[player.userId] = mutedIds;
+            persistRoom(room);
+
+            socket.emit('player_muted', JSON.stringify({ peer_id: target.peerId, muted: Boolean(muted) }));
+        } catch (error) {
+            console.error('[MUTE] Error:', error);
+        }
+    });
+
+    // Report an opponent; the room's recent chat is kept with the report
+    onRoomEvent('report_player', async (socket, data) => {
+        try {
+            const { room_id, peer_id, reason, details } = JSON.parse(data);
+            const room = rooms.get(room_id);
+            const player = room && getSocketPlayer(room, socket);
+            if (!player) return;
+
+            const target = room.players.find(p => p.peerId === peer_id);
+            if (!target || target === player || target.bot && !target.bot.takeover) {
+                return socket.emit('moderation_error', JSON.stringify({ message: 'Player not found' }));
+            }
+            if (!REPORT_REASONS.includes(reason)) {
+                return socket.emit('moderation_error', JSON.stringify({ message: 'Invalid report reason' }));
+            }
+
+            const pair = `${player.userId}:${target.userId}`;
+            if (room.reported.includes(pair)) {
+                return socket.emit('moderation_error', JSON.stringify({ message: 'Player already reported' }));
+            }
+
+            const report = {
+                id: uuidv4(),
+                roomId: room.roomId,
+                reporterId: player.userId,
+                reporterName: player.userName,
+                reportedId: target.userId,
+                reportedName: target.userName,
+                reason: reason,
+                details: typeof details === 'string' ? details.slice(0, REPORT_DETAILS_MAX_LENGTH) : '',
+                chat: room.chatLog.slice(),
+                status: 'open',
+                createdAt: Date.now()
+            };
+
+            if (!await storeReport(report)) {
+                return socket.emit('moderation_error', JSON.stringify({ message: 'Failed to send report' }));
+            }
+
+            room.reported.push(pair);
+            persistRoom(room);
+
+            console.log(`[REPORT] ${player.userId} reported ${target.userId} in room ${room.roomId} (${reason})`);
+            socket.emit('report_received', JSON.stringify({ report_id: report.id, peer_id: target.peerId }));
+        } catch (error) {
+            console.error('[REPORT] Error:', error);
+        }
+    });
+
+    // ===== COIN HISTORY =====
+    onSocketEvent('get_transactions', async (socket, data) => {
+        try {
+            const { limit } = data ? JSON.parse(data) : {};
+            const count = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+            const history = await listTransactions(socket.userId, count);
+            socket.emit('transactions', JSON.stringify({
+                user_id: socket.userId,
+                transactions: history.map(formatTransaction)
+            }));
+
+        } catch (error) {
+            console.error('[GET_TRANSACTIONS] Error:', error);
+            socket.emit('error', { message: 'Failed to get transactions' });
+        }
+    });
+
+    // ===== MATCH HISTORY + PROFILES =====
+    // Profile of any player (default: your own)
+    onSocketEvent('get_profile', async (socket, data) => {
+        try {
+            const { user_id } = data ? JSON.parse(data) : {};
+
+            const profile = await buildProfile(user_id ? String(user_id) : socket.userId);
+            if (!profile) {
+                return socket.emit('profile_error', JSON.stringify({ message: 'User not found' }));
+            }
+            socket.emit('profile', JSON.stringify(profile));
+
+        } catch (error) {
+            console.error('[GET_PROFILE] Error:', error);
+            socket.emit('profile_error', JSON.stringify({ message: 'Failed to get profile' }));
+        }
+    });
+
+    onSocketEvent('get_match_history', async (socket, data) => {
+        try {
+            const { user_id, offset, limit } = data ? JSON.parse(data) : {};
+            const userId = user_id ? String(user_id) : socket.userId;
+            const start = Math.max(parseInt(offset, 10) || 0, 0);
+            const count = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MATCH_HISTORY_PAGE_LIMIT);
+
+            const matches = await listMatches(userId, start, count);
+            socket.emit('match_history', JSON.stringify({
+                user_id: userId,
+                offset: start,
+                matches: matches.map(formatMatchRecord)
+            }));
+
+        } catch (error) {
+            console.error('[GET_MATCH_HISTORY] Error:', error);
+            socket.emit('profile_error', JSON.stringify({ message: 'Failed to get match history' }));
+        }
+    });
+
+    // ===== ACHIEVEMENTS + QUESTS =====
+    onSocketEvent('get_achievements', async (socket) => {
+        try {
+            socket.emit('achievements', JSON.stringify(await buildGoalList(socket.userId)));
+
+        } catch (error) {
+            console.error('[GET_ACHIEVEMENTS] Error:', error);
+            socket.emit('error', { message: 'Failed to get achievements' });
+        }
+    });
+
+    // ===== TOURNAMENTS =====
+    onSocketEvent('get_tournaments', async (socket) => {
+        try {
+            const list = await listTournaments(TOURNAMENT_LIST_LIMIT);
+            socket.emit('tournament_list', JSON.stringify({
+                tournaments: list.map(tournament => formatTournament(tournament))
+            }));
+
+        } catch (error) {
+            console.error('[GET_TOURNAMENTS] Error:', error);
+            socket.emit('tournament_error', JSON.stringify({ reason: 'failed' }));
+        }
+    });
+
+    // Bracket of a tournament; watch_tournament also keeps it coming live
+    const sendTournament = async (socket, data, watch) => {
+        const { tournament_id } = JSON.parse(data || '{}');
+        const tournament = tournament_id ? await loadTournament(String(tournament_id)) : null;
+        if (!tournament) {
+            socket.emit('tournament_error', JSON.stringify({ tournament_id: tournament_id, reason: 'not_found' }));
+            return;
+        }
+
+        if (watch) {
+            socket.join(getTournamentRoom(tournament.tournamentId));
+        }
+        socket.emit('tournament', JSON.stringify(formatTournament(tournament, true)));
+    };
+
+    onSocketEvent('get_tournament', async (socket, data) => {
+        try {
+            await sendTournament(socket, data, false);
+        } catch (error) {
+            console.error('[GET_TOURNAMENT] Error:', error);
+            socket.emit('tournament_error', JSON.stringify({ reason: 'failed' }));
+        }
+    });
+
+    onSocketEvent('watch_tournament', async (socket, data) => {
+        try {
+            await sendTournament(socket, data, true);
+        } catch (error) {
+            console.error('[WATCH_TOURNAMENT] Error:', error);
+            socket.emit('tournament_error', JSON.stringify({ reason: 'failed' }));
+        }
+    });
+
+    onSocketEvent('unwatch_tournament', (socket, data) => {
+        try {
+            const { tournament_id } = JSON.parse(data || '{}');
+            if (tournament_id) {
+                socket.leave(getTournamentRoom(String(tournament_id)));
+            }
+        } catch (error) {
+            console.error('[UNWATCH_TOURNAMENT] Error:', error);
+        }
+    });
+
+    onSocketEvent('tournament_register', async (socket, data) => {
+        try {
+            const { tournament_id } = JSON.parse(data || '{}');
+            if (!tournament_id) {
+                return socket.emit('tournament_error', JSON.stringify({ reason: 'invalid_tournament' }));
+            }
+
+            if (await rejectBannedUser(socket)) return;
+
+            const user = await loadUser(socket.userId);
+            if (!user) {
+                return socket.emit('tournament_error', JSON.stringify({ tournament_id: tournament_id, reason: 'user_not_found' }));
+            }
+
+            const result = await registerForTournament(user, String(tournament_id));
+            if (!result.ok) {
+                if (result.reason === 'insufficient_coins') {
+                    return emitInsufficientCoins(socket, result.required, result.balance);
+                }
+                return socket.emit('tournament_error', JSON.stringify({ tournament_id: tournament_id, reason: result.reason }));
+            }
+
+            socket.emit('tournament_registered', JSON.stringify({
+                tournament_id: tournament_id,
+                entry_fee: result.tournament.entryFee,
+                user_coin: result.balance
+            }));
+
+            // On-demand tournaments start as soon as they are full
+            if (result.full) {
+                await startTournament(result.tournament.tournamentId);
+            }
+
+        } catch (error) {
+            console.error('[TOURNAMENT_REGISTER] Error:', error);
+            socket.emit('tournament_error', JSON.stringify({ reason: 'failed' }));
+        }
+    });
+
+    onSocketEvent('tournament_unregister', async (socket, data) => {
+        try {
+            const { tournament_id } = JSON.parse(data || '{}');
+            if (!tournament_id) {
+                return socket.emit('tournament_error', JSON.stringify({ reason: 'invalid_tournament' }));
+            }
+
+            const result = await unregisterFromTournament(socket.userId, String(tournament_id));
+            if (!result.ok) {
+                return socket.emit('tournament_error', JSON.stringify({ tournament_id: tournament_id, reason: result.reason }));
+            }
+
+            socket.emit('tournament_unregistered', JSON.stringify({
+                tournament_id: tournament_id,
+                refund: result.refund,
+                user_coin: result.balance
+            }));
+
+        } catch (error) {
+            console.error('[TOURNAMENT_UNREGISTER] Error:', error);
+            socket.emit('tournament_error', JSON.stringify({ reason: 'failed' }));
+        }
+    });
+
+    // ===== LEADERBOARDS =====
+    onSocketEvent('get_leaderboard', async (socket, data) => {
+        try {
+            const query = data ? JSON.parse(data) : {};
+            const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+            const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), LEADERBOARD_PAGE_LIMIT);
+
+            const leaderboard = await buildLeaderboard(query, offset, limit, socket.userId);
+            if (leaderboard.error) {
+                return socket.emit('leaderboard_error', JSON.stringify({ message: leaderboard.error }));
+            }
+            socket.emit('leaderboard', JSON.stringify(leaderboard));
+
+        } catch (error) {
+            console.error('[GET_LEADERBOARD] Error:', error);
+            socket.emit('leaderboard_error', JSON.stringify({ message: 'Failed to get leaderboard' }));
+        }
+    });
+
+    onSocketEvent('get_leaderboard_around_me', async (socket, data) => {
+        try {
+            const query = data ? JSON.parse(data) : {};
+            const range = Math.min(Math.max(parseInt(query.range, 10) || AROUND_ME_RANGE, 1), MAX_AROUND_ME_RANGE);
+
+            const around = await buildAroundMe(query, range, socket.userId);
+            if (around.error) {
+                return socket.emit('leaderboard_error', JSON.stringify({ message: around.error }));
+            }
+            socket.emit('leaderboard_around_me', JSON.stringify(around));
+
+        } catch (error) {
+            console.error('[GET_LEADERBOARD_AROUND_ME] Error:', error);
+            socket.emit('leaderboard_error', JSON.stringify({ message: 'Failed to get leaderboard' }));
+        }
+    });
+
+    // Final standings of an ended season (default: the last one)
+    onSocketEvent('get_season_results', async (socket, data) => {
+        try {
+            const { season } = data ? JSON.parse(data) : {};
+            const number = season === undefined ? getSeason(Date.now()).season - 1 : parseInt(season, 10);
+
+            const results = Number.isInteger(number) && number >= 1 ? await getSeasonResults(number) : null;
+            if (!results) {
+                return socket.emit('leaderboard_error', JSON.stringify({ message: 'Season results not found' }));
+            }
+            socket.emit('season_results', JSON.stringify(results));
+
+        } catch (error) {
+            console.error('[GET_SEASON_RESULTS] Error:', error);
+            socket.emit('leaderboard_error', JSON.stringify({ message: 'Failed to get season results' }));
+        }
+    });
+
+    // ===== GIFTS =====
+    onSocketEvent('get_gift_catalog', (socket) => {
+        socket.emit('gift_catalog', JSON.stringify({ gifts: GIFT_CATALOG }));
+    });
+
+    onSocketEvent('get_gift_history', async (socket, data) => {
+        try {
+            const { limit } = data ? JSON.parse(data) : {};
+            const count = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100);
+
+            const history = await listGifts(socket.userId, count);
+            socket.emit('gift_history', JSON.stringify({
+                user_id: socket.userId,
+                gifts: history.map(gift => formatGift(gift, socket.userId))
+            }));
+
+        } catch (error) {
+            console.error('[GET_GIFT_HISTORY] Error:', error);
+            socket.emit('error', { message: 'Failed to get gift history' });
+        }
+    });
+
+    // ===== DAILY REWARDS + REFILLS =====
+    onSocketEvent('get_rewards', async (socket) => {
+        try {
+            const user = await loadUser(socket.userId);
+            if (!user) {
+                socket.emit('reward_error', JSON.stringify({ message: 'User not found' }));
                 return;
             }
 
-            // Deduct bet amount
-            user.coins -= bet_amount;
-            console.log(`[COINS_DEDUCTED] ${user_name}: -${bet_amount} (Remaining: ${user.coins})`);
+            socket.emit('rewards_status', JSON.stringify(buildRewardStatus(user, Date.now())));
 
-            const roomId = room_code || uuidv4().substring(0, 6).toUpperCase();
-            const room = createRoom(roomId, user_id, bet_amount, player_count);
-            rooms.set(roomId, room);
+        } catch (error) {
+            console.error('[GET_REWARDS] Error:', error);
+            socket.emit('error', { message: 'Failed to get rewards' });
+        }
+    });
 
-            const player = createPlayer(user_id, user_name, 0, socket.id);
-            room.players.push(player);
+    onSocketEvent('claim_daily_reward', (socket) => handleRewardClaim(socket, TRANSACTION_TYPE.DAILY_REWARD, claimDailyReward));
 
-            socket.join(roomId);
-            socket.currentRoomId = roomId;
+    onSocketEvent('claim_refill', (socket) => handleRewardClaim(socket, TRANSACTION_TYPE.REFILL, claimRefill));
 
-            socket.emit('friend_room_code', JSON.stringify({ room_code: roomId }));
-            // console.log(`[FRIEND_CREATE] Room created: ${roomId} by ${user_name}`);
+    // ===== PUSH NOTIFICATIONS =====
+    onSocketEvent('register_push_token', async (socket, data) => {
+        try {
+            const { fcm_token, device_id, platform } = JSON.parse(data);
+            if (!fcm_token || typeof fcm_token !== 'string') {
+                socket.emit('error', JSON.stringify({ message: 'fcm_token is required' }));
+                return;
+            }
+
+            const deviceId = device_id || fcm_token;
+            await registerPushToken(socket.userId, fcm_token, deviceId, platform);
+            socket.emit('push_token_registered', JSON.stringify({ device_id: deviceId }));
 
         } catch (error) {
-            console.error('[FRIEND_CREATE] Error:', error);
-            socket.emit('friend_error_response', { message: 'Failed to create room' });
+            console.error('[PUSH_TOKEN] Error:', error);
+            socket.emit('error', { message: 'Failed to register push token' });
         }
     });
 
-    // ===== FRIEND ROOM - JOIN =====
-    socket.on('friend_join_room', async (data) => {
+    // Logging out on a device
+    onSocketEvent('unregister_push_token', async (socket, data) => {
         try {
-            const { user_id, user_name, room_code } = JSON.parse(data);
+            const { device_id } = JSON.parse(data);
+            if (device_id) {
+                await forgetPushToken(socket.userId, device_id);
+            }
+        } catch (error) {
+            console.error('[PUSH_TOKEN] Error:', error);
+        }
+    });
 
-            const room = rooms.get(room_code);
+    // The app reports when it goes to the background, so turns get a push
+    onSocketEvent('app_state', (socket, data) => {
+        try {
+            const { state } = JSON.parse(data);
+            socket.data.appState = state === 'background' ? 'background' : 'foreground';
+        } catch (error) {
+            console.error('[APP_STATE] Error:', error);
+        }
+    });
+
+    onSocketEvent('get_notification_settings', async (socket) => {
+        try {
+            socket.emit('notification_settings', JSON.stringify(await loadPushSettings(socket.userId)));
+        } catch (error) {
+            console.error('[NOTIFICATION_SETTINGS] Error:', error);
+            socket.emit('error', { message: 'Failed to get notification settings' });
+        }
+    });
+
+    // { turn, invite, reward } - any of them, false switches the type off
+    onSocketEvent('update_notification_settings', async (socket, data) => {
+        try {
+            await updatePushSettings(socket.userId, JSON.parse(data));
+            socket.emit('notification_settings', JSON.stringify(await loadPushSettings(socket.userId)));
+        } catch (error) {
+            console.error('[NOTIFICATION_SETTINGS] Error:', error);
+            socket.emit('error', { message: 'Failed to update notification settings' });
+        }
+    });
+
+    // ===== RECONNECTION - GET PREVIOUS ROOM =====
+    // Older clients send the room_id they remembered; newer ones don't need
+    // to (see resume_game)
+    onRoomEvent('get_previous_room', async (socket, data) => {
+        try {
+            const { room_id } = JSON.parse(data || '{}');
+
+            if (!room_id) {
+                if (!await resumeActiveGame(socket)) {
+                    socket.emit('room_not_found', { message: 'Room not found or expired' });
+                }
+                return;
+            }
+
+            const room = rooms.get(room_id);
 
             if (!room) {
-                socket.emit('friend_error_response', { message: 'Room not found' });
+                socket.emit('room_not_found', { message: 'Room not found or expired' });
                 return;
             }
 
-            if (room.players.length >= room.maxPlayers) {
-                socket.emit('friend_error_response', { message: 'Room is full' });
+            if (!resumeInRoom(socket, room)) {
+                socket.emit('room_not_found', { message: 'Player not in room' });
                 return;
             }
 
-            // Check if user has enough coins
-            const user = users.get(user_id);
-            if (!user) {
-                socket.emit('friend_error_response', { message: 'User not found' });
+            // Legacy reply, game_resync has the full state
+            const player = getSocketPlayer(room, socket);
+            const { events, ...gameData } = room.gameData;
+            const roomData = {
+                room_id: room.roomId,
+                peer_id: player.peerId,
+                turn_id: room.currentTurn,
+                players: room.players.map(p => ({
+                    peer_id: p.peerId,
+                    user_id: p.userId,
+                    user_name: p.userName,
+                    status: p.status
+                })),
+                game_data: gameData
+            };
+
+            socket.emit('previous_room_data', JSON.stringify(roomData));
+
+        } catch (error) {
+            console.error('[GET_PREVIOUS_ROOM] Error:', error);
+            socket.emit('room_not_found', { message: 'Failed to reconnect' });
+        }
+    });
+
+    // Resume the user's running game, optionally checking the resume token
+    // received at game start
+    onSocketEvent('resume_game', async (socket, data) => {
+        try {
+            const { resume_token } = JSON.parse(data || '{}');
+
+            if (!await resumeActiveGame(socket, resume_token)) {
+                socket.emit('room_not_found', { message: 'No game to resume' });
+            }
+
+        } catch (error) {
+            console.error('[RESUME_GAME] Error:', error);
+            socket.emit('room_not_found', { message: 'Failed to reconnect' });
+        }
+    });
+
+    // ===== REMOVE FROM MATCHMAKING =====
+    onRoomEvent('remove_from_matchmaking', async (socket) => {
+        try {
+            const userId = socket.userId;
+
+            if (await leaveQueue(userId, 'matchmaking_cancelled')) return;
+
+            // Find and remove player from waiting rooms (stake is refunded)
+            for (let [roomId, room] of rooms.entries()) {
+                if (room.status === GAME_STATUS.WAITING &&
+                    await removeWaitingPlayer(room, userId, 'matchmaking_cancelled')) {
+                    socket.leave(roomId);
+                    socket.currentRoomId = null;
+
+                    console.log(`[REMOVE_MATCHMAKING] User ${userId} removed from room ${roomId}`);
+                    break;
+                }
+            }
+
+        } catch (error) {
+            console.error('[REMOVE_MATCHMAKING] Error:', error);
+        }
+    });
+
+    // ===== SPECTATE =====
+    // Watch a live game read-only, by room id or friend room code
+    onRoomEvent('spectate_room', async (socket, data) => {
+        try {
+            const { room_id, room_code } = JSON.parse(data);
+            const roomId = room_id || room_code;
+            const room = rooms.get(roomId);
+
+            if (!room || room.status === GAME_STATUS.FINISHED) {
+                socket.emit('spectate_error', JSON.stringify({ message: 'Room not found' }));
                 return;
             }
 
-            if (user.coins < room.betAmount) {
-                socket.emit('insufficient_coins', JSON.stringify({
-                    required: room.betAmount,
-                    current: user.coins
-                }));
-                console.log(`[FRIEND_JOIN_FAILED] ${user_name} insufficient coins: ${user.coins}/${room.betAmount}`);
+            if (getSocketPlayer(room, socket)) {
+                socket.emit('spectate_error', JSON.stringify({ message: 'You are playing in this room' }));
+                return;
+            }
+
+            if (!room.spectators[socket.userId] && Object.keys(room.spectators).length >= MAX_SPECTATORS) {
+                socket.emit('spectate_error', JSON.stringify({ message: 'Too many spectators' }));
+                return;
+            }
+
+            // One room at a time
+            if (socket.spectatingRoomId && socket.spectatingRoomId !== roomId) {
+                await stopSpectating(socket);
+            }
+
+            room.spectators[socket.userId] = { userName: socket.userName, socketId: socket.id };
+            socket.join(getSpectatorRoom(roomId));
+            socket.spectatingRoomId = roomId;
+
+            socket.emit('spectate_snapshot', JSON.stringify(buildRoomSnapshot(room)));
+            emitSpectatorCount(room);
+            persistRoom(room);
+
+            console.log(`[SPECTATE] ${socket.userName} is watching room ${roomId}`);
+
+        } catch (error) {
+            console.error('[SPECTATE] Error:', error);
+            socket.emit('spectate_error', JSON.stringify({ message: 'Failed to spectate room' }));
+        }
+    });
+
+    onRoomEvent('stop_spectating', (socket, data) => {
+        try {
+            const { room_id } = JSON.parse(data);
+            const room = rooms.get(room_id);
+
+            if (room) {
+                removeSpectator(room, socket);
+            }
+
+            socket.leave(getSpectatorRoom(room_id));
+            if (socket.spectatingRoomId === room_id) {
+                socket.spectatingRoomId = null;
+            }
+
+        } catch (error) {
+            console.error('[STOP_SPECTATING] Error:', error);
+        }
+    });
+
+    // ===== REPLAYS =====
+    onSocketEvent('get_replays', async (socket) => {
+        try {
+            const summaries = await listReplays(socket.userId);
+            socket.emit('replay_list', JSON.stringify({ replays: summaries }));
+        } catch (error) {
+            console.error('[GET_REPLAYS] Error:', error);
+            socket.emit('replay_error', JSON.stringify({ message: 'Failed to get replays' }));
+        }
+    });
+
+    // Play back one of the user's games (latest if no match_id), speed 1 = real time.
+    // Replays stored before match ids existed are keyed by room_id.
+    onSocketEvent('watch_replay', async (socket, data) => {
+        try {
+            const { match_id, room_id, speed } = JSON.parse(data || '{}');
+
+            let matchId = match_id || room_id;
+            if (!matchId) {
+                const latest = (await listReplays(socket.userId))[0];
+                matchId = latest ? latest.match_id : null;
+            }
+
+            const replay = matchId ? await loadReplay(matchId) : null;
+            if (!replay || !isReplayParticipant(replay, socket.userId)) {
+                socket.emit('replay_error', JSON.stringify({ message: 'Replay not found' }));
                 return;
             }
 
-            // Deduct bet amount
-            user.coins -= room.betAmount;
-            console.log(`[COINS_DEDUCTED] ${user_name}: -${room.betAmount} (Remaining: ${user.coins})`);
+            stopReplay(socket);
+
+            const { events, ...header } = replay;
+            socket.emit('replay_start', JSON.stringify({ ...header, event_count: events.length }));
+
+            socket.replayPlayback = {
+                replay: replay,
+                index: 0,
+                speed: normalizeSpeed(speed),
+                timer: null
+            };
+            playNextReplayEvent(socket);
+
+        } catch (error) {
+            console.error('[WATCH_REPLAY] Error:', error);
+            socket.emit('replay_error', JSON.stringify({ message: 'Failed to play replay' }));
+        }
+    });
+
+    onSocketEvent('replay_speed', (socket, data) => {
+        try {
+            const { speed } = JSON.parse(data);
+            if (socket.replayPlayback) {
+                // Applies from the next event on
+                socket.replayPlayback.speed = normalizeSpeed(speed);
+            }
+        } catch (error) {
+            console.error('[REPLAY_SPEED] Error:', error);
+        }
+    });
+
+    onSocketEvent('stop_replay', (socket) => {
+        stopReplay(socket);
+    });
+
+    // ===== DISCONNECT =====
+    onSocketEvent('disconnect', (socket) => {
+        console.log(`[DISCONNECT] Socket disconnected: ${socket.id}`);
+
+        stopReplay(socket);
+
+        stopSpectating(socket)
+            .catch(err => console.error('[DISCONNECT] Spectator cleanup error:', err));
+
+        leaveQueue(socket.userId, 'disconnected', socket.id)
+            .catch(err => console.error('[DISCONNECT] Queue refund error:', err));
+
+        // Find user's room and handle disconnect
+        if (socket.currentRoomId) {
+            const room = rooms.get(socket.currentRoomId);
+            if (room) {
+                handlePlayerDisconnect(room, socket.id);
+            } else if (CLUSTER_ENABLED) {
+                forwardRoomAction(io, {
+                    type: 'disconnect',
+                    roomId: socket.currentRoomId,
+                    socket: describeSocket(socket)
+                });
+            }
+        }
+
+        // Clean up user socket mapping
+        if (socket.userId) {
+            if (userSockets.get(socket.userId) === socket.id) {
+                userSockets.delete(socket.userId);
+            }
+            refreshPresence(socket.userId);
+        }
+    });
+}
+
+defineSocketHandlers();
+
+function handlePlayerDisconnect(room, socketId) {
+    const player = room.players.find(p => p.socketId === socketId);
+    if (player && room.status === GAME_STATUS.WAITING) {
+        // Nothing to reconnect to yet - free the seat and refund
+        console.log(`[DISCONNECT] Player ${player.userName} left waiting room ${room.roomId}`);
+        removeWaitingPlayer(room, player.userId, 'disconnected_before_start')
+            .catch(err => console.error('[DISCONNECT] Refund error:', err));
+    } else if (player && !player.bot && player.status === PLAYER_STATUS.PLAYING &&
+        room.status === GAME_STATUS.PLAYING) {
+        console.log(`[DISCONNECT] Player ${player.userName} disconnected from room ${room.roomId}`);
+
+        // Don't immediately remove - allow reconnection
+        startGracePeriod(room, player);
+        recordEvent(room, 'disconnect', { peer_id: player.peerId });
+        io.to(withSpectators(room.roomId)).emit('player_reconnecting', JSON.stringify({
+            peer_id: player.peerId,
+            grace_period: Math.round(DISCONNECT_GRACE_PERIOD / 1000)
+        }));
+        persistRoom(room);
+    }
+}
+
+// ===== HTTP ENDPOINTS =====
+app.get('/', (req, res) => {
+    res.send('Ludo Socket.IO Server Running');
+});
+
+// Existing account without a credential: only the holder of a migration
+// secret issued by support (see /admin/users/:userId/migration-secret) may
+// claim it. Secrets work once.
+async function checkAuthMigration(userId, migrationSecret) {
+    if (!migrationSecret) return false;
+
+    // Compared before it is used up, so a wrong guess can't burn the secret
+    if (isRedisConnected()) {
+        return claimAuthMigration(userId, hashSecret(migrationSecret), Date.now());
+    }
+
+    const migration = authMigrations.get(userId);
+    if (!migration || migration.expiresAt <= Date.now() || !checkSecret(migrationSecret, migration.secretHash)) {
+        return false;
+    }
+    authMigrations.delete(userId);
+    return true;
+}
+
+// Guest login: the first call for a new user_id registers it and returns a
+// login_secret the client must keep; later logins have to present it.
+// Accounts created before login secrets existed are claimed with a
+// migration_secret instead, never by simply logging in first.
+app.post('/auth/login', async (req, res) => {
+    try {
+        const { user_id, user_name, login_secret, migration_secret } = req.body || {};
+
+        if (user_id === undefined || user_id === null || user_id === '') {
+            return res.status(400).json({ message: 'user_id is required' });
+        }
+
+        const userId = String(user_id);
+        let credential = isRedisConnected() ? await getAuthCredential(userId) : authCredentials.get(userId);
+        let newSecret = null;
+
+        if (!credential && await loadUser(userId) && !await checkAuthMigration(userId, migration_secret)) {
+            console.log(`[AUTH] Rejected login for existing account ${userId} without migration secret`);
+            return res.status(401).json({ message: 'Account needs a migration secret' });
+        }
+
+        if (!credential) {
+            newSecret = createLoginSecret();
+            credential = { secretHash: hashSecret(newSecret), createdAt: Date.now() };
+
+            let saved = true;
+            if (isRedisConnected()) {
+                saved = await saveAuthCredential(userId, credential);
+            } else {
+                authCredentials.set(userId, credential);
+            }
+
+            if (!saved) {
+                // Someone registered this user_id at the same time
+                return res.status(409).json({ message: 'User already registered' });
+            }
+            console.log(`[AUTH] Registered ${userId}`);
+        } else if (!checkSecret(login_secret, credential.secretHash)) {
+            console.log(`[AUTH] Rejected login for ${userId}`);
+            return res.status(401).json({ message: 'Invalid login secret' });
+        }
+
+        const ban = await getActiveBan(userId);
+        if (ban) {
+            return res.status(403).json({ message: 'User is banned', ban: formatBan(ban) });
+        }
+
+        const response = {
+            user_id: userId,
+            auth_token: issueToken(userId, user_name || userId)
+        };
+        if (newSecret) {
+            response.login_secret = newSecret;
+        }
+
+        res.json(response);
+
+    } catch (error) {
+        console.error('[AUTH_LOGIN] Error:', error);
+        res.status(500).json({ message: 'Login failed' });
+    }
+});
+
+// Public profiles and match history
+app.get('/users/:userId/profile', async (req, res) => {
+    try {
+        const profile = await buildProfile(req.params.userId);
+        if (!profile) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        res.json(profile);
+
+    } catch (error) {
+        console.error('[HTTP_PROFILE] Error:', error);
+        res.status(500).json({ message: 'Failed to get profile' });
+    }
+});
+
+app.get('/users/:userId/matches', async (req, res) => {
+    try {
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MATCH_HISTORY_PAGE_LIMIT);
+
+        const matches = await listMatches(req.params.userId, offset, limit);
+        res.json({
+            user_id: req.params.userId,
+            offset: offset,
+            matches: matches.map(formatMatchRecord)
+        });
+
+    } catch (error) {
+        console.error('[HTTP_MATCHES] Error:', error);
+        res.status(500).json({ message: 'Failed to get match history' });
+    }
+});
+
+app.get('/users/:userId/achievements', async (req, res) => {
+    try {
+        const user = await loadUser(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        res.json({ user_id: user.userId, ...await buildGoalList(user.userId) });
+
+    } catch (error) {
+        console.error('[HTTP_ACHIEVEMENTS] Error:', error);
+        res.status(500).json({ message: 'Failed to get achievements' });
+    }
+});
+
+// Tournaments are public, the bracket updates live over tournament_update
+app.get('/tournaments', async (req, res) => {
+    try {
+        const list = await listTournaments(TOURNAMENT_LIST_LIMIT);
+        res.json({ tournaments: list.map(tournament => formatTournament(tournament)) });
+
+    } catch (error) {
+        console.error('[HTTP_TOURNAMENTS] Error:', error);
+        res.status(500).json({ message: 'Failed to list tournaments' });
+    }
+});
+
+app.get('/tournaments/:tournamentId', async (req, res) => {
+    try {
+        const tournament = await loadTournament(req.params.tournamentId);
+        if (!tournament) {
+            return res.status(404).json({ message: 'Tournament not found' });
+        }
+        res.json(formatTournament(tournament, true));
+
+    } catch (error) {
+        console.error('[HTTP_TOURNAMENT] Error:', error);
+        res.status(500).json({ message: 'Failed to get tournament' });
+    }
+});
+
+// Leaderboards are public: ?offset=&limit= (and &season= for season boards)
+app.get('/leaderboards/:stat/:period', async (req, res) => {
+    try {
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), LEADERBOARD_PAGE_LIMIT);
+
+        const leaderboard = await buildLeaderboard({ ...req.params, season: req.query.season }, offset, limit, null);
+        if (leaderboard.error) {
+            return res.status(400).json({ message: leaderboard.error });
+        }
+        res.json(leaderboard);
+
+    } catch (error) {
+        console.error('[HTTP_LEADERBOARD] Error:', error);
+        res.status(500).json({ message: 'Failed to get leaderboard' });
+    }
+});
+
+app.get('/leaderboards/:stat/:period/around/:userId', async (req, res) => {
+    try {
+        const range = Math.min(Math.max(parseInt(req.query.range, 10) || AROUND_ME_RANGE, 1), MAX_AROUND_ME_RANGE);
+
+        const around = await buildAroundMe(
+            { stat: req.params.stat, period: req.params.period, season: req.query.season },
+            range,
+            req.params.userId
+        );
+        if (around.error) {
+            return res.status(400).json({ message: around.error });
+        }
+        res.json(around);
+
+    } catch (error) {
+        console.error('[HTTP_LEADERBOARD_AROUND] Error:', error);
+        res.status(500).json({ message: 'Failed to get leaderboard' });
+    }
+});
+
+app.get('/seasons/:season', async (req, res) => {
+    try {
+        const season = parseInt(req.params.season, 10);
+        const results = Number.isInteger(season) && season >= 1 ? await getSeasonResults(season) : null;
+        if (!results) {
+            return res.status(404).json({ message: 'Season results not found' });
+        }
+        res.json(results);
+
+    } catch (error) {
+        console.error('[HTTP_SEASON] Error:', error);
+        res.status(500).json({ message: 'Failed to get season results' });
+    }
+});
+
+// Support tools share SUPPORT_API_KEY (header x-api-key)
+function isSupportRequest(req) {
+    return checkApiKey(req.get('x-api-key'), process.env.SUPPORT_API_KEY);
+}
+
+// Support tools: coin history for any user (needs SUPPORT_API_KEY)
+app.get('/users/:userId/transactions', async (req, res) => {
+    try {
+        if (!isSupportRequest(req)) {
+            return res.status(401).json({ message: 'Unauthorized' });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+        const history = await listTransactions(req.params.userId, limit);
+
+        res.json({
+            user_id: req.params.userId,
+            transactions: history.map(formatTransaction)
+        });
+
+    } catch (error) {
+        console.error('[HTTP_TRANSACTIONS] Error:', error);
+        res.status(500).json({ message: 'Failed to get transactions' });
+    }
+});
+
+// Download a replay as JSON: players of the game (Authorization: Bearer
+// <auth_token>) or support (x-api-key)
+app.get('/replays/:matchId', async (req, res) => {
+    try {
+        const isSupport = isSupportRequest(req);
+        const identity = verifyToken((req.get('authorization') || '').replace(/^Bearer /, ''));
 
+        if (!isSupport && !identity) {
+            return res.status(401).json({ message: 'Unauthorized' });
+        }
 
-            if (room.status !== GAME_STATUS.WAITING) {
-                socket.emit('friend_error_response', { message: 'Game already started' });
-                return;
-            }
+        const replay = await loadReplay(req.params.matchId);
+        if (!replay || (!isSupport && !isReplayParticipant(replay, identity.userId))) {
+            return res.status(404).json({ message: 'Replay not found' });
+        }
 
-            const player = createPlayer(user_id, user_name, room.players.length, socket.id);
-            room.players.push(player);
+        res.set('Content-Disposition', `attachment; filename="replay-${replay.match_id || replay.room_id}.json"`);
+        res.json(replay);
 
-            socket.join(room_code);
-            socket.currentRoomId = room_code;
+    } catch (error) {
+        console.error('[HTTP_REPLAY] Error:', error);
+        res.status(500).json({ message: 'Failed to get replay' });
+    }
+});
 
-            // Notify all players in room
-            io.to(room_code).emit('player_joined', JSON.stringify({
-                peer_id: player.peerId,
-                user_name: user_name,
-                player_count: room.players.length,
-                max_players: room.maxPlayers
-            }));
+// Support tools: payout tables and house rake (needs SUPPORT_API_KEY; changing
+// the payout tables moves real coins, so that takes an admin key)
+app.get('/config/payouts', (req, res) => {
+    if (!isSupportRequest(req)) {
+        return res.status(401).json({ message: 'Unauthorized' });
+    }
 
-            // console.log(`[FRIEND_JOIN] ${user_name} joined room ${room_code}`);
-
-            // Start game if room full
-            if (room.players.length === room.maxPlayers) {
-                room.status = GAME_STATUS.PLAYING;
-                room.currentTurn = 0;
-
-                const gameStartData = {
-                    room_id: room.roomId,
-                    room_coin: room.betAmount,
-                    userdata: room.players.map(p => {
-                        const userData = users.get(p.userId) || {
-                            user_coin: 1000,
-                            numof_win: 0,
-                            numof_lose: 0,
-                            user_level: 1
-                        };
-
-                        return {
-                            peer_id: p.peerId,
-                            user_id: p.userId,
-                            user_name: p.userName,
-                            user_coin: userData.user_coin || 1000,
-                            numof_win: userData.numof_win || 0,
-                            numof_lose: userData.numof_lose || 0,
-                            user_level: userData.user_level || 1,
-                            login_type: userData.login_type || 'Guest'
-                        };
-                    })
-                };
+    res.json(payoutConfig);
+});
 
-                io.to(room_code).emit('game_start', JSON.stringify(gameStartData));
-            }
+app.put('/config/payouts', async (req, res) => {
+    try {
+        const actor = getAdminActor(req);
+        if (!actor) {
+            return res.status(401).json({ message: 'Unauthorized' });
+        }
 
-        } catch (error) {
-            console.error('[FRIEND_JOIN] Error:', error);
-            socket.emit('friend_error_response', { message: 'Failed to join room' });
+        const error = validatePayoutConfig(req.body);
+        if (error) {
+            return res.status(400).json({ message: error });
         }
-    });
 
-    // ===== GAME ACTIONS - DICE =====
-    socket.on('dice_send', (data) => {
-        try {
-            const { room_id, peer_id, dice_face } = JSON.parse(data);
-            const room = rooms.get(room_id);
+        const config = { rake_percent: req.body.rake_percent, tiers: req.body.tiers };
+        const previous = payoutConfig;
+        if (!await updatePayoutConfig(config)) {
+            return res.status(500).json({ message: 'Failed to save payout config' });
+        }
 
-            if (!room) return;
+        await recordAudit(actor, 'update_payouts', 'payouts', { previous: previous, config: config });
+        res.json(config);
 
-            // Restart turn timer when player rolls dice
-            clearTurnTimer(room);
-            startTurnTimer(room);
+    } catch (error) {
+        console.error('[HTTP_PAYOUTS] Error:', error);
+        res.status(500).json({ message: 'Failed to update payout config' });
+    }
+});
 
-            room.gameData.lastDice = dice_face;
+app.get('/house/rake', async (req, res) => {
+    try {
+        if (!isSupportRequest(req)) {
+            return res.status(401).json({ message: 'Unauthorized' });
+        }
 
-            // Broadcast to other players in room
-            socket.to(room_id).emit('dice_recieved', JSON.stringify({
-                peer_id: peer_id,
-                dice_face: dice_face
-            }));
+        res.json(await getHouseRakeReport());
 
-            // console.log(`[DICE] Room ${room_id}, Peer ${peer_id} rolled ${dice_face}`);
+    } catch (error) {
+        console.error('[HTTP_RAKE] Error:', error);
+        res.status(500).json({ message: 'Failed to get house rake' });
+    }
+});
 
-        } catch (error) {
-            console.error('[DICE_SEND] Error:', error);
-        }
-    });
+// Support tools: chat filter and player reports (needs SUPPORT_API_KEY)
+app.get('/config/chat', (req, res) => {
+    if (!isSupportRequest(req)) {
+        return res.status(401).json({ message: 'Unauthorized' });
+    }
 
-    // ===== GAME ACTIONS - TOKEN MOVE =====
-    socket.on('token_send', (data) => {
-        try {
-            const { room_id, peer_id, token_id, token_value } = JSON.parse(data);
-            const room = rooms.get(room_id);
+    res.json(chatConfig);
+});
 
-            if (!room) return;
+app.put('/config/chat', async (req, res) => {
+    try {
+        if (!isSupportRequest(req)) {
+            return res.status(401).json({ message: 'Unauthorized' });
+        }
 
-            // Restart turn timer when player makes a move
-            clearTurnTimer(room);
-            startTurnTimer(room);
+        const error = validateChatConfig(req.body);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
 
-            // Store move
-            room.gameData.moves.push({
-                peerId: peer_id,
-                tokenId: token_id,
-                tokenValue: token_value,
-                timestamp: Date.now()
-            });
+        const config = {
+            max_length: req.body.max_length,
+            blocked_words: req.body.blocked_words,
+            block_links: req.body.block_links,
+            rate_limit: { messages: req.body.rate_limit.messages, window_ms: req.body.rate_limit.window_ms }
+        };
+        if (!await updateChatConfig(config)) {
+            return res.status(500).json({ message: 'Failed to save chat config' });
+        }
 
-            // Broadcast to other players
-            socket.to(room_id).emit('token_recieved', JSON.stringify({
-                peer_id: peer_id,
-                token_id: token_id,
-                token_value: token_value,
-                dice_face: room.gameData.lastDice
-            }));
+        res.json(config);
 
-            console.log(`[TOKEN] Room ${room_id}, Peer ${peer_id} moved token ${token_id} to ${token_value}`);
+    } catch (error) {
+        console.error('[HTTP_CHAT] Error:', error);
+        res.status(500).json({ message: 'Failed to update chat config' });
+    }
+});
 
-        } catch (error) {
-            console.error('[TOKEN_SEND] Error:', error);
+app.get('/reports', async (req, res) => {
+    try {
+        if (!isSupportRequest(req)) {
+            return res.status(401).json({ message: 'Unauthorized' });
         }
-    });
 
-    // ===== GAME ACTIONS - TOKEN RESET =====
-    socket.on('token_reset', (data) => {
-        try {
-            const { room_id, peer_id, token_id, token_value } = JSON.parse(data);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+        res.json({ reports: await listReports(limit) });
 
-            // Broadcast token reset to OTHER players only (not sender)
-            // peer_id is the player whose token got KILLED (should receive reset)
-            // socket.to(room_id) excludes sender, so only the killed player receives it
-            socket.to(room_id).emit('token_recieved', JSON.stringify({
-                peer_id: peer_id,
-                token_id: token_id,
-                token_value: token_value,
-                dice_face: 0
-            }));
+    } catch (error) {
+        console.error('[HTTP_REPORTS] Error:', error);
+        res.status(500).json({ message: 'Failed to get reports' });
+    }
+});
+
+// Admin API: live operations. Every operator has their own key
+// (ADMIN_API_KEYS=name:key,name:key) and acts under that name in the audit log.
+const ADMIN_API_KEYS = parseAdminApiKeys(process.env.ADMIN_API_KEYS);
+
+function parseAdminApiKeys(value) {
+    return String(value || '')
+        .split(',')
+        .map(entry => {
+            const separator = entry.indexOf(':');
+            if (separator === -1) return null;
+            return { name: entry.slice(0, separator).trim(), key: entry.slice(separator + 1).trim() };
+        })
+        .filter(entry => entry && entry.name && entry.key);
+}
 
-            console.log(`[TOKEN_RESET] Room ${room_id}, Peer ${peer_id} reset token ${token_id}`);
+// Name of the operator whose key the request carries, null if none matches
+function getAdminActor(req) {
+    const key = req.get('x-api-key');
+    const admin = ADMIN_API_KEYS.find(entry => checkApiKey(key, entry.key));
+    return admin ? admin.name : null;
+}
 
-        } catch (error) {
-            console.error('[TOKEN_RESET] Error:', error);
+function getActionReason(body) {
+    const reason = body && typeof body.reason === 'string' ? body.reason.trim() : '';
+    return reason || null;
+}
+
+app.get('/admin/rooms', async (req, res) => {
+    try {
+        if (!getAdminActor(req)) {
+            return res.status(401).json({ message: 'Unauthorized' });
         }
-    });
 
-    // ===== GAME ACTIONS - CHANGE TURN =====
-    socket.on('change_turn', (data) => {
-        try {
-            const { room_id, peer_id } = JSON.parse(data);
-            const room = rooms.get(room_id);
+        // Cluster mode: other instances' rooms as last saved
+        const list = new Map();
+        if (CLUSTER_ENABLED) {
+            (await getAllRooms()).forEach(room => list.set(room.roomId, room));
+        }
+        rooms.forEach(room => list.set(room.roomId, room));
 
-            if (!room) return;
+        res.json({ rooms: [...list.values()].map(buildAdminRoomSummary) });
 
-            // Clear current turn timer
-            clearTurnTimer(room);
+    } catch (error) {
+        console.error('[HTTP_ADMIN_ROOMS] Error:', error);
+        res.status(500).json({ message: 'Failed to list rooms' });
+    }
+});
 
-            // Get next turn
-            const nextTurn = getNextTurn(room);
+app.get('/admin/rooms/:roomId', async (req, res) => {
+    try {
+        if (!getAdminActor(req)) {
+            return res.status(401).json({ message: 'Unauthorized' });
+        }
 
-            if (nextTurn === -1) {
-                // Game over - no active players
-                io.to(room_id).emit('game_over', JSON.stringify({ reason: 'No active players' }));
-                return;
-            }
+        let room = rooms.get(req.params.roomId);
+        if (!room && CLUSTER_ENABLED) {
+            room = await getRoom(req.params.roomId);
+        }
+        if (!room) {
+            return res.status(404).json({ message: 'Room not found' });
+        }
 
-            room.currentTurn = nextTurn;
+        res.json(buildAdminRoomDetails(room));
 
-            // Broadcast turn change - send as JSON string to match client parsing
-            const currentPlayer = room.players[nextTurn];
-            io.to(room_id).emit('turn_changed', JSON.stringify(currentPlayer.peerId));
+    } catch (error) {
+        console.error('[HTTP_ADMIN_ROOM] Error:', error);
+        res.status(500).json({ message: 'Failed to get room' });
+    }
+});
 
-            // console.log(`[TURN_CHANGE] Room ${room_id}, Turn changed to peer ${currentPlayer.peerId}`);
+app.post('/admin/rooms/:roomId/end', async (req, res) => {
+    try {
+        const actor = getAdminActor(req);
+        if (!actor) {
+            return res.status(401).json({ message: 'Unauthorized' });
+        }
 
-            // Start timer for next turn
-            startTurnTimer(room);
+        const reason = getActionReason(req.body);
+        if (!reason) {
+            return res.status(400).json({ message: 'reason is required' });
+        }
 
-        } catch (error) {
-            console.error('[CHANGE_TURN] Error:', error);
+        const result = await runAdminRoomAction(req.params.roomId, 'end', { reason: reason });
+        if (!result) {
+            return res.status(404).json({ message: 'Room not found' });
+        }
+        if (!result.ok) {
+            return res.status(result.status).json({ message: result.message });
         }
-    });
 
-    // ===== GAME ACTIONS - WIN =====
-    socket.on('win_game', async (data) => {
-        try {
-            const { room_id, peer_id, player_rank } = JSON.parse(data);
-            const room = rooms.get(room_id);
+        await recordAudit(actor, 'end_room', req.params.roomId, { reason: reason, refunded: result.refunded });
+        res.json({ room_id: req.params.roomId, refunded: result.refunded });
 
-            if (!room) return;
+    } catch (error) {
+        console.error('[HTTP_ADMIN_END_ROOM] Error:', error);
+        res.status(500).json({ message: 'Failed to end room' });
+    }
+});
 
-            // Update player status
-            const player = room.players[peer_id];
-            if (player) {
-                player.status = PLAYER_STATUS.WIN;
-            }
+app.post('/admin/rooms/:roomId/kick', async (req, res) => {
+    try {
+        const actor = getAdminActor(req);
+        if (!actor) {
+            return res.status(401).json({ message: 'Unauthorized' });
+        }
 
-            // Broadcast win
-            socket.to(room_id).emit('win_game', JSON.stringify(peer_id));
+        const { user_id } = req.body || {};
+        const reason = getActionReason(req.body);
+        if (!user_id || !reason) {
+            return res.status(400).json({ message: 'user_id and reason are required' });
+        }
 
-            console.log(`[WIN] Room ${room_id}, Peer ${peer_id} won with rank ${player_rank}`);
+        const userId = String(user_id);
+        const result = await runAdminRoomAction(req.params.roomId, 'kick', { userId: userId, reason: reason });
+        if (!result) {
+            return res.status(404).json({ message: 'Room not found' });
+        }
+        if (!result.ok) {
+            return res.status(result.status).json({ message: result.message });
+        }
 
-            // Check if game is over (only 1 player left or all finished)
-            const playingCount = room.players.filter(p => p.status === PLAYER_STATUS.PLAYING).length;
+        await recordAudit(actor, 'kick', userId, { room_id: req.params.roomId, reason: reason });
+        res.json({ room_id: req.params.roomId, user_id: userId });
 
-            if (playingCount <= 1) {
-                room.status = GAME_STATUS.FINISHED;
+    } catch (error) {
+        console.error('[HTTP_ADMIN_KICK] Error:', error);
+        res.status(500).json({ message: 'Failed to kick player' });
+    }
+});
 
-                // Clear turn timer when game ends
-                clearTurnTimer(room);
+app.get('/admin/users/:userId', async (req, res) => {
+    try {
+        if (!getAdminActor(req)) {
+            return res.status(401).json({ message: 'Unauthorized' });
+        }
 
-                // Calculate results with ranking and winning coins
-                const results = calculateGameResults(room);
+        const userId = req.params.userId;
+        const user = await loadUser(userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
 
-                // Update player coins and stats
-                await updatePlayerCoinsAndStats(room, results);
+        const ban = await getActiveBan(userId);
+        const session = await findGameSession(userId);
 
-                io.to(room_id).emit('game_over', JSON.stringify(results));
-                // console.log(`[GAME_OVER] Room ${room_id} finished`);
+        res.json({
+            user: user,
+            ban: ban ? { ...formatBan(ban), banned_by: ban.bannedBy } : null,
+            game_room_id: session ? session.roomId : null
+        });
 
-                // Clean up room after delay
-                setTimeout(() => {
-                    rooms.delete(room_id);
-                    // console.log(`[CLEANUP] Room ${room_id} deleted`);
-                }, 10000);
-            }
+    } catch (error) {
+        console.error('[HTTP_ADMIN_USER] Error:', error);
+        res.status(500).json({ message: 'Failed to get user' });
+    }
+});
 
-        } catch (error) {
-            console.error('[WIN_GAME] Error:', error);
+app.post('/admin/users/:userId/coins', async (req, res) => {
+    try {
+        const actor = getAdminActor(req);
+        if (!actor) {
+            return res.status(401).json({ message: 'Unauthorized' });
         }
-    });
 
-    // ===== GAME ACTIONS - LEAVE ROOM =====
-    socket.on('leave_room', async (data) => {
-        try {
-            const { room_id, peer_id } = JSON.parse(data);
-            const room = rooms.get(room_id);
+        const { amount } = req.body || {};
+        const reason = getActionReason(req.body);
+        if (!Number.isInteger(amount) || amount === 0 || !reason) {
+            return res.status(400).json({ message: 'A non-zero integer amount and a reason are required' });
+        }
 
-            if (!room) return;
+        const userId = req.params.userId;
+        const result = await changeCoins(userId, amount, TRANSACTION_TYPE.ADMIN_ADJUSTMENT, {
+            reason: reason,
+            admin: actor
+        });
 
-            const player = room.players[peer_id];
-            if (player) {
-                player.status = PLAYER_STATUS.LEFT;
+        if (!result.ok) {
+            if (result.reason === 'user_not_found') {
+                return res.status(404).json({ message: 'User not found' });
             }
+            if (result.reason === 'insufficient_coins') {
+                return res.status(409).json({ message: 'Balance would go negative', balance: result.balance });
+            }
+            return res.status(500).json({ message: 'Failed to adjust coins' });
+        }
 
-            socket.leave(room_id);
-            socket.currentRoomId = null;
+        io.to(getUserRoom(userId)).emit('coins_adjusted', JSON.stringify({
+            amount: amount,
+            user_coin: result.balance
+        }));
 
-            // Broadcast leave
-            socket.to(room_id).emit('leave_room', JSON.stringify(peer_id));
+        await recordAudit(actor, 'adjust_coins', userId, { amount: amount, balance: result.balance, reason: reason });
+        res.json({ user_id: userId, balance: result.balance, transaction: formatTransaction(result.transaction) });
 
-            // console.log(`[LEAVE] Peer ${peer_id} left room ${room_id}`);
+    } catch (error) {
+        console.error('[HTTP_ADMIN_COINS] Error:', error);
+        res.status(500).json({ message: 'Failed to adjust coins' });
+    }
+});
 
-            // Check if game should end
-            const activeCount = room.players.filter(p =>
-                p.status === PLAYER_STATUS.PLAYING
-            ).length;
+// One-time secret for a player to claim an account created before login
+// secrets existed (POST /auth/login with migration_secret)
+app.post('/admin/users/:userId/migration-secret', async (req, res) => {
+    try {
+        const actor = getAdminActor(req);
+        if (!actor) {
+            return res.status(401).json({ message: 'Unauthorized' });
+        }
 
-            if (activeCount === 0 || (room.status === GAME_STATUS.WAITING && room.players.length === 0)) {
-                clearTurnTimer(room); // Clear timer before deleting room
-                rooms.delete(room_id);
-                // console.log(`[CLEANUP] Empty room ${room_id} deleted`);
-            } else if (activeCount === 1 && room.status === GAME_STATUS.PLAYING) {
-                // Only 1 player left, auto win
-                clearTurnTimer(room);
-                room.status = GAME_STATUS.FINISHED;
+        const userId = req.params.userId;
+        if (!await loadUser(userId)) {
+            return res.status(404).json({ message: 'User not found' });
+        }
 
-                // Find remaining player and mark as winner
-                const winner = room.players.find(p => p.status === PLAYER_STATUS.PLAYING);
-                if (winner) {
-                    winner.status = PLAYER_STATUS.WIN;
-                    io.to(room_id).emit('win_game', JSON.stringify(winner.peerId));
-                }
+        const credential = isRedisConnected() ? await getAuthCredential(userId) : authCredentials.get(userId);
+        if (credential) {
+            return res.status(409).json({ message: 'Account already has a login secret' });
+        }
 
-                // Send game over with full results
-                const results = calculateGameResults(room);
-                await updatePlayerCoinsAndStats(room, results);
-                io.to(room_id).emit('game_over', JSON.stringify(results));
-                console.log(`[GAME_OVER] Players left - Results: ${JSON.stringify(results)}`);
-            }
+        const secret = createLoginSecret();
+        const migration = {
+            secretHash: hashSecret(secret),
+            issuedBy: actor,
+            expiresAt: Date.now() + AUTH_MIGRATION_TTL * 1000
+        };
 
-        } catch (error) {
-            console.error('[LEAVE_ROOM] Error:', error);
+        if (isRedisConnected()) {
+            if (!await saveAuthMigration(userId, migration, AUTH_MIGRATION_TTL)) {
+                return res.status(500).json({ message: 'Failed to issue migration secret' });
+            }
+        } else {
+            authMigrations.set(userId, migration);
         }
-    });
 
-    // ===== CHAT & SOCIAL =====
-    socket.on('user_chat', (data) => {
-        try {
-            const { room_id, peer_id, chat_text } = JSON.parse(data);
-            socket.to(room_id).emit('user_chat', JSON.stringify({ peer_id, chat_text }));
-        } catch (error) {
-            console.error('[CHAT] Error:', error);
+        await recordAudit(actor, 'issue_migration_secret', userId, { expires_at: migration.expiresAt });
+        res.json({ user_id: userId, migration_secret: secret, expires_at: migration.expiresAt });
+
+    } catch (error) {
+        console.error('[HTTP_ADMIN_MIGRATION] Error:', error);
+        res.status(500).json({ message: 'Failed to issue migration secret' });
+    }
+});
+
+app.post('/admin/users/:userId/ban', async (req, res) => {
+    try {
+        const actor = getAdminActor(req);
+        if (!actor) {
+            return res.status(401).json({ message: 'Unauthorized' });
         }
-    });
 
-    socket.on('user_emoji_id', (data) => {
-        try {
-            const { room_id, peer_id, emoji_id } = JSON.parse(data);
-            socket.to(room_id).emit('user_emoji_id', JSON.stringify({ peer_id, emoji_id }));
-        } catch (error) {
-            console.error('[EMOJI] Error:', error);
+        const { duration_minutes } = req.body || {};
+        const reason = getActionReason(req.body);
+        if (!reason) {
+            return res.status(400).json({ message: 'reason is required' });
+        }
+        if (duration_minutes !== undefined && duration_minutes !== null &&
+            (!Number.isInteger(duration_minutes) || duration_minutes < 1)) {
+            return res.status(400).json({ message: 'duration_minutes must be a positive integer (leave it out for a permanent ban)' });
         }
-    });
 
-    socket.on('user_send_gift', (data) => {
-        try {
-            const { room_id, peer_id, gift_id } = JSON.parse(data);
-            socket.to(room_id).emit('user_send_gift', JSON.stringify({ peer_id, gift_id }));
-        } catch (error) {
-            console.error('[GIFT] Error:', error);
+        const now = Date.now();
+        const ban = {
+            reason: reason,
+            bannedBy: actor,
+            createdAt: now,
+            expiresAt: duration_minutes ? now + duration_minutes * 60 * 1000 : null
+        };
+
+        const userId = req.params.userId;
+        if (!await banUser(userId, ban)) {
+            return res.status(500).json({ message: 'Failed to ban user' });
         }
-    });
 
-    // ===== RECONNECTION - GET PREVIOUS ROOM =====
-    socket.on('get_previous_room', (data) => {
-        try {
-            const { room_id, user_id } = JSON.parse(data);
-            const room = rooms.get(room_id);
+        await recordAudit(actor, 'ban', userId, { reason: reason, expires_at: ban.expiresAt });
+        res.json({ user_id: userId, ban: formatBan(ban) });
 
-            if (!room) {
-                socket.emit('room_not_found', { message: 'Room not found or expired' });
-                return;
-            }
+    } catch (error) {
+        console.error('[HTTP_ADMIN_BAN] Error:', error);
+        res.status(500).json({ message: 'Failed to ban user' });
+    }
+});
 
-            // Find player in room
-            const player = room.players.find(p => p.userId === user_id);
+app.delete('/admin/users/:userId/ban', async (req, res) => {
+    try {
+        const actor = getAdminActor(req);
+        if (!actor) {
+            return res.status(401).json({ message: 'Unauthorized' });
+        }
 
-            if (!player) {
-                socket.emit('room_not_found', { message: 'Player not in room' });
-                return;
-            }
+        const userId = req.params.userId;
+        if (!await unbanUser(userId)) {
+            return res.status(404).json({ message: 'User is not banned' });
+        }
 
-            // Update socket ID
-            player.socketId = socket.id;
-            socket.join(room_id);
-            socket.currentRoomId = room_id;
+        await recordAudit(actor, 'unban', userId, { reason: getActionReason(req.body) });
+        res.json({ user_id: userId });
 
-            // Send room data
-            const roomData = {
-                room_id: room.roomId,
-                peer_id: player.peerId,
-                turn_id: room.currentTurn,
-                players: room.players.map(p => ({
-                    peer_id: p.peerId,
-                    user_id: p.userId,
-                    user_name: p.userName,
-                    status: p.status
-                })),
-                game_data: room.gameData
-            };
+    } catch (error) {
+        console.error('[HTTP_ADMIN_UNBAN] Error:', error);
+        res.status(500).json({ message: 'Failed to unban user' });
+    }
+});
 
-            socket.emit('previous_room_data', JSON.stringify(roomData));
-            console.log(`[RECONNECT] ${user_id} reconnected to room ${room_id}`);
+// Scheduled (starts_at) or on-demand (starts_at null) tournament, see tournaments.js
+app.post('/admin/tournaments', async (req, res) => {
+    try {
+        const actor = getAdminActor(req);
+        if (!actor) {
+            return res.status(401).json({ message: 'Unauthorized' });
+        }
 
-        } catch (error) {
-            console.error('[GET_PREVIOUS_ROOM] Error:', error);
-            socket.emit('room_not_found', { message: 'Failed to reconnect' });
+        const settings = {
+            starts_at: null,
+            rake_percent: 10,
+            repeat: false,
+            ...req.body
+        };
+        const error = validateTournamentSettings(settings, Date.now());
+        if (error) {
+            return res.status(400).json({ message: error });
         }
-    });
 
-    // ===== REMOVE FROM MATCHMAKING =====
-    socket.on('remove_from_matchmaking', (userId) => {
-        // Find and remove player from waiting rooms
-        for (let [roomId, room] of rooms.entries()) {
-            if (room.status === GAME_STATUS.WAITING) {
-                const playerIndex = room.players.findIndex(p => p.userId === userId);
-                if (playerIndex !== -1) {
-                    room.players.splice(playerIndex, 1);
-                    socket.leave(roomId);
+        const tournament = await openTournament(settings, actor);
+        await recordAudit(actor, 'create_tournament', tournament.tournamentId, settings);
+        res.status(201).json(formatTournament(tournament, true));
 
-                    if (room.players.length === 0) {
-                        rooms.delete(roomId);
-                    }
+    } catch (error) {
+        console.error('[HTTP_ADMIN_CREATE_TOURNAMENT] Error:', error);
+        res.status(500).json({ message: 'Failed to create tournament' });
+    }
+});
 
-                    console.log(`[REMOVE_MATCHMAKING] User ${userId} removed from room ${roomId}`);
-                    break;
-                }
-            }
+// Only before it starts, every entry fee is refunded
+app.post('/admin/tournaments/:tournamentId/cancel', async (req, res) => {
+    try {
+        const actor = getAdminActor(req);
+        if (!actor) {
+            return res.status(401).json({ message: 'Unauthorized' });
         }
-    });
 
-    // ===== DISCONNECT =====
-    socket.on('disconnect', () => {
-        console.log(`[DISCONNECT] Socket disconnected: ${socket.id}`);
-
-        // Find user's room and handle disconnect
-        if (socket.currentRoomId) {
-            const room = rooms.get(socket.currentRoomId);
-            if (room) {
-                const player = room.players.find(p => p.socketId === socket.id);
-                if (player) {
-                    console.log(`[DISCONNECT] Player ${player.userName} disconnected from room ${room.roomId}`);
-
-                    // Don't immediately remove - allow reconnection
-                    // Set timeout for player removal
-                    setTimeout(() => {
-                        const currentRoom = rooms.get(socket.currentRoomId);
-                        if (currentRoom) {
-                            const currentPlayer = currentRoom.players.find(p => p.userId === player.userId);
-                            if (currentPlayer && currentPlayer.socketId === socket.id) {
-                                currentPlayer.status = PLAYER_STATUS.TIMEOUT;
-                                socket.to(room.roomId).emit('user_timeout', JSON.stringify(player.peerId));
-                            }
-                        }
-                    }, 30000); // 30 second grace period
-                }
-            }
+        const reason = getActionReason(req.body);
+        if (!reason) {
+            return res.status(400).json({ message: 'reason is required' });
         }
 
-        // Clean up user socket mapping
-        if (socket.userId) {
-            userSockets.delete(socket.userId);
+        const tournamentId = req.params.tournamentId;
+        const result = await cancelTournament(tournamentId, reason);
+        if (!result.ok) {
+            return result.reason === 'not_found' ?
+                res.status(404).json({ message: 'Tournament not found' }) :
+                res.status(409).json({ message: 'Tournament already started' });
         }
-    });
+
+        await recordAudit(actor, 'cancel_tournament', tournamentId, { reason: reason, refunded: result.refunded });
+        res.json({ tournament_id: tournamentId, refunded: result.refunded });
+
+    } catch (error) {
+        console.error('[HTTP_ADMIN_CANCEL_TOURNAMENT] Error:', error);
+        res.status(500).json({ message: 'Failed to cancel tournament' });
+    }
 });
 
-// ===== HTTP ENDPOINTS =====
-app.get('/', (req, res) => {
-    res.send('Ludo Socket.IO Server Running');
+app.get('/admin/audit', async (req, res) => {
+    try {
+        if (!getAdminActor(req)) {
+            return res.status(401).json({ message: 'Unauthorized' });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+        res.json({ entries: await listAuditLog(limit) });
+
+    } catch (error) {
+        console.error('[HTTP_ADMIN_AUDIT] Error:', error);
+        res.status(500).json({ message: 'Failed to get audit log' });
+    }
 });
 
 app.get('/status', (req, res) => {
@@ -985,7 +6289,8 @@ app.get('/status', (req, res) => {
         status: 'running',
         rooms: rooms.size,
         users: users.size,
-        connections: io.sockets.sockets.size
+        connections: io.sockets.sockets.size,
+        instance: INSTANCE_ID
     });
 });
 
@@ -993,16 +6298,71 @@ app.get('/status', (req, res) => {
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || '0.0.0.0'; // Bind to all interfaces
 
-server.listen(PORT, HOST, () => {
-    console.log(`\n🎮 Ludo Socket.IO Server`);
-    console.log(`📡 Server running on ${HOST}:${PORT}`);
-    console.log(`🌐 http://localhost:${PORT}`);
-    console.log(`🌍 External: http://103.231.190.56:${PORT}\n`);
-});
+(async () => {
+    const redisReady = await waitForRedis(5000);
+
+    if (CLUSTER_ENABLED) {
+        // Instances can only share rooms through Redis
+        if (!redisReady) {
+            console.error('❌ [CLUSTER] CLUSTER_MODE needs Redis, exiting');
+            process.exit(1);
+        }
+
+        await setupAdapter(io);
+        startRoomLeases();
+    }
+
+    // Archive the season that just ended (every instance checks, the first one writes)
+    await runSeasonRollover();
+    setInterval(runSeasonRollover, SEASON_CHECK_INTERVAL);
+
+    // Scheduled tournament starts and rounds after their break (every instance checks, updates are locked)
+    setInterval(runTournamentChecks, TOURNAMENT_CHECK_INTERVAL);
+
+    // Payout tables and chat filter saved at runtime, other instances may change them too
+    await loadPayoutConfig();
+    await loadChatConfig();
+    setInterval(() => {
+        loadPayoutConfig();
+        loadChatConfig();
+    }, CONFIG_REFRESH_INTERVAL);
+
+    // Bring back games that were running before a restart
+    if (redisReady) {
+        try {
+            await restoreRooms();
+            await restoreQueue();
+        } catch (err) {
+            console.error('[RESTORE] Error:', err);
+        }
+    } else {
+        console.log('⚠️  [RESTORE] Redis not ready, starting without saved rooms');
+    }
+
+    setInterval(runMatchmaking, MATCHMAKING_INTERVAL);
+    setInterval(refreshLocalPresences, PRESENCE_REFRESH_INTERVAL);
+    setInterval(runPushSchedule, PUSH_SCHEDULE_INTERVAL);
+
+    server.listen(PORT, HOST, () => {
+        console.log(`\n🎮 Ludo Socket.IO Server`);
+        console.log(`📡 Server running on ${HOST}:${PORT}`);
+        console.log(`🌐 http://localhost:${PORT}`);
+        console.log(`🌍 External: http://103.231.190.56:${PORT}\n`);
+    });
+})();
 
 // ===== GRACEFUL SHUTDOWN =====
 process.on('SIGTERM', () => {
     console.log('SIGTERM signal received: closing HTTP server');
+
+    if (CLUSTER_ENABLED) {
+        // Hand our rooms over to the other instances right away
+        rooms.forEach(room => {
+            if (room.turnTimer) clearTimeout(room.turnTimer);
+            releaseRoomOwnership(room.roomId, INSTANCE_ID);
+        });
+    }
+
     server.close(() => {
         console.log('HTTP server closed');
     });
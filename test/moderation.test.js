@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { DEFAULT_CHAT_CONFIG, filterChatMessage } = require('../moderation');
+
+// Ordinary chat that only looks like "word. tld" once spaces or diacritics are ignored
+const SENTENCES = [
+    'Được. Có chơi không?',
+    'Ok. Mẹ gọi rồi',
+    'wait. me first',
+    'Thôi. Vn mình chơi tiếp',
+    'ok.cool'
+];
+
+const LINKS = [
+    'https://example.org/page',
+    'www.example',
+    'go to abc.com',
+    'join site.vn!',
+    'ABC.COM',
+    'abc (dot) com',
+    'abc [dot] me'
+];
+
+test('sentences with a dot are not refused as links', () => {
+    SENTENCES.forEach(text => {
+        assert.strictEqual(filterChatMessage(text, DEFAULT_CHAT_CONFIG).ok, true, text);
+    });
+});
+
+test('links are refused', () => {
+    LINKS.forEach(text => {
+        assert.deepStrictEqual(filterChatMessage(text, DEFAULT_CHAT_CONFIG), { ok: false, reason: 'links_not_allowed' }, text);
+    });
+});
+
+test('links are allowed when block_links is off', () => {
+    const config = { ...DEFAULT_CHAT_CONFIG, block_links: false };
+    assert.strictEqual(filterChatMessage('go to abc.com', config).ok, true);
+});
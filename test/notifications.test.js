@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    NOTIFICATION_TYPE,
+    PUSH_INTERVALS,
+    PUSH_HOURLY_LIMIT,
+    buildMessage,
+    resolvePushSettings,
+    takeMemoryPushSlot,
+    sendToDevices,
+    MemoryPushProvider
+} = require('../notifications');
+
+const HOUR = 60 * 60 * 1000;
+
+function newLimits() {
+    return { slots: new Map(), counts: new Map() };
+}
+
+test('messages carry their type and string data', () => {
+    const message = buildMessage(NOTIFICATION_TYPE.INVITE, { from_user_name: 'Lan', room_coin: 500 });
+    assert.strictEqual(message.title, 'Game invite');
+    assert.match(message.body, /Lan invited you to a 500 coin game/);
+    assert.deepStrictEqual(message.data, { type: 'invite', from_user_name: 'Lan', room_coin: '500' });
+
+    assert.match(buildMessage(NOTIFICATION_TYPE.REWARD, { reward: 'refill' }).body, /refill/);
+    assert.throws(() => buildMessage('unknown'), /Unknown notification type/);
+});
+
+test('every type is on until the user switches it off', () => {
+    assert.deepStrictEqual(resolvePushSettings(), { turn: true, invite: true, reward: true });
+    assert.deepStrictEqual(resolvePushSettings({ turn: false }), { turn: false, invite: true, reward: true });
+    // As stored in Redis
+    assert.deepStrictEqual(resolvePushSettings({ invite: '0', reward: '1' }), { turn: true, invite: false, reward: true });
+});
+
+test('a type waits its gap before the next push', () => {
+    const limits = newLimits();
+    const now = 1000000;
+
+    assert.strictEqual(takeMemoryPushSlot(limits, 'u1', NOTIFICATION_TYPE.TURN, now), true);
+    assert.strictEqual(takeMemoryPushSlot(limits, 'u1', NOTIFICATION_TYPE.TURN, now + 1), false);
+    // Other types and other users aren't held up
+    assert.strictEqual(takeMemoryPushSlot(limits, 'u1', NOTIFICATION_TYPE.INVITE, now + 1), true);
+    assert.strictEqual(takeMemoryPushSlot(limits, 'u2', NOTIFICATION_TYPE.TURN, now + 1), true);
+
+    assert.strictEqual(takeMemoryPushSlot(limits, 'u1', NOTIFICATION_TYPE.TURN, now + PUSH_INTERVALS.turn), true);
+});
+
+test('pushes stop at the hourly cap until the hour is over', () => {
+    const limits = newLimits();
+    const start = 1000000;
+
+    let time = start;
+    for (let i = 0; i < PUSH_HOURLY_LIMIT; i++) {
+        assert.strictEqual(takeMemoryPushSlot(limits, 'u1', NOTIFICATION_TYPE.INVITE, time), true, `push ${i + 1}`);
+        time += PUSH_INTERVALS.invite;
+    }
+    assert.ok(time < start + HOUR);
+    assert.strictEqual(takeMemoryPushSlot(limits, 'u1', NOTIFICATION_TYPE.INVITE, time), false);
+
+    assert.strictEqual(takeMemoryPushSlot(limits, 'u1', NOTIFICATION_TYPE.INVITE, start + HOUR), true);
+});
+
+test('pushes go to every device and invalid tokens are reported', async () => {
+    const provider = new MemoryPushProvider({ invalidTokens: ['old-token'] });
+    const devices = {
+        phone: { token: 'phone-token' },
+        tablet: { token: 'old-token' }
+    };
+
+    const result = await sendToDevices(provider, devices, buildMessage(NOTIFICATION_TYPE.TURN));
+    assert.deepStrictEqual(result, { delivered: true, invalidDeviceIds: ['tablet'] });
+    assert.deepStrictEqual(provider.sent.map(push => push.token), ['phone-token']);
+});
+
+test('nothing is delivered when every token is invalid', async () => {
+    const provider = new MemoryPushProvider({ invalidTokens: ['old-token'] });
+
+    const result = await sendToDevices(provider, { tablet: { token: 'old-token' } }, buildMessage(NOTIFICATION_TYPE.TURN));
+    assert.deepStrictEqual(result, { delivered: false, invalidDeviceIds: ['tablet'] });
+    assert.strictEqual(provider.sent.length, 0);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { DEFAULT_PAYOUT_CONFIG, validatePayoutConfig, splitPot } = require('../payouts');
+
+function configWith(payouts) {
+    return { rake_percent: 5, tiers: [{ min_bet: 0, payouts: payouts }] };
+}
+
+test('fractional shares that add up to 100 are accepted', () => {
+    const config = configWith({ 2: [100], 3: [33.3, 33.3, 33.4], 4: [33.3, 33.3, 33.4] });
+    assert.strictEqual(validatePayoutConfig(config), null);
+});
+
+test('shares that don\'t add up to 100 are refused', () => {
+    const config = configWith({ 2: [100], 3: [70, 20], 4: [75, 25] });
+    assert.match(validatePayoutConfig(config), /3-player shares must add up to 100/);
+});
+
+test('the pot minus the rake is paid out exactly', () => {
+    const config = configWith({ 2: [100], 3: [33.3, 33.3, 33.4], 4: [33.3, 33.3, 33.4] });
+    for (const pot of [0, 1, 99, 300, 1001, 40000]) {
+        const prizes = splitPot(config, pot, 100, 4, 3);
+        const prizePool = pot - Math.floor(pot * 5 / 100);
+        assert.strictEqual(prizes.reduce((sum, prize) => sum + prize, 0), prizePool, `pot ${pot}`);
+        assert.ok(prizes.every(prize => prize >= 0), `pot ${pot}`);
+    }
+});
+
+test('the default config is valid', () => {
+    assert.strictEqual(validatePayoutConfig(DEFAULT_PAYOUT_CONFIG), null);
+});
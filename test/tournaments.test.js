@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    TABLE_STATUS,
+    createTournament,
+    getPrizePool,
+    buildRound,
+    addNextRound,
+    getTableWinner,
+    getRoundWinners,
+    getStandings,
+    getPrizes,
+    completeTournament
+} = require('../tournaments');
+
+function seeds(count) {
+    return Array.from({ length: count }, (_, index) => `u${index + 1}`);
+}
+
+function tableSizes(round) {
+    return round.tables.map(table => table.userIds.length);
+}
+
+// Tournament of `count` players rated best first (u1 is the top seed)
+function tournamentWith(count, tableSize, prizePercents) {
+    const tournament = createTournament('t1', {
+        name: 'Test Cup',
+        entry_fee: 100,
+        table_size: tableSize,
+        max_players: 256,
+        min_players: 2,
+        starts_at: null,
+        prize_percents: prizePercents,
+        rake_percent: 10,
+        repeat: false
+    }, 'admin', 0);
+
+    tournament.players = seeds(count).map((userId, index) => ({
+        userId: userId,
+        userName: userId,
+        rating: 2000 - index,
+        registeredAt: 0,
+        placement: null,
+        prize: 0
+    }));
+    tournament.prizePool = getPrizePool(tournament);
+    return tournament;
+}
+
+// Play every round to the end, the best seed at each table wins it
+function playOut(tournament) {
+    let round = addNextRound(tournament);
+    for (;;) {
+        round.tables
+            .filter(table => table.status === TABLE_STATUS.PLAYING)
+            .forEach(table => {
+                const results = table.userIds.map((userId, index) => ({ user_id: userId, player_rank: index + 1, is_bot: false }));
+                table.status = TABLE_STATUS.FINISHED;
+                table.winnerId = getTableWinner(results);
+                table.results = results;
+            });
+        if (getRoundWinners(round).length === 1) break;
+        round = addNextRound(tournament);
+    }
+    completeTournament(tournament, 1);
+    return tournament;
+}
+
+function totalPrizes(tournament) {
+    return tournament.players.reduce((sum, player) => sum + player.prize, 0);
+}
+
+test('5 players at table_size 4 sit at tables of 3 and 2', () => {
+    const round = buildRound(1, seeds(5), 4);
+    assert.deepStrictEqual(tableSizes(round), [3, 2]);
+    assert.deepStrictEqual(round.tables[0].userIds, ['u1', 'u4', 'u5']);
+    assert.deepStrictEqual(round.tables[1].userIds, ['u2', 'u3']);
+    assert.ok(round.tables.every(table => table.status === TABLE_STATUS.PLAYING));
+});
+
+test('6 and 7 players at table_size 4 are split evenly without byes', () => {
+    assert.deepStrictEqual(tableSizes(buildRound(1, seeds(6), 4)), [3, 3]);
+    assert.deepStrictEqual(tableSizes(buildRound(1, seeds(7), 4)), [3, 4]);
+
+    for (let count = 5; count <= 40; count++) {
+        const sizes = tableSizes(buildRound(1, seeds(count), 4));
+        assert.strictEqual(sizes.reduce((sum, size) => sum + size, 0), count, `${count} players`);
+        assert.ok(Math.max(...sizes) - Math.min(...sizes) <= 1, `${count} players`);
+        assert.ok(Math.min(...sizes) >= 2, `${count} players`);
+    }
+});
+
+test('an odd field at table_size 2 gives the top seed the bye', () => {
+    const round = buildRound(1, seeds(5), 2);
+    assert.deepStrictEqual(tableSizes(round), [1, 2, 2]);
+    assert.strictEqual(round.tables[0].status, TABLE_STATUS.BYE);
+    assert.strictEqual(round.tables[0].winnerId, 'u1');
+    assert.strictEqual(round.tables.filter(table => table.status === TABLE_STATUS.BYE).length, 1);
+});
+
+test('the final table is ranked by its game and earlier knockouts share a placement', () => {
+    const tournament = playOut(tournamentWith(7, 4, [50, 30, 20]));
+    const standings = getStandings(tournament);
+
+    assert.strictEqual(tournament.winnerId, 'u1');
+    assert.deepStrictEqual(standings.slice(0, 2), [
+        { userId: 'u1', placement: 1, places: 1 },
+        { userId: 'u2', placement: 2, places: 1 }
+    ]);
+    assert.strictEqual(standings.length, 7);
+    assert.ok(standings.slice(2).every(standing => standing.placement === 3 && standing.places === 5));
+});
+
+test('players sharing a placement split the prizes of the places they cover', () => {
+    const standings = [
+        { userId: 'a', placement: 1, places: 1 },
+        { userId: 'b', placement: 2, places: 1 },
+        { userId: 'c', placement: 3, places: 2 },
+        { userId: 'd', placement: 3, places: 2 }
+    ];
+    assert.deepStrictEqual(getPrizes(1000, [40, 30, 20, 10], standings), { a: 400, b: 300, c: 150, d: 150 });
+});
+
+test('prizes never add up to more than the pool', () => {
+    const percentOptions = [[100], [50, 30, 20], [33, 33, 33], [40, 25, 15, 10, 7, 3], [1, 1, 1, 1, 1, 1, 1]];
+
+    for (const tableSize of [2, 4]) {
+        for (let count = 2; count <= 33; count++) {
+            for (const percents of percentOptions) {
+                const tournament = playOut(tournamentWith(count, tableSize, percents));
+                const label = `${count} players, table_size ${tableSize}, ${percents.join('/')}`;
+
+                assert.ok(totalPrizes(tournament) <= tournament.prizePool, label);
+                assert.ok(tournament.players.every(player => player.placement !== null), label);
+                assert.ok(tournament.players.every(player => Number.isInteger(player.prize) && player.prize >= 0), label);
+            }
+        }
+    }
+});
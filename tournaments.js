@@ -0,0 +1,356 @@
+// ==========================================
+// TOURNAMENTS (brackets + prize pools)
+// ==========================================
+//
+// Players register for a tournament by paying the entry fee. It starts at
+// starts_at (scheduled) or as soon as max_players have registered
+// (on-demand, starts_at null). Players are seeded by rating into tables of
+// table_size; the winner of each table moves on to the next round until one
+// player is left. A table with a single player is a bye.
+//
+// The entry fees minus rake_percent are the prize pool, paid out by final
+// placement with prize_percents (1st, 2nd, ...). Players knocked out in the
+// same round share their placement and split the prizes of the places they
+// cover, e.g. both semi-final losers of a 2-player bracket get
+// (3rd + 4th) / 2.
+//
+// Settings (see validateTournamentSettings), e.g.
+//
+//   {
+//     "name": "Friday Cup",
+//     "entry_fee": 500,
+//     "table_size": 4,
+//     "max_players": 16,
+//     "min_players": 4,
+//     "starts_at": 1767225600000,
+//     "prize_percents": [50, 30, 20],
+//     "rake_percent": 10,
+//     "repeat": false
+//   }
+//
+// repeat: an on-demand tournament opens again with the same settings once it
+// has started.
+
+const TOURNAMENT_STATUS = {
+    REGISTERING: 'registering',
+    RUNNING: 'running',
+    FINISHED: 'finished',
+    CANCELLED: 'cancelled'
+};
+
+const TABLE_STATUS = {
+    BYE: 'bye',
+    PLAYING: 'playing',
+    FINISHED: 'finished'
+};
+
+const TABLE_SIZES = [2, 4];
+const MAX_TOURNAMENT_PLAYERS = 256;
+const MAX_NAME_LENGTH = 50;
+const MAX_RAKE_PERCENT = 50;
+
+/**
+ * Check tournament settings, returns an error message or null if they're usable
+ */
+function validateTournamentSettings(settings, now) {
+    if (!settings || typeof settings !== 'object') return 'Settings must be an object';
+
+    const name = typeof settings.name === 'string' ? settings.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) return `name must be 1-${MAX_NAME_LENGTH} characters`;
+    if (!Number.isInteger(settings.entry_fee) || settings.entry_fee < 0) return 'entry_fee must be a non-negative integer';
+    if (!TABLE_SIZES.includes(settings.table_size)) return `table_size must be one of ${TABLE_SIZES.join(', ')}`;
+
+    if (!Number.isInteger(settings.max_players) || settings.max_players < 2 || settings.max_players > MAX_TOURNAMENT_PLAYERS) {
+        return `max_players must be between 2 and ${MAX_TOURNAMENT_PLAYERS}`;
+    }
+    if (!Number.isInteger(settings.min_players) || settings.min_players < 2 || settings.min_players > settings.max_players) {
+        return 'min_players must be between 2 and max_players';
+    }
+
+    if (settings.starts_at !== null && (!Number.isInteger(settings.starts_at) || settings.starts_at <= now)) {
+        return 'starts_at must be a future timestamp (ms) or null for on-demand';
+    }
+
+    const percents = settings.prize_percents;
+    if (!Array.isArray(percents) || percents.length === 0 || percents.length > settings.max_players ||
+        percents.some(percent => !Number.isInteger(percent) || percent <= 0) ||
+        percents.reduce((sum, percent) => sum + percent, 0) > 100) {
+        return 'prize_percents must be positive integers adding up to at most 100, one per paid place';
+    }
+
+    if (!Number.isInteger(settings.rake_percent) || settings.rake_percent < 0 || settings.rake_percent > MAX_RAKE_PERCENT) {
+        return `rake_percent must be between 0 and ${MAX_RAKE_PERCENT}`;
+    }
+    if (typeof settings.repeat !== 'boolean') return 'repeat must be true or false';
+    if (settings.repeat && settings.starts_at !== null) return 'Only on-demand tournaments can repeat';
+
+    return null;
+}
+
+/**
+ * New tournament open for registration, from validated settings
+ */
+function createTournament(tournamentId, settings, createdBy, now) {
+    return {
+        tournamentId: tournamentId,
+        name: settings.name.trim(),
+        entryFee: settings.entry_fee,
+        tableSize: settings.table_size,
+        maxPlayers: settings.max_players,
+        minPlayers: settings.min_players,
+        startsAt: settings.starts_at,
+        prizePercents: settings.prize_percents,
+        rakePercent: settings.rake_percent,
+        repeat: settings.repeat,
+        status: TOURNAMENT_STATUS.REGISTERING,
+        players: [], // { userId, userName, rating, registeredAt, placement, prize }
+        rounds: [], // { round, tables: [{ table, roomId, userIds, status, winnerId, results }] }
+        prizePool: 0,
+        nextRoundAt: null, // When the next round is seeded, after a break between rounds
+        winnerId: null,
+        createdBy: createdBy,
+        createdAt: now,
+        startedAt: null,
+        finishedAt: null
+    };
+}
+
+/**
+ * Settings of a tournament, to open it again (see repeat)
+ */
+function getTournamentSettings(tournament) {
+    return {
+        name: tournament.name,
+        entry_fee: tournament.entryFee,
+        table_size: tournament.tableSize,
+        max_players: tournament.maxPlayers,
+        min_players: tournament.minPlayers,
+        starts_at: tournament.startsAt,
+        prize_percents: tournament.prizePercents,
+        rake_percent: tournament.rakePercent,
+        repeat: tournament.repeat
+    };
+}
+
+/**
+ * Entry fees minus the rake
+ */
+function getPrizePool(tournament) {
+    const fees = tournament.entryFee * tournament.players.length;
+    return fees - Math.floor(fees * tournament.rakePercent / 100);
+}
+
+/**
+ * Tables of a round for the players in it, best seeds first. Seeds are dealt
+ * to the tables in snake order (1 2 2 1 ...) so tables are evenly matched and
+ * differ by at most one player; with an odd field the top seed gets the bye.
+ */
+function buildRound(round, seededUserIds, tableSize) {
+    const tableCount = Math.ceil(seededUserIds.length / tableSize);
+    const tables = Array.from({ length: tableCount }, (_, index) => ({
+        table: index + 1,
+        roomId: null,
+        userIds: [],
+        status: TABLE_STATUS.PLAYING,
+        winnerId: null,
+        results: null
+    }));
+
+    seededUserIds.forEach((userId, index) => {
+        const pass = Math.floor(index / tableCount);
+        const position = index % tableCount;
+        tables[pass % 2 === 0 ? position : tableCount - 1 - position].userIds.push(userId);
+    });
+
+    tables
+        .filter(table => table.userIds.length === 1)
+        .forEach(table => {
+            table.status = TABLE_STATUS.BYE;
+            table.winnerId = table.userIds[0];
+        });
+
+    return { round: round, tables: tables };
+}
+
+/**
+ * Seed the next round: round 1 from the registered players, later rounds
+ * from the winners of the last one. Returns the new round.
+ */
+function addNextRound(tournament) {
+    const ratings = {};
+    tournament.players.forEach(player => {
+        ratings[player.userId] = player.rating;
+    });
+
+    const lastRound = tournament.rounds[tournament.rounds.length - 1];
+    const userIds = lastRound ? getRoundWinners(lastRound) : tournament.players.map(player => player.userId);
+    const seeded = [...userIds].sort((a, b) => ratings[b] - ratings[a]);
+
+    const round = buildRound(tournament.rounds.length + 1, seeded, tournament.tableSize);
+    tournament.rounds.push(round);
+    tournament.nextRoundAt = null;
+    return round;
+}
+
+/**
+ * Player moving on from a table: the best placed player still in control of
+ * their seat (a human whose seat a bot took over forfeits).
+ */
+function getTableWinner(results) {
+    const winner = results.find(result => !result.is_bot) || results[0];
+    return winner ? winner.user_id : null;
+}
+
+function isRoundComplete(round) {
+    return round.tables.every(table => table.status !== TABLE_STATUS.PLAYING);
+}
+
+/**
+ * Winners of a finished round, in seed order for the next one
+ */
+function getRoundWinners(round) {
+    return round.tables.map(table => table.winnerId).filter(Boolean);
+}
+
+/**
+ * Final placements once the last round is over: [{ userId, placement, places }]
+ * where places is how many places the placement covers (ties).
+ */
+function getStandings(tournament) {
+    const standings = [];
+    const rounds = tournament.rounds;
+    const finalRound = rounds[rounds.length - 1];
+    const finalTable = finalRound.tables[0];
+
+    standings.push({ userId: tournament.winnerId, placement: 1, places: 1 });
+
+    // The final table is ranked by its game; a bye final has nobody else
+    (finalTable.results || [])
+        .map(result => result.user_id)
+        .filter(userId => userId !== tournament.winnerId)
+        .forEach(userId => standings.push({ userId: userId, placement: standings.length + 1, places: 1 }));
+
+    // Everyone knocked out in an earlier round shares a placement
+    for (let i = rounds.length - 2; i >= 0; i--) {
+        const knockedOut = [];
+        rounds[i].tables.forEach(table => {
+            table.userIds
+                .filter(userId => userId !== table.winnerId)
+                .forEach(userId => knockedOut.push(userId));
+        });
+
+        const placement = standings.length + 1;
+        knockedOut.forEach(userId => standings.push({ userId: userId, placement: placement, places: knockedOut.length }));
+    }
+
+    return standings;
+}
+
+/**
+ * Prize of every placed player: userId -> coins. Shared placements split
+ * the percents of the places they cover; whatever rounds down stays with
+ * the house.
+ */
+function getPrizes(prizePool, prizePercents, standings) {
+    const prizes = {};
+
+    standings.forEach(standing => {
+        const first = standing.placement - 1;
+        const percent = prizePercents
+            .slice(first, first + standing.places)
+            .reduce((sum, value) => sum + value, 0);
+        prizes[standing.userId] = Math.floor(prizePool * percent / 100 / standing.places);
+    });
+
+    return prizes;
+}
+
+/**
+ * End a tournament whose last round has one winner: set placements and prizes
+ */
+function completeTournament(tournament, now) {
+    const lastRound = tournament.rounds[tournament.rounds.length - 1];
+    tournament.winnerId = getRoundWinners(lastRound)[0];
+
+    const standings = getStandings(tournament);
+    const prizes = getPrizes(tournament.prizePool, tournament.prizePercents, standings);
+    tournament.players.forEach(player => {
+        const standing = standings.find(s => s.userId === player.userId);
+        player.placement = standing ? standing.placement : null;
+        player.prize = prizes[player.userId] || 0;
+    });
+
+    tournament.status = TOURNAMENT_STATUS.FINISHED;
+    tournament.finishedAt = now;
+}
+
+/**
+ * Tournament as sent to clients; with `detailed` the players and bracket too
+ */
+function formatTournament(tournament, detailed = false) {
+    const summary = {
+        tournament_id: tournament.tournamentId,
+        name: tournament.name,
+        status: tournament.status,
+        entry_fee: tournament.entryFee,
+        table_size: tournament.tableSize,
+        max_players: tournament.maxPlayers,
+        min_players: tournament.minPlayers,
+        player_count: tournament.players.length,
+        starts_at: tournament.startsAt,
+        prize_percents: tournament.prizePercents,
+        prize_pool: tournament.status === TOURNAMENT_STATUS.REGISTERING ? getPrizePool(tournament) : tournament.prizePool,
+        current_round: tournament.rounds.length,
+        next_round_at: tournament.nextRoundAt,
+        winner_id: tournament.winnerId,
+        started_at: tournament.startedAt,
+        finished_at: tournament.finishedAt
+    };
+    if (!detailed) return summary;
+
+    const names = {};
+    tournament.players.forEach(player => {
+        names[player.userId] = player.userName;
+    });
+
+    return {
+        ...summary,
+        players: tournament.players.map(player => ({
+            user_id: player.userId,
+            user_name: player.userName,
+            rating: player.rating,
+            placement: player.placement,
+            prize: player.prize
+        })),
+        rounds: tournament.rounds.map(round => ({
+            round: round.round,
+            tables: round.tables.map(table => ({
+                table: table.table,
+                room_id: table.roomId,
+                status: table.status,
+                players: table.userIds.map(userId => ({ user_id: userId, user_name: names[userId] })),
+                winner_id: table.winnerId,
+                results: table.results
+            }))
+        }))
+    };
+}
+
+module.exports = {
+    TOURNAMENT_STATUS,
+    TABLE_STATUS,
+
+    validateTournamentSettings,
+    createTournament,
+    getTournamentSettings,
+    getPrizePool,
+    buildRound,
+    addNextRound,
+    getTableWinner,
+    isRoundComplete,
+    getRoundWinners,
+    getStandings,
+    getPrizes,
+    completeTournament,
+    formatTournament
+};